@@ -2,12 +2,346 @@
   'use strict';
 
   /**
-   * Módulo y controlador principal de la app AngularJS.
-   * No usa servicios personalizados, todo está en el controlador para simplicidad.
+   * Módulo principal de la app AngularJS.
+   * - `realtimeService`: adaptador del cliente realtime compartido (shared/realtime-client.js).
+   * - `MainCtrl`: controlador de la lista de items.
+   * - `pfImageFallback`: directiva que cambia las imágenes que no cargan por el placeholder compartido.
+   * - `pfImageDrop`: directiva de la zona donde se sueltan o eligen imágenes para compartirlas.
+   * - `pfConnectionStatus`: indicador de conexión (estado, latencia, cuenta atrás y "Reconectar ahora").
+   * - `pfItemAnnotations`: comentarios y reacciones del item en el panel de detalle.
+   * Al arrancar registra el service worker que guarda /api/items (lista disponible sin red).
    */
   angular.module('porfolioApp', [])
-    .controller('MainCtrl', ['$scope', '$http', '$window', '$timeout', function ($scope, $http, $window, $timeout) {
+    .run(['$window', function ($window) {
+      $window.PorfolioShared.offline.registerItemsWorker($window, { logPrefix: '[angular-app]' });
+    }])
+    .factory('realtimeService', ['$window', '$http', '$rootScope', function ($window, $http, $rootScope) {
+      const shared = $window.PorfolioShared;
+      const protocol = shared.protocol;
+
+      // URL del WebSocket (por defecto el host local que expone el servicio realtime)
+      const WS_URL = (function () {
+        try {
+          // Permite override si se define en window.WS_URL desde el index o env
+          if ($window.WS_URL) return $window.WS_URL;
+        } catch (e) {}
+        return 'ws://localhost:3000';
+      }());
+
+      // Tokens de acceso al servicio realtime: de corta duración, pedidos al backend y renovados antes de caducar.
+      // Solo en desarrollo se puede fijar uno con window.WS_TOKEN (/config.js)
+      const realtimeToken = shared.realtimeClient.createTokenSource(function (headers) {
+        return $http.post('/api/realtime-token', null, { headers: headers }).then(function (res) { return res.data; });
+      });
+
+      const NAME_STORAGE_KEY = 'porfolio.displayName';
+      const storedName = (function () {
+        try { return $window.localStorage.getItem(NAME_STORAGE_KEY) || ''; } catch (e) { return ''; }
+      }());
+
+      const client = shared.realtimeClient.createRealtimeClient({
+        url: WS_URL,
+        room: protocol.normalizeRoom(new URLSearchParams($window.location.search).get('room')),
+        name: storedName,
+        token: function () { return $window.WS_TOKEN || realtimeToken(); },
+        httpPost: function (url, body, headers) { return $http.post(url, body, { headers: headers }); },
+        logPrefix: '[angular-app]'
+      });
+
+      /**
+       * Envuelve un listener para que se ejecute dentro de un digest de AngularJS.
+       * @param {Function} fn
+       * @returns {Function}
+       */
+      function withDigest(fn) {
+        return function () {
+          const args = arguments;
+          $rootScope.$applyAsync(function () { fn.apply(null, args); });
+        };
+      }
+
+      // Desactiva la co-navegación en curso (listeners de scroll/ratón de shared/cobrowse.js)
+      let stopCobrowse = null;
+
+      /**
+       * Activa o desactiva la co-navegación de esta pestaña.
+       * @param {boolean} enabled
+       * @returns {void}
+       */
+      function setCobrowse(enabled) {
+        if (enabled && !stopCobrowse) {
+          stopCobrowse = shared.cobrowse.startCobrowse($window, client);
+        } else if (!enabled && stopCobrowse) {
+          stopCobrowse();
+          stopCobrowse = null;
+        }
+      }
+
+      /**
+       * Servicio realtime (singleton): misma API que el cliente compartido, con los eventos
+       * entregados dentro del ciclo de digest.
+       *
+       * Ejemplos de uso (en español):
+       * 1) realtimeService.on('status', function (s) { vm.status = s; });
+       * 2) realtimeService.onShared(function (item) { vm.selectedId = item.id; });
+       * 3) realtimeService.share(item); // WS o fallback HTTP (/api/share)
+       */
+      return {
+        Status: shared.realtimeClient.Status,
+        NAME_STORAGE_KEY: NAME_STORAGE_KEY,
+        storedName: storedName,
+        connect: client.connect,
+        close: client.close,
+        reconnectNow: client.reconnectNow,
+        share: client.share,
+        shareImage: client.shareImage,
+        dismissImage: client.dismissImage,
+        getSharedImage: client.getSharedImage,
+        setCobrowse: setCobrowse,
+        isCobrowsing: client.isCobrowsing,
+        getCobrowsePeers: client.getCobrowsePeers,
+        comment: client.comment,
+        react: client.react,
+        getAnnotations: client.getAnnotations,
+        join: client.join,
+        getRoom: client.getRoom,
+        isConnected: client.isConnected,
+        getStatus: client.getStatus,
+        getReconnectAt: client.getReconnectAt,
+        getLatency: client.getLatency,
+        getPendingCount: client.getPendingCount,
+        getUsers: client.getUsers,
+        getSelf: client.getSelf,
+        getRole: client.getRole,
+        getServiceStatus: client.getServiceStatus,
+        on: function (event, fn) { return client.on(event, withDigest(fn)); },
+        onShared: function (fn) { return client.on('shared', withDigest(fn)); },
+        onSnapshot: function (fn) { return client.on('snapshot', withDigest(fn)); },
+        onRollback: function (fn) { return client.on('rollback', withDigest(fn)); }
+      };
+    }])
+    /**
+     * Directiva de atributo para <img>: al fallar la carga muestra el placeholder "Sin imagen"
+     * (shared/items.js). Si ng-src cambia a otra imagen, se vuelve a intentar.
+     *
+     * Ejemplos de uso (en español):
+     * 1) <img ng-src="{{vm.itemUtils.thumbnailSrc(item)}}" pf-image-fallback>
+     * 2) // equivale a @error="itemUtils.handleImageError" en Vue y a onError en React
+     * 3) // la imagen sustituida lleva la clase `img-fallback`
+     */
+    .directive('pfImageFallback', ['$window', function ($window) {
+      const itemUtils = $window.PorfolioShared.items;
+      return {
+        restrict: 'A',
+        link: function (scope, element, attrs) {
+          element.on('error', itemUtils.handleImageError);
+          attrs.$observe('src', function (src) {
+            if (src && src !== itemUtils.PLACEHOLDER_IMAGE && element.attr('data-fallback')) {
+              element.removeAttr('data-fallback');
+              element.removeClass('img-fallback');
+            }
+          });
+          scope.$on('$destroy', function () {
+            element.off('error', itemUtils.handleImageError);
+          });
+        }
+      };
+    }])
+    /**
+     * Directiva de atributo para la zona de imágenes: al soltar un archivo o elegirlo en el <input type="file">
+     * interior evalúa la expresión con `$file`; mientras se arrastra encima, el elemento lleva la clase `dragging`.
+     *
+     * Ejemplos de uso (en español):
+     * 1) <div class="image-drop" pf-image-drop="vm.shareImageFile($file)">...<input type="file"></div>
+     * 2) // equivale a @drop/@change en Vue y a onDrop/onChange en React
+     * 3) // $file es null si se soltó algo que no es un archivo (se muestra el error)
+     */
+    .directive('pfImageDrop', ['$parse', '$window', function ($parse, $window) {
+      const imageShare = $window.PorfolioShared.imageShare;
+      return {
+        restrict: 'A',
+        link: function (scope, element, attrs) {
+          const handler = $parse(attrs.pfImageDrop);
+
+          function emit(file) {
+            scope.$applyAsync(function () { handler(scope, { $file: file }); });
+          }
+          function onDragOver(event) {
+            event.preventDefault();
+            element.addClass('dragging');
+          }
+          function onDragLeave() {
+            element.removeClass('dragging');
+          }
+          function onDrop(event) {
+            event.preventDefault();
+            element.removeClass('dragging');
+            emit(imageShare.imageFileFrom(event.dataTransfer));
+          }
+          function onChange(event) {
+            const input = event.target;
+            if (!input || input.type !== 'file') return;
+            const file = input.files && input.files[0];
+            // Se vacía para poder elegir el mismo archivo otra vez
+            input.value = '';
+            if (file) emit(file);
+          }
+
+          element.on('dragover', onDragOver);
+          element.on('dragleave', onDragLeave);
+          element.on('drop', onDrop);
+          element.on('change', onChange);
+          scope.$on('$destroy', function () {
+            element.off('dragover', onDragOver);
+            element.off('dragleave', onDragLeave);
+            element.off('drop', onDrop);
+            element.off('change', onChange);
+          });
+        }
+      };
+    }])
+    /**
+     * Directiva de elemento con el indicador de conexión realtime: conectando, conectado, offline o degradado,
+     * la latencia del último ping, la cuenta atrás hasta el próximo reintento y un botón para reintentar ya
+     * (shared/connection-status.js). La cuenta atrás se refresca sola con $timeout.
+     *
+     * Ejemplos de uso (en español):
+     * 1) <pf-connection-status status="vm.status" degraded="vm.degraded" reconnect-at="vm.reconnectAt"
+     *      latency="vm.latency" on-reconnect="vm.reconnectNow()"></pf-connection-status>
+     * 2) // equivale a <ConnectionStatus> de las apps Vue y React
+     * 3) // con el socket caído muestra "Offline", "Reintento en 4 s" y "Reconectar ahora"
+     */
+    .directive('pfConnectionStatus', ['$timeout', '$window', function ($timeout, $window) {
+      const connectionStatus = $window.PorfolioShared.connectionStatus;
+      return {
+        restrict: 'E',
+        scope: { status: '<', degraded: '<', reconnectAt: '<', latency: '<', onReconnect: '&' },
+        template:
+          '<span class="connection-status {{view.state}}" title="{{view.title}}">' +
+            '<span class="chip connection-state" role="status">{{view.label}}</span>' +
+            '<span ng-if="view.latency" class="connection-latency {{view.latencyLevel}}" ' +
+              'title="Latencia (ida y vuelta) del último ping">{{view.latency}}</span>' +
+            '<span ng-if="view.retryIn !== null" class="connection-retry">Reintento en {{view.retryIn}} s</span>' +
+            '<button ng-if="view.canRetry" type="button" class="connection-retry-now" ng-click="onReconnect()">Reconectar ahora</button>' +
+          '</span>',
+        link: function (scope) {
+          // Reloj de la cuenta atrás: solo avanza mientras hay un reintento programado
+          let tickTimer = null;
+
+          function render() {
+            scope.view = connectionStatus.describeConnection({
+              status: scope.status,
+              degraded: scope.degraded,
+              reconnectAt: scope.reconnectAt,
+              latency: scope.latency
+            }, Date.now());
+          }
+          function tick() {
+            $timeout.cancel(tickTimer);
+            tickTimer = null;
+            render();
+            const delay = connectionStatus.countdownDelay(scope.reconnectAt, Date.now());
+            if (delay !== null) tickTimer = $timeout(tick, delay);
+          }
+
+          scope.$watchGroup(['status', 'degraded', 'latency'], render);
+          scope.$watch('reconnectAt', tick);
+          scope.$on('$destroy', function () { $timeout.cancel(tickTimer); });
+        }
+      };
+    }])
+    /**
+     * Directiva de elemento con los comentarios y reacciones de un item (shared/annotations.js). Lo enviado
+     * aparece cuando el servidor lo difunde a la sala; si no se pudo enviar se muestra el aviso y se conserva el texto.
+     *
+     * Ejemplos de uso (en español):
+     * 1) <pf-item-annotations item-id="item.id" entry="vm.itemEntry(item)" self="vm.self" read-only="vm.readOnly"
+     *      on-comment="vm.comment(itemId, text)" on-react="vm.react(itemId, emoji, active)"></pf-item-annotations>
+     * 2) // equivale a <ItemAnnotations> de las apps Vue y React
+     * 3) // con rol receiver solo se ve el hilo (sin formulario y con las reacciones deshabilitadas)
+     */
+    .directive('pfItemAnnotations', ['$window', function ($window) {
+      const protocol = $window.PorfolioShared.protocol;
+      const annotations = $window.PorfolioShared.annotations;
+      return {
+        restrict: 'E',
+        scope: { itemId: '<', entry: '<', self: '<', readOnly: '<', onComment: '&', onReact: '&' },
+        template:
+          '<section class="item-annotations" aria-label="Comentarios y reacciones">' +
+            '<div class="reactions" role="group" aria-label="Reacciones">' +
+              '<button ng-repeat="reaction in reactions track by reaction.emoji" type="button" class="reaction" ' +
+                'ng-class="{mine: reaction.mine}" aria-pressed="{{reaction.mine}}" title="{{reaction.names}}" ' +
+                'ng-disabled="readOnly" ng-click="toggleReaction(reaction)">' +
+                '{{reaction.emoji}} <span class="reaction-count">{{reaction.count}}</span>' +
+              '</button>' +
+            '</div>' +
+            '<ul ng-if="entry.comments.length" class="comments">' +
+              '<li ng-repeat="comment in entry.comments track by comment.id" class="comment">' +
+                '<span class="comment-author">{{annotations.commentAuthor(comment, self)}}</span>' +
+                '<time class="comment-time">{{annotations.formatCommentTime(comment.timestamp)}}</time>' +
+                '<p class="comment-text">{{comment.text}}</p>' +
+              '</li>' +
+            '</ul>' +
+            '<p ng-if="!entry.comments.length" class="comments-empty">Sin comentarios todavía</p>' +
+            '<form ng-if="!readOnly" class="comment-form" ng-submit="submitComment()">' +
+              '<input type="text" class="comment-input" ng-model="form.text" ng-trim="false" maxlength="{{maxLength}}" ' +
+                'placeholder="Escribe un comentario" aria-label="Comentario">' +
+              '<button type="submit" ng-disabled="!form.text.trim()">Comentar</button>' +
+            '</form>' +
+            '<p ng-if="form.error" class="comment-error" role="alert">{{form.error}}</p>' +
+          '</section>',
+        link: function (scope) {
+          scope.annotations = annotations;
+          scope.maxLength = protocol.MAX_COMMENT_LENGTH;
+          // Texto del comentario en curso y aviso del último envío fallido (en un objeto por el scope del ng-if)
+          scope.form = { text: '', error: '' };
+
+          scope.submitComment = function () {
+            scope.form.error = '';
+            return Promise.resolve(scope.onComment({ itemId: scope.itemId, text: scope.form.text })).then(function (result) {
+              scope.form.error = annotations.failureMessage(result);
+              if (result === 'ws') scope.form.text = '';
+            }, function (e) {
+              scope.form.error = e && e.message ? e.message : 'No se pudo enviar el comentario';
+            }).then(function () { scope.$applyAsync(); });
+          };
+
+          scope.toggleReaction = function (reaction) {
+            return Promise.resolve(scope.onReact({ itemId: scope.itemId, emoji: reaction.emoji, active: !reaction.mine }))
+              .then(function (result) {
+                scope.form.error = annotations.failureMessage(result);
+                scope.$applyAsync();
+              });
+          };
+
+          scope.$watchGroup(['entry', 'self'], function () {
+            scope.reactions = annotations.reactionSummary(scope.entry, scope.self);
+          });
+          // Otro item en el detalle: se descarta el borrador y el aviso del anterior
+          scope.$watch('itemId', function (next, previous) {
+            if (next !== previous) scope.form = { text: '', error: '' };
+          });
+        }
+      };
+    }])
+    .controller('MainCtrl', ['$scope', '$http', '$window', 'realtimeService', function ($scope, $http, $window, realtimeService) {
       const vm = this;
+      const protocol = $window.PorfolioShared.protocol;
+      const itemUtils = $window.PorfolioShared.items;
+      const itemQuery = $window.PorfolioShared.itemQuery;
+      const imageShare = $window.PorfolioShared.imageShare;
+      const cobrowse = $window.PorfolioShared.cobrowse;
+      const annotations = $window.PorfolioShared.annotations;
+
+      /**
+       * Utilidades de presentación compartidas (título, miniatura, metadatos), para usarlas en la vista.
+       *
+       * Ejemplos de uso (en español):
+       * 1) {{vm.itemUtils.itemTitle(item)}}
+       * 2) ng-src="{{vm.itemUtils.thumbnailSrc(item)}}"
+       * 3) {{vm.itemUtils.formatCachedAt(item.cached_at)}}
+       */
+      vm.itemUtils = itemUtils;
 
       /**
        * Lista de items cargados desde /api/items
@@ -39,23 +373,242 @@
       vm.error = null;
 
       /**
-       * Estado de conexión WS
+       * Estado de conexión WS (Status del cliente: 'connecting', 'open', 'closed'...), próximo intento de
+       * reconexión (Date.now()) y latencia del último ping (ms), para <pf-connection-status>
+       * @type {string}
+       */
+      vm.status = realtimeService.getStatus();
+      vm.reconnectAt = realtimeService.getReconnectAt();
+      vm.latency = realtimeService.getLatency();
+
+      /**
+       * Reintenta la conexión sin esperar a la cuenta atrás (botón "Reconectar ahora").
+       * @returns {void}
+       */
+      vm.reconnectNow = function () {
+        realtimeService.reconnectNow();
+      };
+
+      /**
+       * Shares guardados en el outbox a la espera de reconectar (badge "Pendientes")
+       * @type {number}
+       */
+      vm.pendingCount = realtimeService.getPendingCount();
+
+      /**
+       * true si el token es de rol 'receiver' (solo recibe shares; los clicks no se comparten)
        * @type {boolean}
        */
-      vm.wsConnected = false;
+      vm.readOnly = realtimeService.getRole() === 'receiver';
 
-      // URL del WebSocket (por defecto el host local que expone el servicio realtime)
-      const WS_URL = (function () {
+      /**
+       * true mientras el servidor anuncia 'degraded' (RabbitMQ caído)
+       * @type {boolean}
+       */
+      vm.degraded = realtimeService.getServiceStatus() === 'degraded';
+
+      /**
+       * Presencia: usuarios en línea en la sala, identidad propia y quién compartió el item resaltado
+       *
+       * Ejemplos de uso (en español):
+       * 1) ng-repeat="user in vm.users" -> lista de usuarios en línea
+       * 2) vm.self.id === user.id -> marcar "(tú)"
+       * 3) vm.sharedByLabel() -> texto "compartido por ..." de la fila resaltada
+       */
+      vm.users = realtimeService.getUsers();
+      vm.self = realtimeService.getSelf();
+      vm.sharedBy = null;
+      vm.nameInput = realtimeService.storedName;
+
+      vm.sharedByLabel = function () {
+        if (!vm.sharedBy) return '';
+        return vm.self && vm.sharedBy.id === vm.self.id ? 'ti' : vm.sharedBy.name;
+      };
+
+      /**
+       * Imagen compartida en la sala ({ id, image, sharedBy, timestamp }) hasta que caduca o se cierra,
+       * y motivo por el que no se pudo compartir la última imagen propia.
+       *
+       * Ejemplos de uso (en español):
+       * 1) ng-src="{{vm.imageShare.sharedImageSrc(vm.sharedImage.image)}}"
+       * 2) {{vm.sharedImageLabel()}} -> "ti", el nombre de quien la compartió o "alguien"
+       * 3) <p ng-if="vm.imageError" class="image-error">{{vm.imageError}}</p>
+       */
+      vm.imageShare = imageShare;
+      vm.sharedImage = realtimeService.getSharedImage();
+      vm.imageError = '';
+
+      vm.sharedImageLabel = function () {
+        const by = vm.sharedImage && vm.sharedImage.sharedBy;
+        if (!by) return 'alguien';
+        return vm.self && by.id === vm.self.id ? 'ti' : by.name;
+      };
+
+      /**
+       * Co-navegación: si esta pestaña comparte scroll, puntero e item bajo el ratón, y las pestañas de la
+       * sala que también co-navegan ({ user, scroll, pointer, hover }).
+       *
+       * Ejemplos de uso (en español):
+       * 1) ng-click="vm.toggleCobrowse()" aria-pressed="{{vm.cobrowsing}}"
+       * 2) ng-style="vm.pointerStyle(peer)" -> puntero de otra pestaña
+       * 3) vm.hoveredBy(item) -> ['Ana'] si Ana tiene el ratón sobre el item
+       */
+      vm.cobrowsing = realtimeService.isCobrowsing();
+      vm.cobrowsePeers = realtimeService.getCobrowsePeers();
+
+      vm.toggleCobrowse = function () {
+        vm.cobrowsing = !vm.cobrowsing;
+        realtimeService.setCobrowse(vm.cobrowsing);
+      };
+
+      vm.pointerStyle = function (peer) {
+        return cobrowse.pointerStyle(peer, $window);
+      };
+
+      vm.hoveredBy = function (item) {
+        return cobrowse.hoveredBy(vm.cobrowsePeers, item.id);
+      };
+
+      /**
+       * Comentarios y reacciones de la sala por item (shared/annotations.js), para el resumen de cada fila
+       * y <pf-item-annotations> en el detalle.
+       *
+       * Ejemplos de uso (en español):
+       * 1) vm.annotationBadge(item) -> '💬 2 · 👍 3' ('' si el item no tiene anotaciones)
+       * 2) entry="vm.itemEntry(vm.detailItem())"
+       * 3) on-comment="vm.comment(itemId, text)" -> 'ws', 'failed' (sin conexión) o 'denied' (solo lectura)
+       */
+      vm.annotations = realtimeService.getAnnotations();
+
+      vm.itemEntry = function (item) {
+        return annotations.itemAnnotations(vm.annotations, item.id);
+      };
+
+      vm.annotationBadge = function (item) {
+        return annotations.annotationBadge(vm.itemEntry(item));
+      };
+
+      vm.comment = function (itemId, text) {
+        return realtimeService.comment(itemId, text);
+      };
+
+      vm.react = function (itemId, emoji, active) {
+        return realtimeService.react(itemId, emoji, active);
+      };
+
+      /**
+       * Modo de vista de la lista: 'list' (filas) o 'grid' (cuadrícula de miniaturas); se recuerda en localStorage.
+       * @type {string}
+       */
+      vm.viewMode = (function () {
         try {
-          // Permite override si se define en window.WS_URL desde el index o env
-          if ($window.WS_URL) return $window.WS_URL;
-        } catch (e) {}
-        return 'ws://localhost:3000';
+          return itemUtils.normalizeViewMode($window.localStorage.getItem(itemUtils.VIEW_MODE_STORAGE_KEY));
+        } catch (e) {
+          return itemUtils.ViewModes.LIST;
+        }
       }());
 
-      let ws = null;
-      let reconnectDelay = 1000;
-      const MAX_RECONNECT = 30000;
+      /**
+       * Cambia el modo de vista y lo recuerda.
+       * @param {('list'|'grid')} mode
+       *
+       * Ejemplos de uso (en español):
+       * 1) ng-click="vm.setViewMode('grid')" // botón "Miniaturas"
+       * 2) ng-click="vm.setViewMode('list')" // botón "Lista"
+       * 3) // se guarda en localStorage (porfolio.viewMode)
+       */
+      vm.setViewMode = function (mode) {
+        vm.viewMode = itemUtils.normalizeViewMode(mode);
+        try { $window.localStorage.setItem(itemUtils.VIEW_MODE_STORAGE_KEY, vm.viewMode); } catch (e) {}
+      };
+
+      /**
+       * Panel de detalle: se abre al compartir o recibir un item y se cierra solo en esta pestaña.
+       * @type {boolean}
+       *
+       * Ejemplos de uso (en español):
+       * 1) ng-if="vm.detailItem()" -> muestra el panel con el item seleccionado
+       * 2) ng-click="vm.closeDetail()" -> botón de cerrar
+       * 3) // el próximo share (propio o de otra pestaña) lo vuelve a abrir
+       */
+      vm.detailOpen = false;
+
+      /**
+       * Búsqueda, orden y página de la lista ({ q, sort, dir, page, size }), leída de la query de la URL.
+       * @type {Object}
+       *
+       * Ejemplos de uso (en español):
+       * 1) ng-model="vm.query.q" ng-change="vm.setQuery({ q: vm.query.q })"
+       * 2) // ?q=gato&sort=title&page=2 abre la misma vista
+       * 3) vm.listView.items -> página visible ya filtrada y ordenada
+       */
+      vm.query = itemQuery.parseQuery($window.location.search);
+      vm.pageSizes = itemQuery.PAGE_SIZES;
+      // '' = orden de llegada: la API y los shares nuevos al principio
+      vm.sortOptions = [
+        { value: itemQuery.SortFields.NONE, label: 'Orden de llegada' },
+        { value: itemQuery.SortFields.ID, label: 'Id' },
+        { value: itemQuery.SortFields.CACHED_AT, label: 'Fecha de caché' },
+        { value: itemQuery.SortFields.TITLE, label: 'Título' }
+      ];
+      vm.listView = itemQuery.applyQuery(vm.items, vm.query);
+
+      function refreshListView() {
+        vm.listView = itemQuery.applyQuery(vm.items, vm.query);
+      }
+
+      /**
+       * Cambia búsqueda, orden o página y lo refleja en la URL (un enlace copiado abre la misma vista).
+       * Cambiar la búsqueda, el orden o el tamaño vuelve a la primera página.
+       * @param {Object} patch - campos de { q, sort, dir, page, size } que cambian
+       *
+       * Ejemplos de uso (en español):
+       * 1) vm.setQuery({ q: 'gato' }) // ?q=gato
+       * 2) vm.setQuery({ sort: 'cached_at', dir: 'desc' }) // más recientes primero
+       * 3) ng-click="vm.setQuery({ page: vm.listView.page + 1 })"
+       */
+      vm.setQuery = function (patch) {
+        vm.query = itemQuery.updateQuery(vm.query, patch);
+        refreshListView();
+        try {
+          $window.history.replaceState(null, '', itemQuery.toUrl($window.location.href, vm.query));
+        } catch (e) {}
+      };
+
+      vm.detailItem = function () {
+        return vm.detailOpen ? itemUtils.findItem(vm.items, vm.selectedId) : null;
+      };
+
+      vm.closeDetail = function () {
+        vm.detailOpen = false;
+      };
+
+      const ROOMS_STORAGE_KEY = 'porfolio.rooms';
+
+      /**
+       * Sala actual (se refleja en ?room= de la URL)
+       * @type {string}
+       *
+       * Ejemplos de uso (en español):
+       * 1) vm.room -> 'default' si la URL no indica sala
+       * 2) // se envía como ?room= al abrir el WebSocket
+       * 3) // cambia al llamar vm.joinRoom
+       */
+      vm.room = realtimeService.getRoom();
+      vm.roomInput = vm.room;
+
+      /**
+       * Salas usadas recientemente (sugerencias del selector)
+       * @type {Array<string>}
+       */
+      vm.knownRooms = (function () {
+        try {
+          const stored = JSON.parse($window.localStorage.getItem(ROOMS_STORAGE_KEY) || '[]');
+          return Array.isArray(stored) ? stored.filter(function (r) { return typeof r === 'string'; }) : [];
+        } catch (e) {
+          return [];
+        }
+      }());
 
       /**
        * Carga los items desde la API /api/items.
@@ -80,148 +633,209 @@
       };
 
       /**
-       * Envía el item compartido por WebSocket o por fallback HTTP (/api/share).
-       * @param {Object} item - item a compartir
+       * Acción al hacer click en un item: comparte, marca localmente y abre el detalle.
+       * @param {Object} item
        * @returns {Promise<void>}
        *
        * Ejemplos de uso (en español):
-       * 1) vm.sendSharedItem(item);
-       * 2) // Si WS abierto se enviará por socket, si no, hará POST a /api/share
-       * 3) // Usado por vm.share al hacer click en un item
+       * 1) ng-click="vm.share(item)"
+       * 2) // establece vm.selectedId y notifica a otras ventanas (WS o fallback HTTP)
+       * 3) // útil para sincronizar selección entre pestañas
        */
-      vm.sendSharedItem = function (item) {
-        return new Promise(function (resolve) {
-          const payload = JSON.stringify({ action: 'share_item', item: item });
-          if (vm.wsConnected && ws && ws.readyState === WebSocket.OPEN) {
-            try {
-              ws.send(payload);
-              return resolve();
-            } catch (e) {
-              console.warn('[angular-app] Error enviando por WS, fallback HTTP:', e);
-            }
-          }
-
-          // Fallback HTTP
-          $http.post('/api/share', { item: item }).then(function () {
-            resolve();
-          }).catch(function (err) {
-            console.warn('[angular-app] Fallback HTTP falló:', err);
-            resolve();
-          });
-        });
+      vm.share = function (item) {
+        if (!item || typeof item !== 'object' || vm.readOnly) return;
+        vm.selectedId = item.id;
+        vm.sharedBy = vm.self;
+        vm.detailOpen = true;
+        return realtimeService.share(item);
       };
 
       /**
-       * Acción al hacer click en un item: comparte y marca localmente.
-       * @param {Object} item
+       * Lee un archivo de imagen y lo comparte con la sala; los problemas se muestran en vm.imageError.
+       * @param {(File|null)} file
        * @returns {Promise<void>}
        *
        * Ejemplos de uso (en español):
-       * 1) ng-click="vm.share(item)"
-       * 2) // establece vm.selectedId y notifica a otras ventanas
-       * 3) // útil para sincronizar selección entre pestañas
+       * 1) pf-image-drop="vm.shareImageFile($file)" -> al soltar o elegir un archivo
+       * 2) vm.shareImageFile(pdf) // vm.imageError = 'Formato no admitido: application/pdf (...)'
+       * 3) // sin WS se envía por POST /api/share; si también falla se avisa al usuario
        */
-      vm.share = function (item) {
-        if (!item || typeof item !== 'object') return;
-        vm.selectedId = item.id;
-        vm.sendSharedItem(item);
+      vm.shareImageFile = function (file) {
+        if (vm.readOnly) return Promise.resolve();
+        vm.imageError = '';
+        return imageShare.readImageFile(file)
+          .then(function (image) { return realtimeService.shareImage(image); })
+          .then(function (result) {
+            if (result === 'failed') vm.imageError = 'No se pudo compartir la imagen';
+          }, function (e) {
+            vm.imageError = e && e.message ? e.message : 'No se pudo compartir la imagen';
+          })
+          .then(function () { $scope.$applyAsync(); });
       };
 
       /**
-       * Maneja mensajes entrantes desde el servidor realtime.
-       * @param {string} raw - mensaje crudo recibido
+       * Oculta la imagen compartida en esta pestaña (las demás la siguen viendo hasta que caduque).
+       *
        * Ejemplos de uso (en español):
-       * 1) handleIncoming('{"action":"share_item","item":{...}}')
-       * 2) // se encarga de normalizar formato de realtime
-       * 3) // actualiza vm.selectedId y agrega item si no existe
+       * 1) ng-click="vm.dismissImage()" -> botón de cerrar
+       * 2) // la próxima imagen compartida vuelve a mostrarse
+       * 3) // no avisa a las demás pestañas
        */
-      function handleIncoming(raw) {
-        let parsed = null;
-        try {
-          parsed = JSON.parse(raw);
-        } catch (e) {
-          console.warn('[angular-app] Mensaje WS no JSON:', raw);
-          return;
-        }
-
-        let payload = parsed;
-        if (parsed && parsed.source && parsed.payload) payload = parsed.payload;
-
-        if (payload && payload.action === 'share_item' && payload.item) {
-          try {
-            // Normalizar id a número cuando sea posible (evitar comparaciones estrictas fallidas)
-            const shared = payload.item;
-            if (shared && shared.id != null) {
-              const n = Number(shared.id);
-              if (!Number.isNaN(n)) shared.id = n;
-            }
-
-            console.debug('[angular-app] Mensaje share_item recibido:', payload);
+      vm.dismissImage = function () {
+        realtimeService.dismissImage();
+      };
 
-            vm.selectedId = shared.id;
-            const exists = vm.items.some(function (it) { return Number(it.id) === Number(shared.id); });
-            if (!exists) {
-              vm.items.unshift(shared);
-            }
-          } catch (err) {
-            console.error('[angular-app] Error procesando payload:', err, payload);
-          }
-          // Forzar digest para que la vista refleje siempre la selección remota
-          $scope.$applyAsync && $scope.$applyAsync();
-        }
+      // Pegar (Ctrl+V) una imagen en cualquier parte de la página la comparte; el texto pegado se ignora
+      function onPaste(event) {
+        const file = imageShare.imageFileFrom(event.clipboardData, { imagesOnly: true });
+        if (!file || vm.readOnly) return;
+        event.preventDefault();
+        vm.shareImageFile(file);
       }
 
       /**
-       * Establece conexión WebSocket y handlers (reconexión simple con backoff).
+       * Une la pestaña a otra sala (la crea si no existe) y/o cambia el nombre visible,
+       * actualiza ?room= y avisa al servidor.
+       * @param {string} name - sala elegida
+       * @param {string} [displayName] - nombre visible para los demás
+       *
+       * Ejemplos de uso (en español):
+       * 1) ng-submit="vm.joinRoom(vm.roomInput, vm.nameInput)"
+       * 2) // si WS está cerrado, la próxima reconexión usará la nueva sala y nombre
+       * 3) // al cambiar de sala limpia vm.selectedId porque pertenece a la sala anterior
        */
-      function connectWebSocket() {
-        try {
-          ws = new WebSocket(WS_URL);
-        } catch (e) {
-          console.warn('[angular-app] Error creando WebSocket:', e);
-          scheduleReconnect();
-          return;
-        }
+      vm.joinRoom = function (name, displayName) {
+        const next = protocol.normalizeRoom(name);
+        const nextName = protocol.normalizeDisplayName(displayName);
+        const roomChanged = next !== vm.room;
+        // Un nombre vacío conserva el que ya asignó el servidor
+        const nameChanged = !!nextName && (!vm.self || vm.self.name !== nextName);
+        vm.roomInput = next;
+        vm.nameInput = nextName;
+        if (!roomChanged && !nameChanged) return;
 
-        ws.onopen = function () {
-          vm.wsConnected = true;
-          // Exponer el socket en window para depuración rápida en el navegador
-          try { window.__ang_ws = ws; } catch (e) {}
-          reconnectDelay = 1000;
-          console.info('[angular-app] WS conectado a', WS_URL);
-          $scope.$applyAsync && $scope.$applyAsync();
-        };
+        try { $window.localStorage.setItem(realtimeService.NAME_STORAGE_KEY, nextName); } catch (e) {}
+        vm.room = realtimeService.join(next, nextName);
+        if (!roomChanged) return;
 
-        ws.onmessage = function (ev) {
-          // Log crudo para depuración: mostrar el mensaje tal cual llega
-          try { console.debug('[angular-app] WS raw message:', ev.data); } catch (e) {}
-          handleIncoming(ev.data);
-        };
+        vm.selectedId = null;
+        vm.sharedBy = null;
+        vm.detailOpen = false;
 
-        ws.onclose = function () {
-          vm.wsConnected = false;
-          $scope.$applyAsync && $scope.$applyAsync();
-          scheduleReconnect();
-        };
+        try {
+          const url = new URL($window.location.href);
+          url.searchParams.set('room', next);
+          $window.history.replaceState(null, '', url.toString());
+        } catch (e) {}
 
-        ws.onerror = function (err) {
-          console.warn('[angular-app] Error WS', err);
-        };
+        vm.knownRooms = [next].concat(vm.knownRooms.filter(function (r) { return r !== next; })).slice(0, 10);
+        try { $window.localStorage.setItem(ROOMS_STORAGE_KEY, JSON.stringify(vm.knownRooms)); } catch (e) {}
+      };
+
+      /**
+       * Aplica un item compartido por otra ventana (id ya normalizado por el cliente realtime).
+       * @param {Object} shared - item recibido
+       * @param {Object} [message] - sobre share_item; de su payload se toma `sharedBy`
+       * Ejemplos de uso (en español):
+       * 1) realtimeService.onShared(applySharedItem)
+       * 2) applySharedItem({ id: 3, title: '...' }) // marca el item #3
+       * 3) // abre el detalle y agrega el item al principio si no existía
+       */
+      function applySharedItem(shared, message) {
+        console.debug('[angular-app] Item compartido recibido:', shared);
+        vm.selectedId = shared.id;
+        vm.detailOpen = true;
+        vm.sharedBy = (message && message.payload.sharedBy) || null;
+        const exists = vm.items.some(function (it) { return it.id === shared.id; });
+        if (!exists) {
+          vm.items.unshift(shared);
+        }
       }
 
-      function scheduleReconnect() {
-        const delay = reconnectDelay;
-        reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT);
-        $timeout(function () { connectWebSocket(); }, delay);
+      /**
+       * Aplica el estado de la sala enviado por el servidor al conectar/reconectar o cambiar de sala
+       * (o el item actual tras revertir un share propio).
+       * @param {{room: string, current: (Object|null), sharedBy: (Object|null), history: Array<Object>}} snapshot
+       * Ejemplos de uso (en español):
+       * 1) realtimeService.onSnapshot(applySnapshot)
+       * 2) applySnapshot({ room: 'default', current: { id: 3 }, history: [] }) // marca el item #3
+       * 3) // con current null (sala sin shares) se limpia la selección
+       */
+      function applySnapshot(snapshot) {
+        if (snapshot.current) {
+          applySharedItem(snapshot.current);
+          vm.sharedBy = snapshot.sharedBy || null;
+        } else {
+          vm.selectedId = null;
+          vm.sharedBy = null;
+          vm.detailOpen = false;
+        }
       }
 
       // Inicialización
+      // La página visible se recalcula cuando cambia la lista (carga o share nuevo) o la búsqueda
+      $scope.$watchCollection(function () { return vm.items; }, refreshListView);
       vm.loadItems();
-      connectWebSocket();
+      const offStatus = realtimeService.on('status', function (status) {
+        vm.status = status;
+        vm.reconnectAt = realtimeService.getReconnectAt();
+      });
+      const offReconnect = realtimeService.on('reconnect', function (delay, at) {
+        vm.reconnectAt = at;
+      });
+      const offLatency = realtimeService.on('latency', function (ms) {
+        vm.latency = ms;
+      });
+      const offOutbox = realtimeService.on('outbox', function (count) {
+        vm.pendingCount = count;
+      });
+      const offRole = realtimeService.on('role', function (role) {
+        vm.readOnly = role === 'receiver';
+      });
+      const offServiceStatus = realtimeService.on('service-status', function (state) {
+        vm.degraded = state === 'degraded';
+      });
+      const offUsers = realtimeService.on('users', function (users) {
+        vm.users = users;
+        vm.self = realtimeService.getSelf();
+      });
+      const offShared = realtimeService.onShared(applySharedItem);
+      const offSnapshot = realtimeService.onSnapshot(applySnapshot);
+      // Share propio que perdió frente a otro más reciente (o rechazado): vuelve al item actual de la sala
+      const offRollback = realtimeService.onRollback(applySnapshot);
+      const offImage = realtimeService.on('image', function (image) {
+        vm.sharedImage = image;
+      });
+      const offCobrowse = realtimeService.on('cobrowse', function (peers) {
+        vm.cobrowsePeers = peers;
+      });
+      const offAnnotations = realtimeService.on('annotations', function (next) {
+        vm.annotations = next;
+      });
+      $window.document.addEventListener('paste', onPaste);
+      realtimeService.connect();
+
+      $scope.$on('$destroy', function () {
+        offStatus();
+        offReconnect();
+        offLatency();
+        offOutbox();
+        offUsers();
+        offRole();
+        offServiceStatus();
+        offShared();
+        offSnapshot();
+        offRollback();
+        offImage();
+        offCobrowse();
+        offAnnotations();
+        realtimeService.setCobrowse(false);
+        $window.document.removeEventListener('paste', onPaste);
+      });
 
       // Cleanup on unload
       $window.addEventListener && $window.addEventListener('unload', function () {
-        try { ws && ws.close(); } catch (e) {}
+        realtimeService.close();
       });
 
     }]);
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, afterEach, beforeAll, vi } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import angular from 'angular';
+import { defineItemListSpec, flushMicrotasks } from '@shared/testing/item-list-spec.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Plantilla real de la app: el contenido del <body> de index.html con su ng-controller.
+ * @returns {string}
+ */
+function loadTemplate() {
+  const html = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return `<div ng-controller="${doc.body.getAttribute('ng-controller')}">${doc.body.innerHTML}</div>`;
+}
+
+/**
+ * $httpBackend que responde desde la API simulada (sustituye al XHR real de AngularJS).
+ * @param {Object} api - Resultado de createFakeApi.
+ * @returns {Function}
+ */
+function fakeHttpBackend(api) {
+  return function (method, url, post, callback, headers) {
+    api.handle(method, url, post, headers).then(({ status, data }) => {
+      callback(status, JSON.stringify(data), 'Content-Type: application/json', String(status), 'complete');
+    });
+  };
+}
+
+beforeAll(async () => {
+  // app.js es un script clásico que registra el módulo en el `angular` global
+  globalThis.angular = angular;
+  await import('../app.js');
+});
+
+/**
+ * Adaptador de la especificación común: compila index.html con `MainCtrl` y $http respondiendo desde la API simulada.
+ */
+const angularAdapter = {
+  name: 'AngularJS MainCtrl',
+  async mount({ api }) {
+    const injector = angular.injector(['ng', 'porfolioApp', ['$provide', function ($provide) {
+      $provide.value('$httpBackend', fakeHttpBackend(api));
+    }]]);
+    const $rootScope = injector.get('$rootScope');
+    const container = document.createElement('div');
+    container.innerHTML = loadTemplate();
+    document.body.appendChild(container);
+    const scope = $rootScope.$new();
+    injector.get('$compile')(container)(scope);
+    $rootScope.$digest();
+
+    return {
+      container,
+      async settle(action) {
+        if (action) await action();
+        // Varias vueltas: las respuestas de $http, las promesas del cliente realtime y los $applyAsync se encadenan
+        for (let i = 0; i < 3; i += 1) {
+          await flushMicrotasks();
+          $rootScope.$digest();
+        }
+      },
+      unmount() {
+        scope.$destroy();
+        injector.get('realtimeService').close();
+        container.remove();
+      }
+    };
+  }
+};
+
+defineItemListSpec({ describe, it, expect, beforeEach, afterEach, vi }, angularAdapter);
@@ -0,0 +1,20 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vitest/config';
+
+const rootDir = path.dirname(fileURLToPath(import.meta.url));
+
+// Solo para los tests: la app se sirve sin build (ver Dockerfile)
+export default defineConfig({
+  resolve: {
+    // Módulos compartidos con el servicio realtime y las otras apps (carpeta /shared del repo)
+    alias: { '@shared': path.resolve(rootDir, '../shared') }
+  },
+  server: {
+    fs: { allow: ['..'] }
+  },
+  test: {
+    environment: 'jsdom',
+    setupFiles: [path.resolve(rootDir, '../shared/testing/setup-globals.js')]
+  }
+});
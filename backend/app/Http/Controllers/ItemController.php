@@ -5,14 +5,29 @@ namespace App\Http\Controllers;
 use Laravel\Lumen\Routing\Controller as BaseController;
 use Illuminate\Http\Request;
 use GuzzleHttp\Client;
+use App\Support\RealtimeToken;
 
 /**
  * Controlador para administrar Items.
  * - `getAll` devuelve la lista de items (usa cache SQLite local, refresca desde API pública si está vacío o forzado).
- * - `share` publica un mensaje en la cola RabbitMQ para que el servicio realtime lo difunda.
+ * - `share` publica un mensaje en la cola RabbitMQ para que el servicio realtime lo difunda
+ *   (un item de la lista o una imagen por `url` / `image_base64`).
  */
 class ItemController extends BaseController
 {
+    /** Formatos de imagen admitidos en `image_base64` (los mismos que IMAGE_MIME_TYPES en shared/protocol.js). */
+    private const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+    /** Tamaño máximo de la imagen decodificada (MAX_IMAGE_BYTES en shared/protocol.js). */
+    private const MAX_IMAGE_BYTES = 262144;
+
+    /** Ids de sobre que acepta /api/share del cliente (hasta 128 caracteres, como en shared/protocol.js). */
+    private const ENVELOPE_ID_PATTERN = '/^[A-Za-z0-9._:-]{1,128}$/';
+
+    /** Tamaño máximo del sobre publicado (WS_MAX_MESSAGE_BYTES y WS_MAX_IMAGE_MESSAGE_BYTES de realtime). */
+    private const MAX_MESSAGE_BYTES = 16384;
+    private const MAX_IMAGE_MESSAGE_BYTES = 393216;
+
     private string $dbPath;
 
     public function __construct()
@@ -96,26 +111,70 @@ class ItemController extends BaseController
     }
 
     /**
-     * Recibe una imagen (URL o base64) y publica un mensaje en la cola `shared_items`.
+     * Comparte un item o una imagen con las demás pestañas de una sala: publica en la cola `shared_items`
+     * un mensaje `share_item` (o `share_image`) con el mismo sobre que usan los clientes por WebSocket
+     * (shared/protocol.js), así el servicio realtime lo difunde igual que un share hecho por WS. Es el
+     * fallback HTTP de las apps. Con `id` (texto de hasta 128 caracteres) el sobre conserva el id que el
+     * cliente ya reflejó a sus otras pestañas por BroadcastChannel, que así lo reconocen al llegar por WS.
+     *
+     * Con WS_AUTH_SECRET exige el mismo token que el WebSocket (`Authorization: Bearer <token>`): 401 sin
+     * token válido y 403 si su rol no puede enviar. El remitente y `sharedBy.id` son el `sub` del token y el
+     * nombre el `displayName` enviado o, si falta, el del token, como en una conexión WS. Sin WS_AUTH_SECRET
+     * (solo desarrollo) no hay identidad verificable: el sobre va sin `sharedBy` y con remitente `backend`.
+     * Un sobre de más de 16 KB (384 KB con imagen) se rechaza con 413, igual que el límite de realtime.
      * @param Request $request
      * @return \Illuminate\Http\JsonResponse
      *
      * Ejemplos de uso (en español):
-     * 1) POST /api/share { "url": "https://..." } -> publicará la URL en la cola para difusión.
-     * 2) POST /api/share { "image_base64": "data:image/png;base64,..." } -> publicará la imagen en base64.
-     * 3) Usar desde el frontend al seleccionar un archivo: enviar la URL o el base64 al endpoint.
+     * 1) POST /api/share { "item": { "id": 5, "title": "..." }, "room": "equipo-a" } -> 202 { status, id, room }
+     * 2) POST /api/share { "image_base64": "iVBORw0...", "mime": "image/png", "name": "captura.png" } -> share_image
+     * 3) POST /api/share { "url": "https://..." } -> share_image con la imagen por URL
+     * 4) POST /api/share { "item": { "id": 5 }, "id": "0b6c...-uuid" } -> el sobre publicado lleva ese id
+     * 5) POST /api/share (Authorization: Bearer eyJ...) { "item": { "id": 5 }, "displayName": "Ana" } -> sharedBy { id: sub, name: 'Ana' }
      */
     public function share(Request $request)
     {
-        $payload = [];
-        if ($request->has('url')) {
-            $payload['type'] = 'url';
-            $payload['url'] = $request->input('url');
-        } elseif ($request->has('image_base64')) {
-            $payload['type'] = 'base64';
-            $payload['image_base64'] = $request->input('image_base64');
+        $identity = $this->authenticateSender($request);
+        if (isset($identity['error'])) {
+            return response()->json(['error' => $identity['error']], $identity['status']);
+        }
+        $room = $this->normalizeRoom($request->input('room'));
+        $messageId = $request->input('id');
+        if ($messageId !== null && (!is_string($messageId) || !preg_match(self::ENVELOPE_ID_PATTERN, $messageId))) {
+            return response()->json(['error' => 'id debe ser un texto de hasta 128 caracteres (letras, números, . _ : -)'], 400);
+        }
+
+        if ($request->has('image_base64') || $request->has('url')) {
+            $result = $this->buildImage($request);
+            if (isset($result['error'])) {
+                return response()->json(['error' => $result['error']], $result['status']);
+            }
+            $type = 'share_image';
+            $payload = ['image' => $result['image']];
         } else {
-            return response()->json(['error' => 'Se requiere url o image_base64'], 400);
+            $item = $request->input('item');
+            if (!is_array($item) || !array_key_exists('id', $item)) {
+                return response()->json(['error' => 'Se requiere item con id, url o image_base64'], 400);
+            }
+            $id = $item['id'];
+            $validId = (is_int($id) || is_float($id)) ? is_finite((float)$id) : (is_string($id) && $id !== '' && strlen($id) <= 128);
+            if (!$validId) {
+                return response()->json(['error' => 'item.id debe ser un número o texto de hasta 128 caracteres'], 400);
+            }
+            $type = 'share_item';
+            $payload = ['item' => $item];
+        }
+        if ($identity['sharedBy'] !== null) {
+            $payload['sharedBy'] = $identity['sharedBy'];
+        }
+        $message = $this->buildMessage($type, $payload, $room, $messageId, $identity['sender']);
+        $encoded = json_encode($message);
+        if ($encoded === false) {
+            return response()->json(['error' => 'El item no se puede codificar como JSON'], 400);
+        }
+        $maxBytes = $type === 'share_image' ? self::MAX_IMAGE_MESSAGE_BYTES : self::MAX_MESSAGE_BYTES;
+        if (strlen($encoded) > $maxBytes) {
+            return response()->json(['error' => 'El mensaje supera el máximo de ' . ($maxBytes / 1024) . ' KB'], 413);
         }
 
         // Publicar en RabbitMQ usando php-amqplib
@@ -128,8 +187,11 @@ class ItemController extends BaseController
             );
             $channel = $connection->channel();
             $channel->queue_declare('shared_items', false, true, false, false);
-            $msgBody = json_encode($payload);
-            $msg = new \PhpAmqpLib\Message\AMQPMessage($msgBody, ['delivery_mode' => 2]);
+            $msg = new \PhpAmqpLib\Message\AMQPMessage($encoded, [
+                'delivery_mode' => 2,
+                'content_type' => 'application/json',
+                'message_id' => $message['id'],
+            ]);
             $channel->basic_publish($msg, '', 'shared_items');
             $channel->close();
             $connection->close();
@@ -137,7 +199,170 @@ class ItemController extends BaseController
             return response()->json(['error' => 'No se pudo publicar en la cola', 'details' => $e->getMessage()], 500);
         }
 
-        return response()->json(['status' => 'ok']);
+        return response()->json(['status' => 'ok', 'id' => $message['id'], 'room' => $message['room']], 202);
     }
-}
 
+    /**
+     * Valida la imagen de la petición y la devuelve en el formato de `payload.image` de `share_image`:
+     * `['type' => 'url', 'url' => ...]` o `['type' => 'base64', 'image_base64' => ..., 'mime' => ..., 'name' => ...]`.
+     * Aplica las mismas reglas que validateImage en shared/protocol.js.
+     * @param Request $request
+     * @return array `['image' => [...]]` o `['error' => motivo, 'status' => 400|413]`.
+     *
+     * Ejemplos de uso (en español):
+     * 1) $this->buildImage($request); // ['image' => ['type' => 'url', 'url' => 'https://...']]
+     * 2) // image_base64 con prefijo "data:image/png;base64," también se acepta (se quita el prefijo)
+     * 3) // ['error' => 'La imagen supera el máximo de 256 KB', 'status' => 413]
+     */
+    private function buildImage(Request $request): array
+    {
+        if ($request->has('url')) {
+            $url = $request->input('url');
+            if (!is_string($url) || strlen($url) > 2048 || !preg_match('#^https?://#i', $url) || !filter_var($url, FILTER_VALIDATE_URL)) {
+                return ['error' => 'url debe ser una URL http(s) de hasta 2048 caracteres', 'status' => 400];
+            }
+            return ['image' => ['type' => 'url', 'url' => $url]];
+        }
+
+        $data = $request->input('image_base64');
+        $mime = $request->input('mime');
+        if (!is_string($data)) {
+            return ['error' => 'image_base64 debe ser un texto', 'status' => 400];
+        }
+        if (preg_match('#^data:([a-z/+.-]+);base64,#i', $data, $match)) {
+            $mime = $mime ?: strtolower($match[1]);
+            $data = substr($data, strlen($match[0]));
+        }
+        $bytes = base64_decode($data, true);
+        if ($data === '' || $bytes === false || !preg_match('#^[A-Za-z0-9+/]+={0,2}$#', $data)) {
+            return ['error' => 'image_base64 no es base64 válido', 'status' => 400];
+        }
+        if (strlen($bytes) > self::MAX_IMAGE_BYTES) {
+            return ['error' => 'La imagen supera el máximo de ' . (self::MAX_IMAGE_BYTES / 1024) . ' KB', 'status' => 413];
+        }
+        // El formato se comprueba con el contenido real, no solo con lo que declara el cliente
+        $detected = (new \finfo(FILEINFO_MIME_TYPE))->buffer($bytes);
+        if (!in_array($detected, self::IMAGE_MIME_TYPES, true) || ($mime && $mime !== $detected)) {
+            return ['error' => 'Formato de imagen no admitido (usa ' . implode(', ', self::IMAGE_MIME_TYPES) . ')', 'status' => 400];
+        }
+
+        $image = ['type' => 'base64', 'image_base64' => $data, 'mime' => $detected];
+        $name = $request->input('name');
+        if (is_string($name) && $name !== '') {
+            $image['name'] = mb_substr($name, 0, 128);
+        }
+        return ['image' => $image];
+    }
+
+    /**
+     * Construye un sobre del protocolo realtime (versión 1) publicado por el backend.
+     * @param string $type Tipo de mensaje (`share_item` o `share_image`).
+     * @param array $payload Payload del tipo (`['item' => ...]` o `['image' => ...]`).
+     * @param string $room Sala ya normalizada.
+     * @param string|null $id Id del sobre ya validado (null = uno nuevo).
+     * @param string|null $sender Remitente: el `sub` del token verificado (null = 'backend').
+     * @return array
+     *
+     * Ejemplos de uso (en español):
+     * 1) $this->buildMessage('share_item', ['item' => ['id' => 5]], 'default');
+     * 2) // ['type' => 'share_item', 'version' => 1, 'id' => '<uuid>', 'sender' => 'backend', ...]
+     * 3) // realtime completa `sharedBy` con el remitente al consumirlo si el payload no lo trae
+     */
+    private function buildMessage(string $type, array $payload, string $room, ?string $id = null, ?string $sender = null): array
+    {
+        return [
+            'type' => $type,
+            'version' => 1,
+            'id' => $id ?? $this->uuid(),
+            'timestamp' => (int)round(microtime(true) * 1000),
+            'sender' => $sender ?? 'backend',
+            'room' => $room,
+            'payload' => $payload,
+        ];
+    }
+
+    /**
+     * Identidad con la que se publica el share. Con WS_AUTH_SECRET verifica el token del WebSocket y la toma
+     * de él: remitente y `sharedBy.id` son su `sub` y el nombre, el `displayName` de la petición limpio como
+     * normalizeDisplayName de shared/protocol.js (sin caracteres de control, hasta 32) o el `name` del token.
+     * Sin WS_AUTH_SECRET no hay identidad: remitente `backend` (realtime completa `sharedBy`).
+     * @param Request $request
+     * @return array `['sender' => ..., 'sharedBy' => [...]|null]` o `['error' => motivo, 'status' => 401|403]`.
+     *
+     * Ejemplos de uso (en español):
+     * 1) // Bearer de rol sender con sub 'ana' -> ['sender' => 'ana', 'sharedBy' => ['id' => 'ana', 'name' => 'Ana']]
+     * 2) // Bearer de rol receiver -> ['error' => 'El rol "receiver" no puede compartir', 'status' => 403]
+     * 3) // sin WS_AUTH_SECRET -> ['sender' => null, 'sharedBy' => null]: lo que diga el cliente se ignora
+     */
+    private function authenticateSender(Request $request): array
+    {
+        $secret = (string)env('WS_AUTH_SECRET', '');
+        if ($secret === '') {
+            return ['sender' => null, 'sharedBy' => null];
+        }
+        $result = RealtimeToken::verify($request->bearerToken(), $secret);
+        if (!$result['ok']) {
+            return ['error' => $result['reason'], 'status' => 401];
+        }
+        $claims = $result['claims'];
+        if (!in_array($claims['role'], RealtimeToken::SENDER_ROLES, true)) {
+            return ['error' => 'El rol "' . $claims['role'] . '" no puede compartir', 'status' => 403];
+        }
+        $sub = $claims['sub'];
+        if (!preg_match(self::ENVELOPE_ID_PATTERN, $sub)) {
+            return ['error' => 'El claim sub no sirve como remitente (hasta 128 caracteres: letras, números, . _ : -)', 'status' => 401];
+        }
+        $name = $this->cleanDisplayName($request->input('displayName'))
+            ?? $this->cleanDisplayName($claims['name'] ?? null)
+            ?? mb_substr($sub, 0, 32);
+        return ['sender' => $sub, 'sharedBy' => ['id' => $sub, 'name' => $name]];
+    }
+
+    /**
+     * Limpia un nombre visible como normalizeDisplayName de shared/protocol.js.
+     * @param mixed $value
+     * @return string|null Nombre sin caracteres de control, recortado y de hasta 32 caracteres, o null si queda vacío.
+     */
+    private function cleanDisplayName($value): ?string
+    {
+        if (!is_string($value)) {
+            return null;
+        }
+        // preg_replace devuelve null si el nombre no es UTF-8 válido
+        $clean = preg_replace('/[\x00-\x1F\x7F]/u', '', $value);
+        $name = is_string($clean) ? mb_substr(trim($clean), 0, 32) : '';
+        return $name === '' ? null : $name;
+    }
+
+    /**
+     * Normaliza el nombre de sala con la misma regla que shared/protocol.js: minúsculas, solo [a-z0-9_-],
+     * máximo 64 caracteres y 'default' si queda vacío.
+     * @param mixed $name
+     * @return string
+     *
+     * Ejemplos de uso (en español):
+     * 1) $this->normalizeRoom(' Equipo A '); // 'equipoa'
+     * 2) $this->normalizeRoom(null); // 'default'
+     * 3) // debe coincidir con normalizeRoom del protocolo para que el share llegue a la misma sala
+     */
+    private function normalizeRoom($name): string
+    {
+        if (!is_string($name)) {
+            return 'default';
+        }
+        $clean = substr(preg_replace('/[^a-z0-9_-]/', '', strtolower(trim($name))), 0, 64);
+        return $clean !== '' ? $clean : 'default';
+    }
+
+    /**
+     * Genera un UUID v4 para el id del mensaje.
+     * @return string
+     */
+    private function uuid(): string
+    {
+        $bytes = random_bytes(16);
+        $bytes[6] = chr((ord($bytes[6]) & 0x0f) | 0x40);
+        $bytes[8] = chr((ord($bytes[8]) & 0x3f) | 0x80);
+        return vsprintf('%s%s-%s-%s-%s-%s%s%s', str_split(bin2hex($bytes), 4));
+    }
+}
@@ -0,0 +1,76 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Laravel\Lumen\Routing\Controller as BaseController;
+use Illuminate\Http\Request;
+use App\Support\RealtimeToken;
+
+/**
+ * Controlador de los tokens de acceso al servicio realtime.
+ * - `issue` emite un token de corta duración por pestaña, firmado con WS_AUTH_SECRET, que las apps usan para
+ *   abrir el WebSocket y para el fallback /api/share. Sustituye al token fijo de /config.js (solo desarrollo):
+ *   cada pestaña tiene su propia identidad (`sub`) y un token filtrado deja de valer en minutos.
+ */
+class RealtimeTokenController extends BaseController
+{
+    /** Validez por defecto de los tokens emitidos (WS_TOKEN_TTL_SEC), en segundos. */
+    private const DEFAULT_TTL_SEC = 900;
+
+    /** Validez mínima: las apps renuevan el token un minuto antes de que caduque. */
+    private const MIN_TTL_SEC = 120;
+
+    /** Roles que se pueden emitir aquí (WS_TOKEN_ROLE); `admin` nunca se emite a un navegador. */
+    private const ISSUABLE_ROLES = ['sender', 'receiver'];
+
+    /**
+     * Emite un token de realtime. Con un token vigente emitido aquí en `Authorization: Bearer` (renovación)
+     * conserva su `sub`, así la pestaña mantiene su identidad; si no, genera uno nuevo (`web-<aleatorio>`).
+     * El rol es WS_TOKEN_ROLE (`sender` por defecto o `receiver` para instalaciones de solo lectura).
+     * Sin WS_AUTH_SECRET (autenticación desactivada, solo desarrollo) responde `token: null` y las apps conectan sin token.
+     * @param Request $request
+     * @return \Illuminate\Http\JsonResponse
+     *
+     * Ejemplos de uso (en español):
+     * 1) POST /api/realtime-token -> 200 { "token": "eyJ...", "expiresAt": 1700000900000, "role": "sender" }
+     * 2) POST /api/realtime-token (Authorization: Bearer <token vigente>) -> token nuevo con el mismo sub
+     * 3) // sin WS_AUTH_SECRET -> 200 { "token": null, "expiresAt": null, "role": null }
+     */
+    public function issue(Request $request)
+    {
+        $secret = (string)env('WS_AUTH_SECRET', '');
+        if ($secret === '') {
+            return $this->noStore(response()->json(['token' => null, 'expiresAt' => null, 'role' => null]));
+        }
+
+        $role = env('WS_TOKEN_ROLE', 'sender');
+        if (!in_array($role, self::ISSUABLE_ROLES, true)) {
+            // Configuración inválida: el rol con menos permisos
+            $role = 'receiver';
+        }
+        $ttl = max(self::MIN_TTL_SEC, (int)env('WS_TOKEN_TTL_SEC', self::DEFAULT_TTL_SEC));
+
+        $previous = RealtimeToken::verify($request->bearerToken(), $secret);
+        $sub = $previous['ok'] && str_starts_with($previous['claims']['sub'], 'web-')
+            ? $previous['claims']['sub']
+            : 'web-' . bin2hex(random_bytes(8));
+
+        $token = RealtimeToken::sign(['sub' => $sub, 'role' => $role], $secret, $ttl);
+        return $this->noStore(response()->json([
+            'token' => $token,
+            'expiresAt' => (time() + $ttl) * 1000,
+            'role' => $role,
+        ]));
+    }
+
+    /**
+     * Marca la respuesta como no cacheable (ni el navegador ni un proxy deben guardar tokens).
+     * @param \Illuminate\Http\JsonResponse $response
+     * @return \Illuminate\Http\JsonResponse
+     */
+    private function noStore($response)
+    {
+        $response->headers->set('Cache-Control', 'no-store');
+        return $response;
+    }
+}
@@ -0,0 +1,102 @@
+<?php
+
+namespace App\Support;
+
+/**
+ * Tokens de acceso del servicio realtime (JWT HS256 firmados con WS_AUTH_SECRET), los mismos que verifica
+ * realtime/auth.js al abrir el WebSocket. El backend los emite (/api/realtime-token, de corta duración) y los
+ * comprueba en /api/share para que el fallback HTTP tenga las mismas reglas que un share por WS: solo los
+ * roles que pueden enviar y con la identidad del token.
+ */
+class RealtimeToken
+{
+    /** Roles admitidos en el claim `role` (Roles en realtime/auth.js). */
+    public const ROLES = ['sender', 'receiver', 'admin'];
+
+    /** Roles que pueden compartir (los demás solo reciben). */
+    public const SENDER_ROLES = ['sender', 'admin'];
+
+    /**
+     * Verifica firma, expiración y rol de un token, con las mismas reglas que verifyToken en realtime/auth.js.
+     * @param string|null $token
+     * @param string $secret
+     * @return array `['ok' => true, 'claims' => [...]]` o `['ok' => false, 'reason' => motivo]`.
+     *
+     * Ejemplos de uso (en español):
+     * 1) RealtimeToken::verify($request->bearerToken(), env('WS_AUTH_SECRET')); // ['ok' => true, 'claims' => ['sub' => 'ana', ...]]
+     * 2) RealtimeToken::verify('basura', $secret); // ['ok' => false, 'reason' => 'Token mal formado']
+     * 3) // los tokens con alg distinto de HS256 (incluido 'none') se rechazan
+     */
+    public static function verify(?string $token, string $secret): array
+    {
+        if ($token === null || $token === '') {
+            return ['ok' => false, 'reason' => 'Falta el token'];
+        }
+        $parts = explode('.', $token);
+        if (count($parts) !== 3) {
+            return ['ok' => false, 'reason' => 'Token mal formado'];
+        }
+
+        $header = json_decode(self::decodeBase64url($parts[0]), true);
+        $claims = json_decode(self::decodeBase64url($parts[1]), true);
+        if (!is_array($header) || !is_array($claims)) {
+            return ['ok' => false, 'reason' => 'Token mal formado'];
+        }
+        if (($header['alg'] ?? null) !== 'HS256') {
+            return ['ok' => false, 'reason' => 'Algoritmo de firma no admitido'];
+        }
+        if (!hash_equals(self::hmac($parts[0] . '.' . $parts[1], $secret), $parts[2])) {
+            return ['ok' => false, 'reason' => 'Firma inválida'];
+        }
+
+        $now = time();
+        if (is_numeric($claims['exp'] ?? null) && $claims['exp'] <= $now) {
+            return ['ok' => false, 'reason' => 'Token expirado'];
+        }
+        if (is_numeric($claims['nbf'] ?? null) && $claims['nbf'] > $now) {
+            return ['ok' => false, 'reason' => 'Token aún no válido'];
+        }
+        if (!is_string($claims['sub'] ?? null) || $claims['sub'] === '') {
+            return ['ok' => false, 'reason' => 'Falta el claim sub'];
+        }
+        if (!in_array($claims['role'] ?? null, self::ROLES, true)) {
+            return ['ok' => false, 'reason' => 'Rol no admitido'];
+        }
+        return ['ok' => true, 'claims' => $claims];
+    }
+
+    /**
+     * Firma un token con los claims indicados, en el mismo formato que signToken de realtime/auth.js.
+     * @param array $claims `['sub' => ..., 'role' => ..., 'name' => ...]`
+     * @param string $secret
+     * @param int $ttlSec Validez en segundos.
+     * @return string
+     *
+     * Ejemplos de uso (en español):
+     * 1) RealtimeToken::sign(['sub' => 'web-1f2e', 'role' => 'sender'], env('WS_AUTH_SECRET'), 900);
+     * 2) RealtimeToken::sign(['sub' => 'pantalla-1', 'role' => 'receiver'], $secret, 3600);
+     * 3) // iat y exp los pone este método (exp = ahora + $ttlSec)
+     */
+    public static function sign(array $claims, string $secret, int $ttlSec): string
+    {
+        $now = time();
+        $header = self::base64url(json_encode(['alg' => 'HS256', 'typ' => 'JWT']));
+        $payload = self::base64url(json_encode(array_merge(['iat' => $now, 'exp' => $now + $ttlSec], $claims)));
+        return $header . '.' . $payload . '.' . self::hmac($header . '.' . $payload, $secret);
+    }
+
+    private static function hmac(string $data, string $secret): string
+    {
+        return self::base64url(hash_hmac('sha256', $data, $secret, true));
+    }
+
+    private static function base64url(string $data): string
+    {
+        return rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+    }
+
+    private static function decodeBase64url(string $data): string
+    {
+        return (string)base64_decode(strtr($data, '-_', '+/'));
+    }
+}
@@ -14,4 +14,5 @@ $router->get('/', function () use ($router) {
 $router->group(['prefix' => 'api'], function () use ($router) {
     $router->get('items', ['uses' => 'App\\Http\\Controllers\\ItemController@getAll']);
     $router->post('share', ['uses' => 'App\\Http\\Controllers\\ItemController@share']);
+    $router->post('realtime-token', ['uses' => 'App\\Http\\Controllers\\RealtimeTokenController@issue']);
 });
@@ -0,0 +1,23 @@
+#!/bin/sh
+# Configuración runtime de las apps web (Vue, React y AngularJS) servidas con nginx.
+#
+# La imagen oficial de nginx ejecuta los scripts de /docker-entrypoint.d/ antes de arrancar: este reescribe
+# /config.js con el token de realtime del entorno del contenedor (WS_TOKEN, firmado con WS_AUTH_SECRET).
+# Solo desarrollo: ese token lo recibe cualquier visitante y no se puede revocar sin redesplegar. Vacío (lo
+# normal), las apps piden a cada pestaña un token de corta duración a /api/realtime-token del backend.
+set -eu
+
+target="${NGINX_HTML_ROOT:-/usr/share/nginx/html}/config.js"
+# Un JWT solo lleva [A-Za-z0-9_.-]; cualquier otra cosa se descarta para no inyectar JavaScript
+token=$(printf '%s' "${WS_TOKEN:-}" | tr -cd 'A-Za-z0-9_.-')
+
+cat > "$target" <<CONFIG
+// Generado al arrancar el contenedor (docker/40-realtime-config.sh)
+window.WS_TOKEN = '$token';
+CONFIG
+
+if [ -n "$token" ]; then
+  echo "40-realtime-config.sh: AVISO token fijo de realtime escrito en $target (solo desarrollo)"
+else
+  echo "40-realtime-config.sh: WS_TOKEN vacío, las apps piden su token a /api/realtime-token"
+fi
@@ -0,0 +1,137 @@
+import { ref, onBeforeUnmount } from 'vue';
+import { createRealtimeClient, Status, cobrowse } from '@shared/index.js';
+
+/**
+ * Composable de Vue sobre el cliente realtime compartido (shared/realtime-client.js).
+ * Expone el estado de conexión como refs y cierra el socket (y la co-navegación) al desmontar el componente.
+ * @function useRealtime
+ * @param {Object} options - Opciones de createRealtimeClient (url, room, token, httpPost, logPrefix...).
+ * @returns {{client: Object, status: import('vue').Ref<string>, connected: import('vue').Ref<boolean>,
+ *   room: import('vue').Ref<string>, pendingCount: import('vue').Ref<number>,
+ *   users: import('vue').Ref<Array<Object>>, self: import('vue').Ref<Object|null>,
+ *   readOnly: import('vue').Ref<boolean>, degraded: import('vue').Ref<boolean>,
+ *   reconnectAt: import('vue').Ref<number|null>, latency: import('vue').Ref<number|null>, reconnectNow: function(): boolean,
+ *   sharedImage: import('vue').Ref<Object|null>, cobrowsing: import('vue').Ref<boolean>,
+ *   cobrowsePeers: import('vue').Ref<Array<Object>>, setCobrowse: function(boolean): void,
+ *   share: function(Object): Promise<('ws'|'http'|'queued'|'denied')>,
+ *   shareImage: function(Object): Promise<('ws'|'http'|'failed'|'denied')>, dismissImage: function(): void,
+ *   annotations: import('vue').Ref<Object>, comment: function(*, string): Promise<('ws'|'failed'|'denied')>,
+ *   react: function(*, string, boolean): Promise<('ws'|'failed'|'denied')>,
+ *   join: function(string): string, onShared: function(Function): function(): void,
+ *   onSnapshot: function(Function): function(): void, onRollback: function(Function): function(): void}}
+ *
+ * Ejemplos de uso (en español):
+ * 1) const { connected, share } = useRealtime({ url: WS_URL }); // dentro de <script setup>
+ * 2) onShared((item) => { selectedId.value = item.id; });
+ * 3) join('equipo-a', 'Ana'); // room.value pasa a 'equipo-a' y el nombre visible a 'Ana'
+ */
+export function useRealtime(options) {
+  const client = createRealtimeClient(options);
+
+  const status = ref(client.getStatus());
+  const connected = ref(client.isConnected());
+  const room = ref(client.getRoom());
+  const pendingCount = ref(client.getPendingCount());
+  const users = ref(client.getUsers());
+  const self = ref(client.getSelf());
+  // true si el token es de rol 'receiver' (solo recibe shares)
+  const readOnly = ref(client.getRole() === 'receiver');
+  // true mientras el servidor anuncia 'degraded' (RabbitMQ caído)
+  const degraded = ref(client.getServiceStatus() === 'degraded');
+  // Próximo intento de reconexión (Date.now()) y latencia del último ping (ms), para el indicador de conexión
+  const reconnectAt = ref(client.getReconnectAt());
+  const latency = ref(client.getLatency());
+  // Imagen compartida en la sala ({ id, image, sharedBy, timestamp }) hasta que caduca o se cierra
+  const sharedImage = ref(client.getSharedImage());
+  // Comentarios y reacciones de los items de la sala (ver shared/annotations.js)
+  const annotations = ref(client.getAnnotations());
+  // Co-navegación de esta pestaña y pestañas de la sala que co-navegan ({ user, hover, pointer, scroll })
+  const cobrowsing = ref(client.isCobrowsing());
+  const cobrowsePeers = ref(client.getCobrowsePeers());
+  let stopCobrowse = null;
+
+  client.on('status', (next) => {
+    status.value = next;
+    connected.value = next === Status.OPEN;
+    reconnectAt.value = client.getReconnectAt();
+  });
+  client.on('reconnect', (delay, at) => {
+    reconnectAt.value = at;
+  });
+  client.on('latency', (ms) => {
+    latency.value = ms;
+  });
+  client.on('outbox', (count) => {
+    pendingCount.value = count;
+  });
+  client.on('users', (list) => {
+    users.value = list;
+    self.value = client.getSelf();
+  });
+
+  client.on('role', (role) => {
+    readOnly.value = role === 'receiver';
+  });
+  client.on('service-status', (state) => {
+    degraded.value = state === 'degraded';
+  });
+  client.on('image', (image) => {
+    sharedImage.value = image;
+  });
+  client.on('annotations', (next) => {
+    annotations.value = next;
+  });
+  client.on('cobrowse', (peers) => {
+    cobrowsePeers.value = peers;
+  });
+
+  function join(nextRoom, nextName) {
+    room.value = client.join(nextRoom, nextName);
+    return room.value;
+  }
+
+  function setCobrowse(enabled) {
+    if (enabled && !stopCobrowse) {
+      stopCobrowse = cobrowse.startCobrowse(window, client);
+    } else if (!enabled && stopCobrowse) {
+      stopCobrowse();
+      stopCobrowse = null;
+    }
+    cobrowsing.value = !!stopCobrowse;
+  }
+
+  client.connect();
+  onBeforeUnmount(() => {
+    setCobrowse(false);
+    client.close();
+  });
+
+  return {
+    client,
+    status,
+    connected,
+    room,
+    pendingCount,
+    users,
+    self,
+    readOnly,
+    degraded,
+    reconnectAt,
+    latency,
+    reconnectNow: () => client.reconnectNow(),
+    sharedImage,
+    cobrowsing,
+    cobrowsePeers,
+    setCobrowse,
+    share: (item) => client.share(item),
+    shareImage: (image) => client.shareImage(image),
+    dismissImage: () => client.dismissImage(),
+    annotations,
+    comment: (itemId, text) => client.comment(itemId, text),
+    react: (itemId, emoji, active) => client.react(itemId, emoji, active),
+    join,
+    onShared: client.onShared,
+    onSnapshot: client.onSnapshot,
+    onRollback: client.onRollback
+  };
+}
@@ -1,6 +1,7 @@
 // Punto de entrada de la aplicación Vue 3
 import { createApp } from 'vue';
 import App from './App.vue';
+import { offline } from '@shared/index.js';
 
 /**
  * Inicia y monta la aplicación Vue en el DOM.
@@ -14,6 +15,8 @@ import App from './App.vue';
  */
 export function bootstrapApp() {
   createApp(App).mount('#app');
+  // Lista disponible sin red (caché de /api/items en el service worker)
+  offline.registerItemsWorker(window, { logPrefix: '[frontend]' });
 }
 
 // Ejecutamos el bootstrap por defecto cuando se importa el módulo
@@ -0,0 +1,33 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import axios from 'axios';
+import { createApp, nextTick } from 'vue';
+import ItemList from '../src/components/ItemList.vue';
+import { defineItemListSpec, createAxiosAdapter, flushMicrotasks } from '@shared/testing/item-list-spec.js';
+
+/**
+ * Adaptador de la especificación común: monta `ItemList.vue` con axios respondiendo desde la API simulada.
+ */
+const vueAdapter = {
+  name: 'Vue ItemList',
+  async mount({ api }) {
+    axios.defaults.adapter = createAxiosAdapter(api);
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const app = createApp(ItemList);
+    app.mount(container);
+    return {
+      container,
+      async settle(action) {
+        if (action) await action();
+        await flushMicrotasks();
+        await nextTick();
+      },
+      unmount() {
+        app.unmount();
+        container.remove();
+      }
+    };
+  }
+};
+
+defineItemListSpec({ describe, it, expect, beforeEach, afterEach, vi }, vueAdapter);
@@ -1,11 +1,27 @@
+
 // Configuración mínima de Vite para Vue 3 (CommonJS)
 // Usamos require/module.exports para evitar problemas de ESM durante el build en contenedores
+const path = require('path');
 const { defineConfig } = require('vite');
 const vue = require('@vitejs/plugin-vue');
 
 module.exports = defineConfig({
   plugins: [vue()],
+  resolve: {
+    // Módulos compartidos con el servicio realtime y las otras apps (carpeta /shared del repo)
+    alias: { '@shared': path.resolve(__dirname, '../shared') }
+  },
+  // Service worker de la lista (items-sw.js), servido en la raíz como en las otras apps
+  publicDir: path.resolve(__dirname, '../shared/public'),
+  server: {
+    fs: { allow: ['..'] }
+  },
   build: {
     outDir: 'dist'
+  },
+  // Tests (Vitest): DOM simulado y módulos compartidos publicados en window como en el navegador
+  test: {
+    environment: 'jsdom',
+    setupFiles: [path.resolve(__dirname, '../shared/testing/setup-globals.js')]
   }
 });
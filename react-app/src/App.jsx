@@ -1,5 +1,70 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import axios from 'axios';
+import { protocol, itemUtils, itemQuery, imageShare, cobrowse, annotations, createTokenSource } from '@shared/index.js';
+import { useRealtime } from './hooks/useRealtime.js';
+import ConnectionStatus from './components/ConnectionStatus.jsx';
+import ItemAnnotations from './components/ItemAnnotations.jsx';
+
+const ROOMS_STORAGE_KEY = 'porfolio.rooms';
+const NAME_STORAGE_KEY = 'porfolio.displayName';
+const WS_URL = (import.meta.env.VITE_WS_URL) || 'ws://localhost:3000';
+// Token fijo de acceso al servicio realtime, solo para desarrollo: el de /config.js (window.WS_TOKEN) y si no
+// VITE_WS_TOKEN. Sin él se pide uno de corta duración al backend (firmado con WS_AUTH_SECRET)
+const DEV_WS_TOKEN = import.meta.env.VITE_WS_TOKEN || '';
+const TOKEN_ENDPOINT = '/api/realtime-token';
+// Opciones del selector de orden ('' = orden de llegada: la API y los shares nuevos al principio)
+const SORT_OPTIONS = [
+  { value: itemQuery.SortFields.NONE, label: 'Orden de llegada' },
+  { value: itemQuery.SortFields.ID, label: 'Id' },
+  { value: itemQuery.SortFields.CACHED_AT, label: 'Fecha de caché' },
+  { value: itemQuery.SortFields.TITLE, label: 'Título' },
+];
+
+/**
+ * Lee las salas usadas recientemente desde localStorage.
+ * Ejemplos (en español):
+ * 1) useState(loadKnownRooms); // estado inicial del datalist
+ * 2) // devuelve [] si localStorage no está disponible
+ * 3) // útil para volver rápido a una sala de demo anterior
+ */
+function loadKnownRooms() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(ROOMS_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter((r) => typeof r === 'string') : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Lee el nombre visible guardado (vacío = el servidor genera uno de invitado).
+ * Ejemplos (en español):
+ * 1) useState(loadDisplayName); // estado inicial del campo "Tu nombre"
+ * 2) // devuelve '' si localStorage no está disponible
+ * 3) // el nombre se envía como ?name= al conectar
+ */
+function loadDisplayName() {
+  try {
+    return window.localStorage.getItem(NAME_STORAGE_KEY) || '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Lee el modo de vista guardado ('list' o 'grid').
+ * Ejemplos (en español):
+ * 1) useState(loadViewMode); // estado inicial del selector Lista/Miniaturas
+ * 2) // devuelve 'list' si no hay nada guardado o localStorage no está disponible
+ * 3) // la clave es compartida con las otras apps (porfolio.viewMode)
+ */
+function loadViewMode() {
+  try {
+    return itemUtils.normalizeViewMode(window.localStorage.getItem(itemUtils.VIEW_MODE_STORAGE_KEY));
+  } catch (e) {
+    return itemUtils.ViewModes.LIST;
+  }
+}
 
 /**
  * Componente principal de la aplicación React que muestra los items y permite compartirlos via WebSocket/RabbitMQ.
@@ -14,12 +79,42 @@ export default function App() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedId, setSelectedId] = useState(null);
-  const [wsConnected, setWsConnected] = useState(false);
+  const [knownRooms, setKnownRooms] = useState(loadKnownRooms);
+  const [nameInput, setNameInput] = useState(loadDisplayName);
+  // Usuario ({ id, name }) que compartió el item resaltado
+  const [sharedBy, setSharedBy] = useState(null);
+  const [viewMode, setViewModeState] = useState(loadViewMode);
+  // Panel de detalle del item seleccionado: se abre al compartir o recibir un item, se cierra solo en esta pestaña
+  const [detailOpen, setDetailOpen] = useState(false);
+  // Búsqueda, orden y página ({ q, sort, dir, page, size }), reflejados en la query de la URL
+  const [query, setQueryState] = useState(() => itemQuery.parseQuery(window.location.search));
+  // Motivo por el que no se pudo compartir la última imagen y si se arrastra un archivo sobre la zona de imágenes
+  const [imageError, setImageError] = useState('');
+  const [dragging, setDragging] = useState(false);
+
+  // Tokens de corta duración pedidos al backend; se renuevan antes de caducar (ver createTokenSource)
+  const [realtimeToken] = useState(() => createTokenSource(
+    (headers) => axios.post(TOKEN_ENDPOINT, null, { headers }).then((res) => res.data)
+  ));
 
-  const wsRef = useRef(null);
-  const reconnectDelayRef = useRef(1000);
-  const MAX_RECONNECT = 30000;
-  const WS_URL = (import.meta.env.VITE_WS_URL) || 'ws://localhost:3000';
+  // Conexión realtime compartida (WS con reconexión exponencial y fallback HTTP vía axios)
+  const {
+    status, degraded, reconnectAt, latency, room, pendingCount, users, self, readOnly, sharedImage, cobrowsing, cobrowsePeers,
+    annotations: roomAnnotations, comment, react,
+    share: shareItem, shareImage, dismissImage, setCobrowse, reconnectNow, join,
+  } = useRealtime({
+    url: WS_URL,
+    token: () => window.WS_TOKEN || DEV_WS_TOKEN || realtimeToken(),
+    room: protocol.normalizeRoom(new URLSearchParams(window.location.search).get('room')),
+    name: nameInput,
+    httpPost: (url, body, headers) => axios.post(url, body, { headers }),
+    logPrefix: '[react-app]',
+    onShared: applySharedItem,
+    onSnapshot: applySnapshot,
+    // Share propio que perdió frente a otro más reciente (o rechazado): vuelve al item actual de la sala
+    onRollback: applySnapshot,
+  });
+  const [roomInput, setRoomInput] = useState(room);
 
   // Carga items desde /api/items
   /**
@@ -42,134 +137,324 @@ export default function App() {
     }
   }
 
-  // Enviar item compartido (WS o fallback HTTP)
+  // Aplicar un item compartido por otra ventana
   /**
-   * Envía el item compartido por WS o por fallback HTTP /api/share.
-   * @param {Object} item
+   * Marca el item recibido (y quién lo compartió), abre su detalle y lo agrega al principio si no estaba en la lista.
+   * @param {Object} shared
+   * @param {Object} [message] - sobre share_item; de su payload se toma `sharedBy`
    * Ejemplos (en español):
-   * 1) await sendSharedItem({ id: 1, title: '...' });
-   * 2) // si WS está abierto lo usará; si no, hará POST a /api/share
-   * 3) // usado al hacer click en un item
+   * 1) applySharedItem({ id: 1, title: 'Hola' }); // marca el item #1
+   * 2) // usado por onShared y por el snapshot de la sala
+   * 3) // el id llega normalizado por el cliente realtime
    */
-  async function sendSharedItem(item) {
-    const message = JSON.stringify({ action: 'share_item', item });
-    if (wsConnected && wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
-      try {
-        wsRef.current.send(message);
-        return;
-      } catch (e) {
-        console.warn('[react-app] Error enviando por WS, fallback HTTP:', e);
-      }
-    }
+  function applySharedItem(shared, message) {
+    setSelectedId(shared.id);
+    setDetailOpen(true);
+    setSharedBy((message && message.payload.sharedBy) || null);
+    setItems((prev) => (prev.some((it) => it.id === shared.id) ? prev : [shared, ...prev]));
+  }
 
-    try {
-      await axios.post('/api/share', { item });
-    } catch (e) {
-      console.warn('[react-app] Fallback HTTP /api/share falló:', e?.message || e);
+  /**
+   * Aplica el item actual de la sala (snapshot al (re)conectar o rollback de un share propio), para que la
+   * selección sea correcta sin esperar al próximo share.
+   * @param {{current: (Object|null), sharedBy: (Object|null)}} snapshot
+   * Ejemplos (en español):
+   * 1) applySnapshot({ current: { id: 3 }, sharedBy: null }); // marca el item #3
+   * 2) applySnapshot({ current: null }); // sala sin shares: limpia la selección
+   * 3) // usado por onSnapshot y onRollback
+   */
+  function applySnapshot(snapshot) {
+    if (snapshot.current) applySharedItem(snapshot.current);
+    else {
+      setSelectedId(null);
+      setDetailOpen(false);
     }
+    setSharedBy(snapshot.sharedBy);
   }
 
   // Compartir acción de click
   async function share(item) {
-    if (!item) return;
+    if (!item || readOnly) return;
     setSelectedId(item.id);
-    await sendSharedItem(item);
+    setSharedBy(self);
+    setDetailOpen(true);
+    await shareItem(item);
   }
 
-  // Manejar mensajes entrantes
-  function handleIncomingMessage(raw) {
-    let parsed = null;
+  /**
+   * Lee un archivo de imagen y lo comparte con la sala; los problemas se muestran en `imageError`.
+   * @param {(File|null)} file
+   * Ejemplos (en español):
+   * 1) await shareImageFile(e.target.files[0]); // desde el selector de archivo
+   * 2) await shareImageFile(pdf); // imageError = 'Formato no admitido: application/pdf (...)'
+   * 3) // sin WS se envía por POST /api/share; si también falla se avisa al usuario
+   */
+  async function shareImageFile(file) {
+    if (readOnly) return;
+    setImageError('');
     try {
-      parsed = JSON.parse(raw);
+      const result = await shareImage(await imageShare.readImageFile(file));
+      if (result === 'failed') setImageError('No se pudo compartir la imagen');
     } catch (e) {
-      console.warn('[react-app] Mensaje no JSON recibido');
-      return;
+      setImageError(e?.message || 'No se pudo compartir la imagen');
     }
+  }
 
-    let payload = parsed;
-    if (parsed && parsed.source && parsed.payload) payload = parsed.payload;
+  // Soltar un archivo en la zona de imágenes
+  function onImageDrop(e) {
+    e.preventDefault();
+    setDragging(false);
+    shareImageFile(imageShare.imageFileFrom(e.dataTransfer));
+  }
 
-    if (payload && payload.action === 'share_item' && payload.item) {
-      const shared = payload.item;
-      setSelectedId(shared.id);
-      setItems((prev) => (prev.some((it) => it.id === shared.id) ? prev : [shared, ...prev]));
-    }
+  // Selector de archivo (se vacía para poder elegir el mismo archivo otra vez)
+  function onImagePick(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (file) shareImageFile(file);
   }
 
-  // Conexión WS con reconexión exponencial
-  function connectWebSocket() {
-    try {
-      wsRef.current = new WebSocket(WS_URL);
-    } catch (e) {
-      console.warn('[react-app] Error creando WebSocket:', e);
-      scheduleReconnect();
-      return;
-    }
+  /**
+   * Cambia búsqueda, orden o página y lo refleja en la URL (un enlace copiado abre la misma vista).
+   * Cambiar la búsqueda, el orden o el tamaño vuelve a la primera página.
+   * @param {Object} patch - campos de { q, sort, dir, page, size } que cambian
+   * Ejemplos (en español):
+   * 1) setQuery({ q: 'gato' }); // ?q=gato
+   * 2) setQuery({ sort: 'cached_at', dir: 'desc' }); // más recientes primero
+   * 3) setQuery({ page: 2 }); // ?page=2
+   */
+  function setQuery(patch) {
+    const next = itemQuery.updateQuery(query, patch);
+    setQueryState(next);
+    window.history.replaceState(null, '', itemQuery.toUrl(window.location.href, next));
+  }
 
-    wsRef.current.addEventListener('open', () => {
-      setWsConnected(true);
-      reconnectDelayRef.current = 1000;
-      console.log('[react-app] WS conectado a', WS_URL);
-    });
+  /**
+   * Cambia el modo de vista (lista o cuadrícula de miniaturas) y lo recuerda.
+   * @param {('list'|'grid')} mode
+   * Ejemplos (en español):
+   * 1) setViewMode('grid'); // botón "Miniaturas"
+   * 2) setViewMode('list'); // botón "Lista"
+   * 3) // se guarda en localStorage (porfolio.viewMode)
+   */
+  function setViewMode(mode) {
+    const next = itemUtils.normalizeViewMode(mode);
+    setViewModeState(next);
+    try { window.localStorage.setItem(itemUtils.VIEW_MODE_STORAGE_KEY, next); } catch (e) {}
+  }
 
-    wsRef.current.addEventListener('message', (ev) => {
-      handleIncomingMessage(ev.data);
-    });
+  // Cambiar de sala y/o nombre visible
+  /**
+   * Une la pestaña a otra sala (la crea si no existe) y/o cambia el nombre visible,
+   * actualiza ?room= y avisa al servidor.
+   * @param {string} name
+   * @param {string} [displayName]
+   * Ejemplos (en español):
+   * 1) joinRoom('equipo-a', 'Ana'); // desde el formulario de sala
+   * 2) // si WS está cerrado, la próxima reconexión usará la nueva sala y nombre
+   * 3) // al cambiar de sala limpia la selección porque pertenece a la sala anterior
+   */
+  function joinRoom(name, displayName) {
+    const next = protocol.normalizeRoom(name);
+    const nextName = protocol.normalizeDisplayName(displayName);
+    const roomChanged = next !== room;
+    // Un nombre vacío conserva el que ya asignó el servidor
+    const nameChanged = !!nextName && (!self || self.name !== nextName);
+    setRoomInput(next);
+    setNameInput(nextName);
+    if (!roomChanged && !nameChanged) return;
 
-    wsRef.current.addEventListener('close', () => {
-      setWsConnected(false);
-      console.log('[react-app] WS cerrado, reintentando...');
-      scheduleReconnect();
-    });
+    try { window.localStorage.setItem(NAME_STORAGE_KEY, nextName); } catch (e) {}
+    join(next, nextName);
+    if (!roomChanged) return;
 
-    wsRef.current.addEventListener('error', (ev) => {
-      console.warn('[react-app] Error WS', ev);
-    });
-  }
+    setSelectedId(null);
+    setSharedBy(null);
+    setDetailOpen(false);
 
-  function scheduleReconnect() {
-    const delay = reconnectDelayRef.current;
-    reconnectDelayRef.current = Math.min(reconnectDelayRef.current * 2, MAX_RECONNECT);
-    setTimeout(() => {
-      console.log(`[react-app] Reconectando WS en ${delay}ms`);
-      connectWebSocket();
-    }, delay);
+    const url = new URL(window.location.href);
+    url.searchParams.set('room', next);
+    window.history.replaceState(null, '', url.toString());
+
+    setKnownRooms((prev) => {
+      const updated = [next, ...prev.filter((r) => r !== next)].slice(0, 10);
+      try { window.localStorage.setItem(ROOMS_STORAGE_KEY, JSON.stringify(updated)); } catch (e) {}
+      return updated;
+    });
   }
 
   useEffect(() => {
     loadItems();
-    connectWebSocket();
-
-    return () => {
-      if (wsRef.current) {
-        try { wsRef.current.close(); } catch (e) {}
-        wsRef.current = null;
-      }
-    };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Pegar (Ctrl+V) una imagen en cualquier parte de la página la comparte; el texto pegado se ignora
+  useEffect(() => {
+    function onPaste(e) {
+      const file = imageShare.imageFileFrom(e.clipboardData, { imagesOnly: true });
+      if (!file || readOnly) return;
+      e.preventDefault();
+      shareImageFile(file);
+    }
+    document.addEventListener('paste', onPaste);
+    return () => document.removeEventListener('paste', onPaste);
+  }, [readOnly, shareImage]);
+
+  const listView = itemQuery.applyQuery(items, query);
+  const detailItem = detailOpen ? itemUtils.findItem(items, selectedId) : null;
+  const sharedByLabel = sharedBy ? (self && sharedBy.id === self.id ? 'ti' : sharedBy.name) : null;
+  const imageBy = sharedImage && sharedImage.sharedBy;
+  const sharedImageLabel = imageBy ? (self && imageBy.id === self.id ? 'ti' : imageBy.name) : 'alguien';
+
   return (
     <div className="app-root">
       <header className="app-header">
         <h1>PorfolioRest - React</h1>
-        <div className="status">{wsConnected ? <span className="chip">Conectado</span> : <span className="chip muted">Offline</span>}</div>
+        <form className="room-form" onSubmit={(e) => { e.preventDefault(); joinRoom(roomInput, nameInput); }}>
+          <input value={nameInput} onChange={(e) => setNameInput(e.target.value)} placeholder="Tu nombre" aria-label="Tu nombre" maxLength={32} />
+          <input value={roomInput} onChange={(e) => setRoomInput(e.target.value)} placeholder="Sala" aria-label="Sala" list="room-options" />
+          <datalist id="room-options">
+            {knownRooms.map((name) => <option key={name} value={name} />)}
+          </datalist>
+          <button type="submit">Unirse</button>
+          <span className="chip">Sala: {room}</span>
+        </form>
+        <div className="status">
+          <ConnectionStatus status={status} degraded={degraded} reconnectAt={reconnectAt} latency={latency} onReconnect={reconnectNow} />
+          {readOnly && <span className="chip muted" title="El token de acceso solo permite recibir shares">Solo lectura</span>}
+          {pendingCount > 0 && <span className="chip pending" title="Shares guardados que se enviarán al reconectar">Pendientes: {pendingCount}</span>}
+        </div>
       </header>
 
       <main className="container">
+        <div className="presence" aria-live="polite">
+          <span className="presence-label">En línea ({users.length}):</span>
+          {users.map((user) => (
+            <span key={user.id} className="chip">{user.name}{self && user.id === self.id ? ' (tú)' : ''}</span>
+          ))}
+          <button type="button" className="cobrowse-toggle" aria-pressed={cobrowsing} onClick={() => setCobrowse(!cobrowsing)}
+            title="Comparte tu scroll, tu puntero y el item bajo el ratón con las pestañas de la sala que también co-naveguen">
+            Co-navegar
+          </button>
+        </div>
+
+        {/* Punteros de las otras pestañas que co-navegan (posición relativa al documento) */}
+        {cobrowsing && (
+          <div className="cobrowse-layer" aria-hidden="true">
+            {cobrowsePeers.filter((peer) => peer.pointer).map((peer) => (
+              <div key={peer.user.id} className="remote-pointer" style={cobrowse.pointerStyle(peer, window)}>
+                <span className="remote-pointer-label">{peer.user.name}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="view-toggle" role="group" aria-label="Modo de vista">
+          <button type="button" aria-pressed={viewMode === 'list'} onClick={() => setViewMode('list')}>Lista</button>
+          <button type="button" aria-pressed={viewMode === 'grid'} onClick={() => setViewMode('grid')}>Miniaturas</button>
+        </div>
+
+        {/* Compartir una imagen: soltarla aquí, pegarla (Ctrl+V) o elegir un archivo */}
+        {!readOnly && (
+          <section className="image-share">
+            <div className={`image-drop ${dragging ? 'dragging' : ''}`} onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+              onDragLeave={() => setDragging(false)} onDrop={onImageDrop}>
+              <span>Arrastra una imagen aquí o pégala con Ctrl+V</span>
+              <label className="image-pick">
+                Elegir archivo
+                <input type="file" accept={imageShare.ACCEPT} onChange={onImagePick} />
+              </label>
+            </div>
+            {imageError && <p className="image-error" role="alert">{imageError}</p>}
+          </section>
+        )}
+
+        {/* Imagen compartida en la sala (efímera: desaparece sola al caducar) */}
+        {sharedImage && (
+          <aside className="shared-image-card" aria-label="Imagen compartida">
+            <button type="button" className="shared-image-close" aria-label="Cerrar imagen" onClick={dismissImage}>×</button>
+            <img key={sharedImage.id} className="shared-image" src={imageShare.sharedImageSrc(sharedImage.image)}
+              alt={sharedImage.image.name || 'Imagen compartida'} onError={itemUtils.handleImageError} />
+            <p className="shared-image-caption">
+              Imagen compartida por {sharedImageLabel}{sharedImage.image.name ? ` · ${sharedImage.image.name}` : ''}
+            </p>
+          </aside>
+        )}
+
+        {/* Detalle del item seleccionado o compartido (se abre en todas las pestañas de la sala) */}
+        {detailItem && (
+          <aside className="item-detail" aria-label="Detalle del item">
+            <button type="button" className="detail-close" aria-label="Cerrar detalle" onClick={() => setDetailOpen(false)}>×</button>
+            <img key={detailItem.id} className="detail-image" src={itemUtils.imageSrc(detailItem)} alt={itemUtils.itemTitle(detailItem)}
+              loading="lazy" decoding="async" onError={itemUtils.handleImageError} />
+            <div className="detail-body">
+              <h2 className="detail-title">{itemUtils.itemTitle(detailItem)}</h2>
+              <dl className="detail-meta">
+                <dt>Id</dt><dd>#{detailItem.id}</dd>
+                <dt>Id remoto</dt><dd className="detail-remote-id">{itemUtils.formatValue(detailItem.remote_id)}</dd>
+                <dt>En caché desde</dt><dd className="detail-cached-at">{itemUtils.formatCachedAt(detailItem.cached_at)}</dd>
+                {detailItem.url && (<><dt>Imagen</dt><dd><a href={detailItem.url} target="_blank" rel="noopener">Abrir original</a></dd></>)}
+                {sharedByLabel && (<><dt>Compartido por</dt><dd>{sharedByLabel}</dd></>)}
+              </dl>
+            </div>
+            <ItemAnnotations key={`annotations-${detailItem.id}`} itemId={detailItem.id} entry={annotations.itemAnnotations(roomAnnotations, detailItem.id)}
+              self={self} readOnly={readOnly} comment={comment} react={react} />
+          </aside>
+        )}
+
+        {/* Búsqueda, orden y tamaño de página (el estado se refleja en la query de la URL) */}
+        <div className="list-controls">
+          <input type="search" className="list-search" value={query.q} placeholder="Buscar por título o #id" aria-label="Buscar"
+            onChange={(e) => setQuery({ q: e.target.value })} />
+          <select className="list-sort" value={query.sort} aria-label="Ordenar por" onChange={(e) => setQuery({ sort: e.target.value })}>
+            {SORT_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <select className="list-dir" value={query.dir} aria-label="Dirección" disabled={!query.sort}
+            onChange={(e) => setQuery({ dir: e.target.value })}>
+            <option value="asc">Ascendente</option>
+            <option value="desc">Descendente</option>
+          </select>
+          <select className="list-size" value={query.size} aria-label="Items por página" onChange={(e) => setQuery({ size: e.target.value })}>
+            {itemQuery.PAGE_SIZES.map((size) => <option key={size} value={size}>{size} por página</option>)}
+          </select>
+        </div>
+
         {loading && <div className="notice">Cargando...</div>}
         {error && <div className="notice -danger">Error: {error}</div>}
+        {!loading && !error && items.length > 0 && listView.total === 0 && (
+          <div className="notice empty">Sin resultados para «{query.q.trim()}»</div>
+        )}
 
-        <ul className="simple-list">
-          {items.map((item) => (
-            <li key={item.id} className={`list-item ${selectedId === item.id ? 'shared' : ''}`}>
-              <button className="list-btn" onClick={() => share(item)} aria-pressed={selectedId === item.id}>
-                <span className="item-id">#{item.id}</span>
-                <span className="item-desc">{item.description || item.title}</span>
-              </button>
-            </li>
-          ))}
+        {/* Lista (una fila por item) o cuadrícula de miniaturas */}
+        <ul className={`simple-list ${viewMode === 'grid' ? 'thumb-grid' : ''}`}>
+          {listView.items.map((item) => {
+            const hoveredBy = cobrowse.hoveredBy(cobrowsePeers, item.id);
+            const badge = annotations.annotationBadge(annotations.itemAnnotations(roomAnnotations, item.id));
+            return (
+              <li key={item.id} data-item-id={item.id}
+                className={`list-item ${selectedId === item.id ? 'shared' : ''} ${hoveredBy.length ? 'remote-hover' : ''}`}>
+                <button className="list-btn" onClick={() => share(item)} aria-pressed={selectedId === item.id}>
+                  <img className="item-thumb" src={itemUtils.thumbnailSrc(item)} alt="" loading="lazy" decoding="async"
+                    width="48" height="48" onError={itemUtils.handleImageError} />
+                  <span className="item-id">#{item.id}</span>
+                  <span className="item-desc">{itemUtils.itemTitle(item)}</span>
+                  {selectedId === item.id && sharedByLabel && (
+                    <span className="shared-by">compartido por {sharedByLabel}</span>
+                  )}
+                  {badge && <span className="annotation-badge" title="Comentarios y reacciones">{badge}</span>}
+                  {hoveredBy.length > 0 && <span className="hovered-by">mirando: {hoveredBy.join(', ')}</span>}
+                </button>
+              </li>
+            );
+          })}
         </ul>
+
+        {listView.pageCount > 1 && (
+          <nav className="pager" aria-label="Paginación">
+            <button type="button" disabled={listView.page <= 1} onClick={() => setQuery({ page: listView.page - 1 })}>Anterior</button>
+            <span className="pager-info">Página {listView.page} de {listView.pageCount} · {listView.start}–{listView.end} de {listView.total}</span>
+            <button type="button" disabled={listView.page >= listView.pageCount} onClick={() => setQuery({ page: listView.page + 1 })}>Siguiente</button>
+          </nav>
+        )}
       </main>
 
       <footer className="app-footer">Puerto: 9003 — React app</footer>
@@ -0,0 +1,47 @@
+import React, { useEffect, useState } from 'react';
+import { connectionStatus } from '@shared/index.js';
+
+/**
+ * Indicador del estado de conexión realtime: conectando, conectado, offline o degradado, con la latencia
+ * del último ping, la cuenta atrás hasta el próximo reintento y un botón para reintentar ya.
+ * @param {{status: string, degraded: boolean, reconnectAt: (number|null), latency: (number|null),
+ *   onReconnect: function(): void}} props
+ * @returns {JSX.Element}
+ *
+ * Ejemplos de uso (en español):
+ * 1) <ConnectionStatus status={status} degraded={degraded} reconnectAt={reconnectAt} latency={latency}
+ *      onReconnect={reconnectNow} />
+ * 2) // con el socket caído muestra "Offline", "Reintento en 4 s" y "Reconectar ahora"
+ * 3) // la cuenta atrás se refresca sola cada segundo
+ */
+export default function ConnectionStatus({ status, degraded, reconnectAt, latency, onReconnect }) {
+  // Reloj de la cuenta atrás: solo avanza mientras hay un reintento programado
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    let timer = null;
+    function tick() {
+      const current = Date.now();
+      setNow(current);
+      const delay = connectionStatus.countdownDelay(reconnectAt, current);
+      timer = delay === null ? null : setTimeout(tick, delay);
+    }
+    tick();
+    return () => clearTimeout(timer);
+  }, [reconnectAt]);
+
+  const view = connectionStatus.describeConnection({ status, degraded, reconnectAt, latency }, now);
+
+  return (
+    <span className={`connection-status ${view.state}`} title={view.title}>
+      <span className="chip connection-state" role="status">{view.label}</span>
+      {view.latency && (
+        <span className={`connection-latency ${view.latencyLevel}`} title="Latencia (ida y vuelta) del último ping">{view.latency}</span>
+      )}
+      {view.retryIn !== null && <span className="connection-retry">Reintento en {view.retryIn} s</span>}
+      {view.canRetry && (
+        <button type="button" className="connection-retry-now" onClick={onReconnect}>Reconectar ahora</button>
+      )}
+    </span>
+  );
+}
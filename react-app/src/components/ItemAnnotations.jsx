@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { protocol, annotations } from '@shared/index.js';
+
+/**
+ * Comentarios y reacciones de un item (en el panel de detalle). Los cambios llegan por el canal realtime:
+ * lo enviado aparece cuando el servidor lo difunde a la sala.
+ * @param {{itemId: (number|string), entry: Object, self: (Object|null), readOnly: boolean,
+ *   comment: function(*, string): Promise<string>, react: function(*, string, boolean): Promise<string>}} props
+ * @returns {JSX.Element}
+ *
+ * Ejemplos de uso (en español):
+ * 1) <ItemAnnotations key={item.id} itemId={item.id} entry={annotations.itemAnnotations(all, item.id)} self={self}
+ *      readOnly={readOnly} comment={comment} react={react} />
+ * 2) // sin conexión el texto se conserva y se muestra "Sin conexión: no se ha enviado..."
+ * 3) // con rol receiver solo se ve el hilo (sin formulario y con las reacciones deshabilitadas)
+ */
+export default function ItemAnnotations({ itemId, entry, self, readOnly, comment, react }) {
+  // Texto del comentario en curso y aviso del último envío fallido
+  const [text, setText] = useState('');
+  const [error, setError] = useState('');
+
+  async function submitComment(e) {
+    e.preventDefault();
+    setError('');
+    try {
+      const result = await comment(itemId, text);
+      setError(annotations.failureMessage(result));
+      if (result === 'ws') setText('');
+    } catch (err) {
+      setError((err && err.message) ? err.message : 'No se pudo enviar el comentario');
+    }
+  }
+
+  async function toggleReaction(reaction) {
+    setError(annotations.failureMessage(await react(itemId, reaction.emoji, !reaction.mine)));
+  }
+
+  return (
+    <section className="item-annotations" aria-label="Comentarios y reacciones">
+      <div className="reactions" role="group" aria-label="Reacciones">
+        {annotations.reactionSummary(entry, self).map((reaction) => (
+          <button key={reaction.emoji} type="button" className={`reaction ${reaction.mine ? 'mine' : ''}`}
+            aria-pressed={reaction.mine} title={reaction.names} disabled={readOnly} onClick={() => toggleReaction(reaction)}>
+            {reaction.emoji} <span className="reaction-count">{reaction.count}</span>
+          </button>
+        ))}
+      </div>
+      {entry.comments.length > 0 ? (
+        <ul className="comments">
+          {entry.comments.map((c) => (
+            <li key={c.id} className="comment">
+              <span className="comment-author">{annotations.commentAuthor(c, self)}</span>
+              <time className="comment-time">{annotations.formatCommentTime(c.timestamp)}</time>
+              <p className="comment-text">{c.text}</p>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="comments-empty">Sin comentarios todavía</p>
+      )}
+      {!readOnly && (
+        <form className="comment-form" onSubmit={submitComment}>
+          <input type="text" className="comment-input" value={text} maxLength={protocol.MAX_COMMENT_LENGTH}
+            placeholder="Escribe un comentario" aria-label="Comentario" onChange={(e) => setText(e.target.value)} />
+          <button type="submit" disabled={!text.trim()}>Comentar</button>
+        </form>
+      )}
+      {error && <p className="comment-error" role="alert">{error}</p>}
+    </section>
+  );
+}
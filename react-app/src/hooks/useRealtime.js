@@ -0,0 +1,158 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createRealtimeClient, Status, cobrowse } from '@shared/index.js';
+
+/**
+ * Hook de React sobre el cliente realtime compartido (shared/realtime-client.js).
+ * Crea un único cliente por componente, conecta al montar y cierra al desmontar (también la co-navegación).
+ * @param {Object} options - Opciones de createRealtimeClient (url, room, token, httpPost, logPrefix...).
+ * @param {function(Object, Object): void} [options.onShared] - Se llama con (item, sobre) por cada share_item.
+ * @param {function(Object, Object): void} [options.onSnapshot] - Se llama con (snapshot, sobre) al (re)conectar o cambiar de sala.
+ * @param {function(Object): void} [options.onRollback] - Se llama con ({ current, sharedBy, reason }) cuando un
+ *   share propio pierde frente a otro más reciente o el servidor lo rechaza.
+ * @returns {{client: Object, status: string, connected: boolean, room: string, pendingCount: number,
+ *   users: Array<Object>, self: (Object|null), readOnly: boolean, degraded: boolean, reconnectAt: (number|null),
+ *   latency: (number|null), reconnectNow: function(): boolean, sharedImage: (Object|null),
+ *   cobrowsing: boolean, cobrowsePeers: Array<Object>, setCobrowse: function(boolean): void,
+ *   share: function(Object): Promise<('ws'|'http'|'queued'|'denied')>,
+ *   shareImage: function(Object): Promise<('ws'|'http'|'failed'|'denied')>, dismissImage: function(): void,
+ *   annotations: Object, comment: function(*, string): Promise<('ws'|'failed'|'denied')>,
+ *   react: function(*, string, boolean): Promise<('ws'|'failed'|'denied')>, join: function(string): string}}
+ *
+ * Ejemplos de uso (en español):
+ * 1) const { connected, share } = useRealtime({ url: WS_URL, onShared: (item) => setSelectedId(item.id) });
+ * 2) await share(item); // 'ws', 'http', 'queued' (outbox hasta reconectar) o 'denied' (rol receiver)
+ * 3) join('equipo-a', 'Ana'); // room pasa a 'equipo-a' y el nombre visible a 'Ana'
+ */
+export function useRealtime(options) {
+  const { onShared, onSnapshot, onRollback, ...clientOptions } = options;
+
+  const clientRef = useRef(null);
+  if (!clientRef.current) clientRef.current = createRealtimeClient(clientOptions);
+  const client = clientRef.current;
+
+  const [status, setStatus] = useState(client.getStatus());
+  const [room, setRoom] = useState(client.getRoom());
+  const [pendingCount, setPendingCount] = useState(() => client.getPendingCount());
+  const [users, setUsers] = useState(() => client.getUsers());
+  const [self, setSelf] = useState(() => client.getSelf());
+  const [role, setRole] = useState(() => client.getRole());
+  const [serviceStatus, setServiceStatus] = useState(() => client.getServiceStatus());
+  // Próximo intento de reconexión (Date.now()) y latencia del último ping (ms), para el indicador de conexión
+  const [reconnectAt, setReconnectAt] = useState(() => client.getReconnectAt());
+  const [latency, setLatency] = useState(() => client.getLatency());
+  // Imagen compartida en la sala ({ id, image, sharedBy, timestamp }) hasta que caduca o se cierra
+  const [sharedImage, setSharedImage] = useState(() => client.getSharedImage());
+  // Comentarios y reacciones de los items de la sala (ver shared/annotations.js)
+  const [annotations, setAnnotations] = useState(() => client.getAnnotations());
+  // Co-navegación de esta pestaña y pestañas de la sala que co-navegan ({ user, hover, pointer, scroll })
+  const [cobrowsing, setCobrowsing] = useState(() => client.isCobrowsing());
+  const [cobrowsePeers, setCobrowsePeers] = useState(() => client.getCobrowsePeers());
+  const stopCobrowseRef = useRef(null);
+
+  // Los callbacks más recientes se guardan en refs para no re-suscribir en cada render
+  const onSharedRef = useRef(onShared);
+  onSharedRef.current = onShared;
+  const onSnapshotRef = useRef(onSnapshot);
+  onSnapshotRef.current = onSnapshot;
+  const onRollbackRef = useRef(onRollback);
+  onRollbackRef.current = onRollback;
+
+  useEffect(() => {
+    const offStatus = client.on('status', (next) => {
+      setStatus(next);
+      setReconnectAt(client.getReconnectAt());
+    });
+    const offReconnect = client.on('reconnect', (delay, at) => setReconnectAt(at));
+    const offLatency = client.on('latency', setLatency);
+    const offOutbox = client.on('outbox', setPendingCount);
+    const offUsers = client.on('users', (list) => {
+      setUsers(list);
+      setSelf(client.getSelf());
+    });
+    const offRole = client.on('role', setRole);
+    const offServiceStatus = client.on('service-status', setServiceStatus);
+    const offImage = client.on('image', setSharedImage);
+    const offAnnotations = client.on('annotations', setAnnotations);
+    const offCobrowse = client.on('cobrowse', setCobrowsePeers);
+    const offShared = client.onShared((item, message) => {
+      if (onSharedRef.current) onSharedRef.current(item, message);
+    });
+    const offSnapshot = client.onSnapshot((snapshot, message) => {
+      if (onSnapshotRef.current) onSnapshotRef.current(snapshot, message);
+    });
+    const offRollback = client.onRollback((rollback) => {
+      if (onRollbackRef.current) onRollbackRef.current(rollback);
+    });
+    client.connect();
+    return () => {
+      offStatus();
+      offReconnect();
+      offLatency();
+      offOutbox();
+      offUsers();
+      offRole();
+      offServiceStatus();
+      offImage();
+      offAnnotations();
+      offCobrowse();
+      offShared();
+      offSnapshot();
+      offRollback();
+      if (stopCobrowseRef.current) {
+        stopCobrowseRef.current();
+        stopCobrowseRef.current = null;
+      }
+      client.close();
+    };
+  }, [client]);
+
+  const join = useCallback((nextRoom, nextName) => {
+    const next = client.join(nextRoom, nextName);
+    setRoom(next);
+    return next;
+  }, [client]);
+
+  const share = useCallback((item) => client.share(item), [client]);
+  const shareImage = useCallback((image) => client.shareImage(image), [client]);
+  const dismissImage = useCallback(() => client.dismissImage(), [client]);
+  const reconnectNow = useCallback(() => client.reconnectNow(), [client]);
+  const comment = useCallback((itemId, text) => client.comment(itemId, text), [client]);
+  const react = useCallback((itemId, emoji, active) => client.react(itemId, emoji, active), [client]);
+  const setCobrowse = useCallback((enabled) => {
+    if (enabled && !stopCobrowseRef.current) {
+      stopCobrowseRef.current = cobrowse.startCobrowse(window, client);
+    } else if (!enabled && stopCobrowseRef.current) {
+      stopCobrowseRef.current();
+      stopCobrowseRef.current = null;
+    }
+    setCobrowsing(!!stopCobrowseRef.current);
+  }, [client]);
+
+  return {
+    client,
+    status,
+    connected: status === Status.OPEN,
+    room,
+    pendingCount,
+    users,
+    self,
+    // true si el token es de rol 'receiver' (solo recibe shares)
+    readOnly: role === 'receiver',
+    // true mientras el servidor anuncia 'degraded' (RabbitMQ caído)
+    degraded: serviceStatus === 'degraded',
+    reconnectAt,
+    latency,
+    reconnectNow,
+    sharedImage,
+    cobrowsing,
+    cobrowsePeers,
+    setCobrowse,
+    share,
+    shareImage,
+    dismissImage,
+    annotations,
+    comment,
+    react,
+    join
+  };
+}
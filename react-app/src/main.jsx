@@ -1,8 +1,12 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App.jsx';
+import { offline } from '@shared/index.js';
 import './styles.css';
 
 const container = document.getElementById('root');
 const root = createRoot(container);
 root.render(<App />);
+
+// Lista disponible sin red (caché de /api/items en el service worker)
+offline.registerItemsWorker(window, { logPrefix: '[react-app]' });
@@ -0,0 +1,42 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import React, { act } from 'react'
+import { createRoot } from 'react-dom/client'
+import axios from 'axios'
+import App from '../src/App.jsx'
+import { defineItemListSpec, createAxiosAdapter, flushMicrotasks } from '@shared/testing/item-list-spec.js'
+
+// Indica a React que los renders se esperan con act()
+globalThis.IS_REACT_ACT_ENVIRONMENT = true
+
+/**
+ * Adaptador de la especificación común: monta `App.jsx` con axios respondiendo desde la API simulada.
+ */
+const reactAdapter = {
+  name: 'React App',
+  async mount({ api }) {
+    axios.defaults.adapter = createAxiosAdapter(api)
+    const container = document.createElement('div')
+    document.body.appendChild(container)
+    const root = createRoot(container)
+    await act(async () => {
+      root.render(<App />)
+    })
+    return {
+      container,
+      async settle(action) {
+        await act(async () => {
+          if (action) await action()
+          await flushMicrotasks()
+        })
+      },
+      async unmount() {
+        await act(async () => {
+          root.unmount()
+        })
+        container.remove()
+      },
+    }
+  },
+}
+
+defineItemListSpec({ describe, it, expect, beforeEach, afterEach, vi }, reactAdapter)
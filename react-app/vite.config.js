@@ -1,14 +1,30 @@
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const rootDir = path.dirname(fileURLToPath(import.meta.url))
+
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    // Módulos compartidos con el servicio realtime y las otras apps (carpeta /shared del repo)
+    alias: { '@shared': path.resolve(rootDir, '../shared') },
+  },
+  // Service worker de la lista (items-sw.js), servido en la raíz como en las otras apps
+  publicDir: path.resolve(rootDir, '../shared/public'),
   build: {
     outDir: 'dist',
     emptyOutDir: true,
   },
   server: {
     port: 5173,
+    fs: { allow: ['..'] },
+  },
+  // Tests (Vitest): DOM simulado y módulos compartidos publicados en window como en el navegador
+  test: {
+    environment: 'jsdom',
+    setupFiles: [path.resolve(rootDir, '../shared/testing/setup-globals.js')],
   },
 })
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Autenticación de conexiones WebSocket del servicio realtime.
+ *
+ * Los clientes presentan un token firmado (JWT HS256 con el secreto compartido WS_AUTH_SECRET) al abrir
+ * el socket, en `?token=` o como subprotocolo `auth.<token>` de Sec-WebSocket-Protocol. El token lleva el
+ * rol del cliente, que decide qué tipos de mensaje puede enviar.
+ *
+ * Generar un token de prueba: `npm run token -- sender Ana` (rol, sub/nombre opcional, horas de validez).
+ */
+
+const crypto = require('crypto');
+
+/** Roles admitidos en el claim `role`. */
+const Roles = Object.freeze({
+  SENDER: 'sender',
+  RECEIVER: 'receiver',
+  // Además de enviar, puede usar la API admin HTTP (dead-letters)
+  ADMIN: 'admin'
+});
+
+/** Subprotocolo que el servidor acepta (el token nunca se devuelve en la respuesta del handshake). */
+const APP_SUBPROTOCOL = 'porfolio';
+const TOKEN_SUBPROTOCOL_PREFIX = 'auth.';
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function decodeBase64url(input) {
+  return Buffer.from(input.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+function hmac(data, secret) {
+  return base64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+/**
+ * Firma un token JWT HS256 con los claims indicados.
+ * @param {{sub: string, role: string, name?: string}} claims
+ * @param {string} secret - Secreto compartido (WS_AUTH_SECRET).
+ * @param {{expiresInSec?: number}} [options] - Validez en segundos (por defecto 12 h).
+ * @returns {string}
+ *
+ * Ejemplos de uso (en español):
+ * 1) signToken({ sub: 'ana', role: 'sender', name: 'Ana' }, process.env.WS_AUTH_SECRET);
+ * 2) signToken({ sub: 'pantalla-1', role: 'receiver' }, secret, { expiresInSec: 3600 });
+ * 3) // el backend puede emitir el mismo formato con cualquier librería JWT (alg HS256)
+ */
+function signToken(claims, secret, options = {}) {
+  if (!secret) throw new Error('Se necesita un secreto para firmar el token');
+  const now = Math.floor(Date.now() / 1000);
+  const expiresInSec = options.expiresInSec || 12 * 60 * 60;
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify(Object.assign({ iat: now, exp: now + expiresInSec }, claims)));
+  return `${header}.${payload}.${hmac(`${header}.${payload}`, secret)}`;
+}
+
+/**
+ * Verifica firma, expiración y rol de un token.
+ * @param {string} token
+ * @param {string} secret
+ * @returns {{ok: true, claims: Object}|{ok: false, reason: string}}
+ *
+ * Ejemplos de uso (en español):
+ * 1) verifyToken(token, secret); // { ok: true, claims: { sub, role, name, exp } }
+ * 2) verifyToken('basura', secret); // { ok: false, reason: 'Token mal formado' }
+ * 3) // los tokens con alg distinto de HS256 (incluido 'none') se rechazan
+ */
+function verifyToken(token, secret) {
+  if (typeof token !== 'string' || !token) return { ok: false, reason: 'Falta el token' };
+  const parts = token.split('.');
+  if (parts.length !== 3) return { ok: false, reason: 'Token mal formado' };
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(decodeBase64url(parts[0]));
+    claims = JSON.parse(decodeBase64url(parts[1]));
+  } catch (e) {
+    return { ok: false, reason: 'Token mal formado' };
+  }
+  if (!header || header.alg !== 'HS256') return { ok: false, reason: 'Algoritmo de firma no admitido' };
+
+  const expected = Buffer.from(hmac(`${parts[0]}.${parts[1]}`, secret));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { ok: false, reason: 'Firma inválida' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!claims || typeof claims !== 'object') return { ok: false, reason: 'Token mal formado' };
+  if (typeof claims.exp === 'number' && claims.exp <= now) return { ok: false, reason: 'Token expirado' };
+  if (typeof claims.nbf === 'number' && claims.nbf > now) return { ok: false, reason: 'Token aún no válido' };
+  if (typeof claims.sub !== 'string' || !claims.sub) return { ok: false, reason: 'Falta el claim sub' };
+  if (!Object.values(Roles).includes(claims.role)) return { ok: false, reason: `Rol no admitido: ${claims.role}` };
+  return { ok: true, claims };
+}
+
+/**
+ * Extrae el token de la petición de upgrade: primero `?token=`, luego el subprotocolo `auth.<token>`.
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|null}
+ *
+ * Ejemplos de uso (en español):
+ * 1) extractToken(req); // 'eyJhbGciOi...' desde ws://host:3000/?token=eyJ...
+ * 2) // new WebSocket(url, ['porfolio', 'auth.' + token]) en el navegador
+ * 3) // devuelve null si no viene en ninguno de los dos sitios
+ */
+function extractToken(req) {
+  try {
+    const fromQuery = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (fromQuery) return fromQuery;
+  } catch (e) { /* URL inválida: probamos con el subprotocolo */ }
+
+  const header = req.headers['sec-websocket-protocol'];
+  if (!header) return null;
+  const entry = header.split(',').map((p) => p.trim()).find((p) => p.startsWith(TOKEN_SUBPROTOCOL_PREFIX));
+  return entry ? entry.slice(TOKEN_SUBPROTOCOL_PREFIX.length) : null;
+}
+
+/**
+ * Extrae el token de la cabecera `Authorization: Bearer <token>` (peticiones HTTP de la API admin).
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|null}
+ */
+function extractBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+/**
+ * Compara un token con el esperado en tiempo constante (token estático de la API admin, WS_ADMIN_TOKEN).
+ * @param {string|null} token - Token recibido.
+ * @param {string} expected - Token configurado; si está vacío nunca coincide.
+ * @returns {boolean}
+ *
+ * Ejemplos de uso (en español):
+ * 1) matchesStaticToken(extractBearerToken(req), process.env.WS_ADMIN_TOKEN);
+ * 2) matchesStaticToken('otro', 's3creto'); // false
+ * 3) matchesStaticToken(null, ''); // false: sin token configurado no entra nadie
+ */
+function matchesStaticToken(token, expected) {
+  if (typeof token !== 'string' || !token || !expected) return false;
+  // Se comparan resúmenes de la misma longitud para no revelar la del token configurado
+  const actual = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(actual, crypto.createHash('sha256').update(expected).digest());
+}
+
+/**
+ * Elige el subprotocolo de la respuesta: nunca el del token, para no reflejarlo en la cabecera.
+ * Se usa como opción `handleProtocols` de WebSocket.Server.
+ * @param {Set<string>} protocols - Subprotocolos ofrecidos por el cliente.
+ * @returns {string|false}
+ */
+function selectProtocol(protocols) {
+  if (protocols.has(APP_SUBPROTOCOL)) return APP_SUBPROTOCOL;
+  return false;
+}
+
+// CLI: node auth.js <rol> [sub] [horas]  -> imprime un token firmado con WS_AUTH_SECRET
+if (require.main === module) {
+  require('dotenv').config();
+  const [role = Roles.SENDER, sub = 'demo', hours = '12'] = process.argv.slice(2);
+  const secret = process.env.WS_AUTH_SECRET;
+  if (!secret) {
+    console.error('[realtime] Define WS_AUTH_SECRET para firmar tokens');
+    process.exit(1);
+  }
+  if (!Object.values(Roles).includes(role)) {
+    console.error(`[realtime] Rol no admitido: ${role} (usa ${Object.values(Roles).join(' o ')})`);
+    process.exit(1);
+  }
+  console.log(signToken({ sub, name: sub, role }, secret, { expiresInSec: Math.round(parseFloat(hours) * 3600) }));
+}
+
+module.exports = {
+  Roles,
+  APP_SUBPROTOCOL,
+  TOKEN_SUBPROTOCOL_PREFIX,
+  signToken,
+  verifyToken,
+  extractToken,
+  extractBearerToken,
+  matchesStaticToken,
+  selectProtocol
+};
@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * Dead-lettering de los mensajes que el consumidor realtime no puede procesar.
+ *
+ * Los fallos transitorios (excepciones al entregar) se reintentan con espera: el mensaje pasa a una cola de
+ * reintento propia de la cola de origen, sin consumidores, con la cabecera `x-retry-count` incrementada y un
+ * TTL que se dobla en cada intento; al expirar, RabbitMQ lo devuelve (dead-letter) a la cola de origen. Al
+ * superar `maxRetries`, o si el mensaje es inválido (no se arregla reintentando), se publica en el exchange
+ * de dead-letter (enlazado a su cola) con el motivo en `x-failure-reason`. Desde ahí se pueden listar,
+ * reenviar o purgar (API admin en index.js). En ambos casos el mensaje sigue siendo persistente.
+ */
+
+const crypto = require('crypto');
+
+/** Cabeceras que se añaden a los mensajes reintentados o muertos. */
+const Headers = Object.freeze({
+  RETRY_COUNT: 'x-retry-count',
+  FAILURE_REASON: 'x-failure-reason',
+  ORIGINAL_QUEUE: 'x-original-queue',
+  // messageId del mensaje original (el muerto lleva uno nuevo, que es el que usa la API admin)
+  ORIGINAL_MESSAGE_ID: 'x-original-message-id',
+  FAILED_AT: 'x-failed-at'
+});
+
+// Máximo de mensajes que recorre una operación admin (evita bucles largos con colas enormes)
+const MAX_SCAN = 1000;
+
+// Tope de la espera entre reintentos, por grande que sea maxRetries
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Propiedades AMQP del mensaje original que se conservan al reintentarlo o mandarlo a dead-letter
+const KEPT_PROPERTIES = ['contentType', 'contentEncoding', 'messageId', 'correlationId', 'replyTo', 'timestamp', 'type', 'appId', 'priority'];
+
+function keptProperties(msg, headers) {
+  const properties = { headers, persistent: true };
+  for (const name of KEPT_PROPERTIES) {
+    if (msg.properties[name] !== undefined && msg.properties[name] !== null) properties[name] = msg.properties[name];
+  }
+  properties.contentType = properties.contentType || 'application/json';
+  return properties;
+}
+
+function retryCountOf(msg) {
+  const headers = (msg.properties && msg.properties.headers) || {};
+  const count = parseInt(headers[Headers.RETRY_COUNT], 10);
+  return Number.isFinite(count) && count > 0 ? count : 0;
+}
+
+function describe(msg) {
+  const headers = (msg.properties && msg.properties.headers) || {};
+  const raw = msg.content.toString('utf8');
+  let envelope = null;
+  try { envelope = JSON.parse(raw); } catch (e) { /* se devuelve el texto tal cual */ }
+  return {
+    id: msg.properties.messageId,
+    envelopeId: envelope && typeof envelope.id === 'string' ? envelope.id : null,
+    reason: headers[Headers.FAILURE_REASON] || null,
+    retries: retryCountOf(msg),
+    originalQueue: headers[Headers.ORIGINAL_QUEUE] || null,
+    failedAt: headers[Headers.FAILED_AT] || null,
+    originalId: headers[Headers.ORIGINAL_MESSAGE_ID] || null,
+    content: envelope || raw
+  };
+}
+
+/**
+ * Crea el gestor de dead-letters.
+ * @param {{exchange: string, queue: string, maxRetries: number, replayQueue: string, retryQueuePrefix?: string,
+ *   retryDelayMs?: number, onRetry?: function(): void, onDeadLetter?: function(): void}} options - `replayQueue`
+ *   es la cola a la que vuelven los mensajes reenviados; `retryDelayMs` la espera antes del primer reintento
+ *   (se dobla en cada uno); onRetry/onDeadLetter permiten contar en métricas.
+ * @returns {{setup: Function, setupRetry: Function, retryQueueFor: Function, reject: Function, list: Function,
+ *   replay: Function, purge: Function}}
+ *
+ * Ejemplos de uso (en español):
+ * 1) const deadLetters = createDeadLetters({ exchange: 'shared_items.dlx', queue: 'shared_items.dead', maxRetries: 3, replayQueue: 'shared_items' });
+ * 2) await deadLetters.setup(channel); await deadLetters.setupRetry(channel, 'shared_items');
+ * 3) deadLetters.reject(channel, msg, queue, 'invalid_json', { retryable: false });
+ */
+function createDeadLetters({
+  exchange, queue, maxRetries, replayQueue, retryQueuePrefix = 'shared_items.retry', retryDelayMs = 1000,
+  onRetry = () => {}, onDeadLetter = () => {}
+}) {
+  /**
+   * Declara el exchange (fanout, durable) y la cola de dead-letter enlazada.
+   * @param {import('amqplib').Channel} channel
+   * @returns {Promise<void>}
+   */
+  async function setup(channel) {
+    await channel.assertExchange(exchange, 'fanout', { durable: true });
+    await channel.assertQueue(queue, { durable: true });
+    await channel.bindQueue(queue, exchange, '');
+  }
+
+  /**
+   * Nombre de la cola de reintento de una cola de origen (las colas `amq.*` no se pueden declarar, de ahí el prefijo).
+   * @param {string} sourceQueue
+   * @returns {string}
+   */
+  function retryQueueFor(sourceQueue) {
+    return `${retryQueuePrefix}.${sourceQueue}`;
+  }
+
+  /**
+   * Declara la cola de reintento de `sourceQueue`: sin consumidores, lo que expira en ella vuelve a la cola de
+   * origen por el exchange por defecto. Hay que llamarla antes de consumir la cola de origen.
+   * @param {import('amqplib').Channel} channel
+   * @param {string} sourceQueue
+   * @param {{exclusive?: boolean}} [options] - true si la cola de origen es exclusiva (la de reintento se borra con ella).
+   * @returns {Promise<void>}
+   *
+   * Ejemplos de uso (en español):
+   * 1) await deadLetters.setupRetry(channel, 'shared_items'); // cola durable 'shared_items.retry.shared_items'
+   * 2) await deadLetters.setupRetry(channel, 'amq.gen-Xy', { exclusive: true }); // cola propia de la instancia
+   * 3) // un reintento espera retryDelayMs, el siguiente el doble, y así hasta maxRetries
+   */
+  async function setupRetry(channel, sourceQueue, { exclusive = false } = {}) {
+    await channel.assertQueue(retryQueueFor(sourceQueue), {
+      durable: !exclusive,
+      exclusive,
+      deadLetterExchange: '',
+      deadLetterRoutingKey: sourceQueue
+    });
+  }
+
+  /**
+   * Gestiona un mensaje que no se pudo procesar: lo reintenta tras una espera (si es reintentable y quedan
+   * intentos) o lo publica en el exchange de dead-letter; en ambos casos confirma el original.
+   * @param {import('amqplib').Channel} channel
+   * @param {import('amqplib').ConsumeMessage} msg
+   * @param {string} sourceQueue - Cola de la que vino.
+   * @param {string} reason - Motivo legible (p. ej. 'invalid_json: ...').
+   * @param {{retryable?: boolean}} [options]
+   * @returns {('retried'|'dead-lettered')}
+   *
+   * Ejemplos de uso (en español):
+   * 1) reject(channel, msg, 'shared_items', `invalid_payload: ${detalle}`); // directo a dead-letter
+   * 2) reject(channel, msg, queue, err.message, { retryable: true }); // reintenta hasta maxRetries
+   * 3) // si publicar falla, el llamador debe hacer nack para no perder el mensaje en silencio
+   */
+  function reject(channel, msg, sourceQueue, reason, { retryable = false } = {}) {
+    const retries = retryCountOf(msg);
+    const headers = Object.assign({}, msg.properties.headers);
+    const properties = keptProperties(msg, headers);
+
+    if (retryable && retries < maxRetries) {
+      headers[Headers.RETRY_COUNT] = retries + 1;
+      headers[Headers.FAILURE_REASON] = reason;
+      // El TTL es por mensaje para que la espera crezca con los intentos
+      const delay = Math.min(retryDelayMs * 2 ** retries, MAX_RETRY_DELAY_MS);
+      channel.sendToQueue(retryQueueFor(sourceQueue), msg.content, Object.assign(properties, { expiration: String(delay) }));
+      channel.ack(msg);
+      onRetry();
+      return 'retried';
+    }
+
+    headers[Headers.RETRY_COUNT] = retries;
+    headers[Headers.FAILURE_REASON] = reason;
+    headers[Headers.ORIGINAL_QUEUE] = sourceQueue;
+    headers[Headers.FAILED_AT] = new Date().toISOString();
+    if (msg.properties.messageId) headers[Headers.ORIGINAL_MESSAGE_ID] = msg.properties.messageId;
+    channel.publish(exchange, '', msg.content, Object.assign(properties, { messageId: crypto.randomUUID() }));
+    channel.ack(msg);
+    onDeadLetter();
+    return 'dead-lettered';
+  }
+
+  // Recorre la cola de dead-letter con un canal propio; los mensajes no confirmados vuelven a la cola
+  // al cerrar el canal. `visit` devuelve true para confirmar (sacar) el mensaje.
+  async function scan(connection, visit, limit = MAX_SCAN) {
+    const channel = await connection.createChannel();
+    try {
+      await channel.checkQueue(queue);
+      for (let i = 0; i < limit; i += 1) {
+        const msg = await channel.get(queue, { noAck: false });
+        if (!msg) break;
+        if (visit(msg, channel)) channel.ack(msg);
+      }
+    } finally {
+      try { await channel.close(); } catch (e) {}
+    }
+  }
+
+  /**
+   * Lista los mensajes muertos sin sacarlos de la cola.
+   * @param {import('amqplib').Connection} connection
+   * @param {number} [limit]
+   * @returns {Promise<Array<Object>>} [{ id, envelopeId, reason, retries, originalQueue, failedAt, originalId, content }]
+   */
+  async function list(connection, limit = 50) {
+    const items = [];
+    await scan(connection, (msg) => {
+      items.push(describe(msg));
+      return false;
+    }, Math.min(limit, MAX_SCAN));
+    return items;
+  }
+
+  /**
+   * Reenvía mensajes muertos a `replayQueue` (con el contador de reintentos a cero) y los saca de la cola.
+   * @param {import('amqplib').Connection} connection
+   * @param {string} [id] - Id de dead-letter; si se omite se reenvían todos.
+   * @returns {Promise<number>} Mensajes reenviados.
+   */
+  async function replay(connection, id) {
+    let count = 0;
+    await scan(connection, (msg, channel) => {
+      if (id && msg.properties.messageId !== id) return false;
+      const headers = Object.assign({}, msg.properties.headers);
+      delete headers[Headers.RETRY_COUNT];
+      delete headers[Headers.FAILURE_REASON];
+      headers['x-replayed-from'] = msg.properties.messageId;
+      const properties = keptProperties(msg, headers);
+      // Vuelve con su id original, no con el de dead-letter
+      if (headers[Headers.ORIGINAL_MESSAGE_ID]) properties.messageId = headers[Headers.ORIGINAL_MESSAGE_ID];
+      else delete properties.messageId;
+      channel.sendToQueue(replayQueue, msg.content, properties);
+      count += 1;
+      return true;
+    });
+    return count;
+  }
+
+  /**
+   * Elimina mensajes muertos.
+   * @param {import('amqplib').Connection} connection
+   * @param {string} [id] - Id de dead-letter; si se omite se vacía la cola.
+   * @returns {Promise<number>} Mensajes eliminados.
+   */
+  async function purge(connection, id) {
+    if (!id) {
+      const channel = await connection.createChannel();
+      try {
+        const { messageCount } = await channel.purgeQueue(queue);
+        return messageCount;
+      } finally {
+        try { await channel.close(); } catch (e) {}
+      }
+    }
+    let count = 0;
+    await scan(connection, (msg) => {
+      if (msg.properties.messageId !== id) return false;
+      count += 1;
+      return true;
+    });
+    return count;
+  }
+
+  return { setup, setupRetry, retryQueueFor, reject, list, replay, purge };
+}
+
+module.exports = { Headers, createDeadLetters };
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Límites por conexión del servicio realtime: token bucket para la frecuencia de mensajes.
+ *
+ * Cada conexión tiene su propio bucket con capacidad `burst` que se rellena a `ratePerSec` tokens por
+ * segundo; cada mensaje consume un token y, si no quedan, el mensaje se descarta.
+ */
+
+/**
+ * Crea un token bucket.
+ * @param {{ratePerSec: number, burst: number, now?: function(): number}} options - `now` permite
+ *   inyectar el reloj (por defecto Date.now).
+ * @returns {{take: function(): boolean, retryAfterMs: function(): number, available: function(): number}}
+ *
+ * Ejemplos de uso (en español):
+ * 1) const bucket = createTokenBucket({ ratePerSec: 10, burst: 60 }); bucket.take(); // true
+ * 2) if (!bucket.take()) avisar(bucket.retryAfterMs()); // sin tokens: ms hasta el siguiente
+ * 3) createTokenBucket({ ratePerSec: 1, burst: 1, now: () => relojFalso }); // reloj inyectado
+ */
+function createTokenBucket({ ratePerSec, burst, now = Date.now }) {
+  let tokens = burst;
+  let last = now();
+
+  function refill() {
+    const t = now();
+    tokens = Math.min(burst, tokens + ((t - last) / 1000) * ratePerSec);
+    last = t;
+  }
+
+  return {
+    take() {
+      refill();
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+    retryAfterMs() {
+      refill();
+      if (tokens >= 1 || ratePerSec <= 0) return 0;
+      return Math.ceil(((1 - tokens) / ratePerSec) * 1000);
+    },
+    available() {
+      refill();
+      return Math.floor(tokens);
+    }
+  };
+}
+
+module.exports = { createTokenBucket };
@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Registro mínimo de métricas en formato de texto de Prometheus (sin dependencias).
+ *
+ * Admite contadores (con etiquetas opcionales) y gauges calculados al pedir /metrics.
+ */
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels || {});
+  if (keys.length === 0) return '';
+  return `{${keys.map((k) => `${k}="${escapeLabel(labels[k])}"`).join(',')}}`;
+}
+
+/**
+ * Crea un registro de métricas.
+ * @returns {{counter: Function, gauge: Function, render: function(): string}}
+ *
+ * Ejemplos de uso (en español):
+ * 1) const consumed = registry.counter('realtime_queue_messages_consumed_total', 'Mensajes leídos'); consumed.inc();
+ * 2) registry.gauge('realtime_ws_clients', 'Clientes conectados', () => wsClients.size);
+ * 3) res.end(registry.render()); // en el handler de GET /metrics
+ */
+function createRegistry() {
+  const metrics = [];
+
+  /**
+   * Registra un contador monótono.
+   * @param {string} name
+   * @param {string} help
+   * @returns {{inc: function(Object=, number=): void, get: function(Object=): number}}
+   *
+   * Ejemplos de uso (en español):
+   * 1) acked.inc(); // +1 sin etiquetas
+   * 2) limited.inc({ reason: 'throttled' }); // +1 en la serie con esa etiqueta
+   * 3) deliveries.inc({}, members.size); // suma varios de una vez
+   */
+  function counter(name, help) {
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'counter',
+      samples: () => (series.size === 0 ? [[{}, 0]] : Array.from(series.values()).map((s) => [s.labels, s.value]))
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = formatLabels(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      },
+      get(labels = {}) {
+        const entry = series.get(formatLabels(labels));
+        return entry ? entry.value : 0;
+      }
+    };
+  }
+
+  /**
+   * Registra un gauge cuyo valor se calcula en cada render.
+   * @param {string} name
+   * @param {string} help
+   * @param {function(): (number|Array<[Object, number]>)} collect - Valor, o lista de [etiquetas, valor].
+   * @returns {void}
+   */
+  function gauge(name, help, collect) {
+    metrics.push({
+      name,
+      help,
+      type: 'gauge',
+      samples: () => {
+        const value = collect();
+        return Array.isArray(value) ? value : [[{}, value]];
+      }
+    });
+  }
+
+  /**
+   * Serializa todas las métricas en formato de exposición de Prometheus (text/plain; version=0.0.4).
+   * @returns {string}
+   */
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const [labels, value] of metric.samples()) {
+        lines.push(`${metric.name}${formatLabels(labels)} ${Number(value)}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, render };
+}
+
+module.exports = { createRegistry };
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Grabación de la sesión del servicio realtime en un fichero NDJSON (una entrada JSON por línea), para
+ * reproducir después los bugs de sincronización con `replay.js`.
+ *
+ * Se activa con `WS_RECORD_FILE` y registra, con la hora (`t`, ms de Date.now()) y el id de conexión (`conn`):
+ * - `open`: un socket entra (`room`, `name`, `role`).
+ * - `in`: frame recibido de un socket, tal cual llegó (aunque luego se rechace).
+ * - `out`: frame enviado a un socket (difusiones, snapshot, presencia, errores, pong...): una entrada por destinatario.
+ * - `close`: el socket se cierra (`code`).
+ * Los frames que son JSON se guardan como objeto en `frame`; los que no, como texto.
+ */
+
+const fs = require('fs');
+
+/** Tipos de entrada de la grabación. */
+const RecordEvents = Object.freeze({
+  OPEN: 'open',
+  IN: 'in',
+  OUT: 'out',
+  CLOSE: 'close'
+});
+
+function decodeFrame(data) {
+  const text = Buffer.isBuffer(data) ? data.toString('utf8') : String(data);
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * Crea el grabador: abre el fichero en modo append (una grabación nueva se añade detrás de la anterior).
+ * Si no se puede escribir, avisa una vez y deja de grabar sin afectar al servicio.
+ * @param {{file: string, logger?: Console, now?: function(): number,
+ *   createStream?: function(string): import('stream').Writable}} options - `now` y `createStream` permiten
+ *   inyectar el reloj y el destino (por defecto Date.now y fs.createWriteStream).
+ * @returns {{record: Function, recordFrame: Function, end: function(): Promise<void>}}
+ *
+ * Ejemplos de uso (en español):
+ * 1) const recorder = createRecorder({ file: '/tmp/sesion.ndjson' });
+ * 2) recorder.recordFrame('in', ws.clientId, raw, ws.room); // en el handler 'message'
+ * 3) await recorder.end(); // al parar el servicio
+ */
+function createRecorder({ file, logger = console, now = Date.now, createStream = (path) => fs.createWriteStream(path, { flags: 'a' }) }) {
+  let stream = createStream(file);
+  stream.on('error', (err) => {
+    logger.error(`[realtime] No se puede escribir la grabación en ${file}, se deja de grabar:`, err && err.message ? err.message : err);
+    stream = null;
+  });
+
+  /**
+   * Añade una entrada a la grabación.
+   * @param {string} event - Ver RecordEvents.
+   * @param {string} conn - Id de la conexión (ws.clientId).
+   * @param {Object} [fields] - Datos de la entrada (sala, frame, código de cierre...).
+   * @returns {void}
+   *
+   * Ejemplos de uso (en español):
+   * 1) recorder.record('open', ws.clientId, { room: ws.room, name: ws.userName, role: ws.role });
+   * 2) recorder.record('close', ws.clientId, { code: 1001 });
+   * 3) // no hace nada si la grabación ya terminó o falló
+   */
+  function record(event, conn, fields = {}) {
+    if (!stream) return;
+    stream.write(JSON.stringify(Object.assign({ t: now(), event, conn }, fields)) + '\n');
+  }
+
+  /**
+   * Añade un frame recibido o enviado.
+   * @param {('in'|'out')} direction
+   * @param {string} conn - Id de la conexión.
+   * @param {(string|Buffer)} data - Frame tal cual viaja por el socket.
+   * @param {(string|null)} room - Sala del socket en ese momento.
+   * @returns {void}
+   */
+  function recordFrame(direction, conn, data, room) {
+    if (!stream) return;
+    record(direction, conn, { room, frame: decodeFrame(data) });
+  }
+
+  /**
+   * Cierra el fichero tras escribir lo pendiente; las entradas posteriores se ignoran.
+   * @returns {Promise<void>}
+   */
+  function end() {
+    const current = stream;
+    stream = null;
+    if (!current) return Promise.resolve();
+    return new Promise((resolve) => current.end(resolve));
+  }
+
+  return { record, recordFrame, end };
+}
+
+module.exports = { RecordEvents, createRecorder };
@@ -0,0 +1,234 @@
+'use strict';
+
+/**
+ * Reproduce una grabación de `WS_RECORD_FILE` (ver recorder.js) contra un servicio realtime en marcha.
+ *
+ * Cada conexión grabada se abre de nuevo con su sala y su nombre (`open`), envía los mismos frames de entrada
+ * (`in`, con sus ids) en el mismo orden y con los mismos intervalos, divididos por `speed`, y se cierra donde
+ * se cerró (`close`). Los frames `out` no se envían: son lo que el servidor respondió en la sesión original,
+ * para compararlo con lo que ven las apps durante la reproducción.
+ *
+ * Uso: `npm run replay -- sesion.ndjson [--url ws://localhost:3000] [--speed 4|max] [--token <jwt>]`.
+ */
+
+const fs = require('fs');
+const WebSocketLib = require('ws');
+const { RecordEvents } = require('./recorder');
+
+// Espera máxima a que se abra o se cierre cada socket de la reproducción
+const SOCKET_TIMEOUT_MS = 5000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Lee una grabación NDJSON y la ordena por hora; las líneas vacías se ignoran y las que no son una entrada
+ * válida se cuentan en `invalid`.
+ * @param {string} text - Contenido del fichero.
+ * @returns {{entries: Array<Object>, invalid: number}}
+ *
+ * Ejemplos de uso (en español):
+ * 1) parseRecording(fs.readFileSync('sesion.ndjson', 'utf8')).entries.length;
+ * 2) parseRecording('{"t":1,"event":"open","conn":"c1","room":"default"}\n'); // { entries: [...], invalid: 0 }
+ * 3) // una línea cortada (el servicio murió mientras escribía) cuenta como inválida
+ */
+function parseRecording(text) {
+  const entries = [];
+  let invalid = 0;
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (!entry || typeof entry.t !== 'number' || typeof entry.event !== 'string' || typeof entry.conn !== 'string') {
+        invalid += 1;
+        continue;
+      }
+      entries.push(entry);
+    } catch (e) {
+      invalid += 1;
+    }
+  }
+  // sort es estable: las entradas del mismo milisegundo conservan el orden del fichero
+  entries.sort((a, b) => a.t - b.t);
+  return { entries, invalid };
+}
+
+/**
+ * URL de conexión de una conexión grabada: sala y nombre originales y, si se indica, el token.
+ * @param {string} url - ws://host:puerto del servicio.
+ * @param {{room?: string, name?: string}} entry - Entrada `open` (o la primera de la conexión).
+ * @param {string} [token]
+ * @returns {string}
+ */
+function connectionUrl(url, entry, token) {
+  const target = new URL(url);
+  if (entry.room) target.searchParams.set('room', entry.room);
+  if (entry.name) target.searchParams.set('name', entry.name);
+  if (token) target.searchParams.set('token', token);
+  return target.toString();
+}
+
+function waitForEvent(ws, event, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`El socket no emitió "${event}" en ${timeoutMs}ms`)), timeoutMs);
+    ws.once(event, () => { clearTimeout(timer); resolve(); });
+    if (event === 'open') ws.once('error', (err) => { clearTimeout(timer); reject(err); });
+  });
+}
+
+/**
+ * Reproduce las entradas de una grabación contra un servicio realtime.
+ * @async
+ * @param {Array<Object>} entries - Resultado de parseRecording (ordenadas por hora).
+ * @param {{url: string, speed?: number, token?: string, WebSocket?: Function, logger?: Console,
+ *   sleep?: function(number): Promise<void>, now?: function(): number}} options - `speed` divide los
+ *   intervalos (Infinity = sin esperas); `WebSocket`, `sleep` y `now` permiten inyectar dependencias.
+ * @returns {Promise<{connections: number, failed: number, sent: number, skipped: number, received: number,
+ *   errors: number}>} Sockets abiertos (`failed`: los que no llegaron a abrir), frames enviados (`skipped`: los
+ *   de conexiones que no abrieron) y frames recibidos del servidor (`errors`: cuántos eran frames `error`).
+ *
+ * Ejemplos de uso (en español):
+ * 1) await replayRecording(parseRecording(text).entries, { url: 'ws://localhost:3000' }); // a velocidad real
+ * 2) await replayRecording(entries, { url, speed: 10 }); // diez veces más rápido
+ * 3) await replayRecording(entries, { url, speed: Infinity }); // todo seguido, sin esperas
+ */
+async function replayRecording(entries, options) {
+  const {
+    url,
+    speed = 1,
+    token = '',
+    WebSocket = WebSocketLib,
+    logger = console,
+    sleep: wait = sleep,
+    now = Date.now
+  } = options;
+  const sockets = new Map();
+  const stats = { connections: 0, failed: 0, sent: 0, skipped: 0, received: 0, errors: 0 };
+  if (!entries.length) return stats;
+
+  function open(entry) {
+    const ws = new WebSocket(connectionUrl(url, entry, token));
+    stats.connections += 1;
+    ws.on('error', (err) => logger.warn(`[replay] Error en el socket de ${entry.conn}:`, err && err.message ? err.message : err));
+    ws.on('message', (data) => {
+      stats.received += 1;
+      try {
+        const frame = JSON.parse(data.toString('utf8'));
+        if (frame.type === 'error') {
+          stats.errors += 1;
+          logger.warn(`[replay] Error del servidor para ${entry.conn}:`, frame.payload && frame.payload.code, frame.payload && frame.payload.message);
+        }
+      } catch (e) {}
+    });
+    const socket = { ws, ready: waitForEvent(ws, 'open', SOCKET_TIMEOUT_MS) };
+    // Manejador desde ya: si no abre mientras se espera la siguiente entrada de la conexión, no debe quedar
+    // un rechazo sin capturar (tumbaría el proceso); sus frames se saltan
+    socket.ready.catch((err) => {
+      stats.failed += 1;
+      logger.warn(`[replay] La conexión ${entry.conn} no se pudo abrir, se saltan sus frames:`, err && err.message ? err.message : err);
+    });
+    sockets.set(entry.conn, socket);
+    return socket;
+  }
+
+  async function close(conn) {
+    const socket = sockets.get(conn);
+    sockets.delete(conn);
+    if (!socket) return;
+    try {
+      await socket.ready;
+    } catch (e) {
+      return;
+    }
+    if (socket.ws.readyState === WebSocket.CLOSED) return;
+    const closed = waitForEvent(socket.ws, 'close', SOCKET_TIMEOUT_MS).catch(() => socket.ws.terminate());
+    socket.ws.close(1000, 'Fin de la reproducción');
+    await closed;
+  }
+
+  const first = entries[0].t;
+  const startedAt = now();
+  try {
+    for (const entry of entries) {
+      if (Number.isFinite(speed)) {
+        const delay = startedAt + (entry.t - first) / speed - now();
+        if (delay > 0) await wait(delay);
+      }
+      if (entry.event === RecordEvents.OPEN) {
+        if (!sockets.has(entry.conn)) open(entry);
+      } else if (entry.event === RecordEvents.IN) {
+        // Conexión abierta antes de empezar la grabación: se abre con la sala del primer frame
+        const socket = sockets.get(entry.conn) || open(entry);
+        try {
+          await socket.ready;
+        } catch (e) {
+          stats.skipped += 1;
+          continue;
+        }
+        socket.ws.send(typeof entry.frame === 'string' ? entry.frame : JSON.stringify(entry.frame));
+        stats.sent += 1;
+      } else if (entry.event === RecordEvents.CLOSE) {
+        await close(entry.conn);
+      }
+    }
+  } finally {
+    await Promise.all(Array.from(sockets.keys()).map(close));
+  }
+  return stats;
+}
+
+/**
+ * Lee los argumentos de la línea de comandos.
+ * @param {Array<string>} argv - process.argv.slice(2).
+ * @returns {{file: string, url: string, speed: number, token: string}}
+ *
+ * Ejemplos de uso (en español):
+ * 1) parseArgs(['sesion.ndjson']); // { file: 'sesion.ndjson', url: 'ws://localhost:3000', speed: 1, token: '' }
+ * 2) parseArgs(['sesion.ndjson', '--speed', 'max']).speed; // Infinity
+ * 3) parseArgs(['--speed', '0']); // lanza un error (falta el fichero y la velocidad no es válida)
+ */
+function parseArgs(argv) {
+  const args = { file: '', url: process.env.WS_URL || 'ws://localhost:3000', speed: 1, token: process.env.WS_TOKEN || '' };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--url') {
+      args.url = argv[++i];
+    } else if (arg === '--token') {
+      args.token = argv[++i];
+    } else if (arg === '--speed') {
+      const value = argv[++i];
+      args.speed = value === 'max' ? Infinity : parseFloat(value);
+      if (!(args.speed > 0)) throw new Error(`Velocidad no válida: ${value} (usa un número mayor que 0 o "max")`);
+    } else if (!args.file) {
+      args.file = arg;
+    } else {
+      throw new Error(`Argumento no reconocido: ${arg}`);
+    }
+  }
+  if (!args.file) throw new Error('Indica el fichero de la grabación');
+  return args;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`[replay] ${err.message}`);
+    console.error('[replay] Uso: npm run replay -- <grabación.ndjson> [--url ws://localhost:3000] [--speed 4|max] [--token <jwt>]');
+    process.exit(1);
+  }
+  const { entries, invalid } = parseRecording(fs.readFileSync(args.file, 'utf8'));
+  if (invalid) console.warn(`[replay] Se ignoran ${invalid} líneas no válidas`);
+  console.log(`[replay] Reproduciendo ${entries.length} entradas contra ${args.url} (velocidad ${args.speed === Infinity ? 'máxima' : `x${args.speed}`})`);
+  replayRecording(entries, { url: args.url, speed: args.speed, token: args.token }).then((stats) => {
+    console.log('[replay] Terminado:', stats);
+  }).catch((err) => {
+    console.error('[replay] Error reproduciendo la grabación:', err && err.message ? err.message : err);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseRecording, replayRecording, parseArgs };
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeAmqp } = require('./helpers/fake-amqp');
+const { createTestService } = require('./helpers/harness');
+
+test('connectToRabbit reintenta con backoff exponencial hasta conectar', async () => {
+  const waits = [];
+  const amqp = createFakeAmqp({ failures: 3 });
+  const { service } = createTestService({
+    amqp,
+    sleep: async (ms) => { waits.push(ms); },
+    config: { INITIAL_DELAY_MS: 1000, MAX_RETRIES: 10 }
+  });
+
+  const { connection, channel } = await service.connectToRabbit('amqp://fake');
+
+  assert.equal(amqp.attempts, 4);
+  assert.deepEqual(amqp.urls, ['amqp://fake', 'amqp://fake', 'amqp://fake', 'amqp://fake']);
+  assert.equal(connection, amqp.connections[0]);
+  assert.equal(channel, amqp.channels[0]);
+  // Espera base que se duplica en cada fallo, más un jitter de hasta 300 ms
+  assert.equal(waits.length, 3);
+  [1000, 2000, 4000].forEach((base, i) => {
+    assert.ok(waits[i] >= base && waits[i] < base + 300, `espera ${i}: ${waits[i]}`);
+  });
+});
+
+test('connectToRabbit limita la espera entre intentos a 30 s', async () => {
+  const waits = [];
+  const { service } = createTestService({
+    amqp: createFakeAmqp({ failures: 5 }),
+    sleep: async (ms) => { waits.push(ms); },
+    config: { INITIAL_DELAY_MS: 10000, MAX_RETRIES: 10 }
+  });
+
+  await service.connectToRabbit('amqp://fake');
+
+  assert.deepEqual(waits.map((ms) => Math.floor(ms / 1000) * 1000), [10000, 20000, 30000, 30000, 30000]);
+});
+
+test('connectToRabbit se rinde tras maxRetries y propaga el último error', async () => {
+  const waits = [];
+  const amqp = createFakeAmqp({ failures: Infinity });
+  const { service } = createTestService({ amqp, sleep: async (ms) => { waits.push(ms); } });
+
+  await assert.rejects(service.connectToRabbit('amqp://fake', { maxRetries: 3 }), { code: 'ECONNREFUSED' });
+  assert.equal(amqp.attempts, 3);
+  // No se espera después del último intento
+  assert.equal(waits.length, 2);
+  const text = service.metrics.render();
+  assert.match(text, /realtime_rabbitmq_connect_attempts_total 3/);
+  assert.match(text, /realtime_rabbitmq_connect_failures_total 3/);
+});
+
+test('el módulo mantiene las funciones sueltas sobre la instancia por defecto', () => {
+  const realtime = require('../index');
+  assert.equal(realtime.normalizeRoom(' Equipo-A '), 'equipo-a');
+  assert.equal(realtime.normalizeRoom(undefined), realtime.loadConfig().DEFAULT_ROOM);
+  assert.deepEqual(realtime.getLimitStats(), { throttled: 0, oversized: 0, dropped: 0, disconnected: 0 });
+  // Sin start() no hay sockets: difundir no hace nada
+  assert.doesNotThrow(() => realtime.broadcast('{}', 'equipo-a'));
+  assert.equal(typeof realtime.start, 'function');
+});
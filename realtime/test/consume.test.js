@@ -0,0 +1,138 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const protocol = require('../../shared/protocol');
+const { Headers } = require('../dead-letters');
+const { createFakeChannel } = require('./helpers/fake-amqp');
+const auth = require('../auth');
+const { createTestService, startTestService } = require('./helpers/harness');
+
+const QUEUE = 'shared_items';
+const EXCHANGE = 'shared_items.fanout';
+const DLX = 'shared_items.dlx';
+
+function shareEnvelope(item = { id: 7, title: 'Item 7' }, room = 'equipo-a') {
+  return protocol.createMessage(protocol.MessageTypes.SHARE_ITEM, { item }, { sender: 'backend', room });
+}
+
+function setup() {
+  const { service } = createTestService({
+    config: { QUEUE_NAME: QUEUE, EXCHANGE_NAME: EXCHANGE, DLX_NAME: DLX, MAX_DELIVERY_RETRIES: 2 }
+  });
+  const channel = createFakeChannel();
+  return { service, channel };
+}
+
+test('consumeQueue confirma (ack) un share válido y lo reenvía al exchange', async () => {
+  const { service, channel } = setup();
+  await service.consumeQueue(channel, QUEUE);
+  const envelope = shareEnvelope({ id: 7, title: 'Item 7' }, ' Equipo-A ');
+
+  const msg = await channel.deliver(QUEUE, envelope);
+
+  assert.deepEqual(channel.acked, [msg]);
+  assert.equal(channel.nacked.length, 0);
+  assert.equal(channel.published.length, 1);
+  const { exchange, content, properties } = channel.published[0];
+  assert.equal(exchange, EXCHANGE);
+  assert.equal(properties.messageId, envelope.id);
+  const forwarded = JSON.parse(content.toString('utf8'));
+  // Sala normalizada y sharedBy completado con el remitente
+  assert.equal(forwarded.room, 'equipo-a');
+  assert.equal(forwarded.payload.item.id, 7);
+  assert.deepEqual(forwarded.payload.sharedBy, { id: 'backend', name: 'backend' });
+});
+
+test('consumeQueue manda a dead-letter (y confirma) los mensajes que no cumplen el protocolo', async () => {
+  const { service, channel } = setup();
+  await service.consumeQueue(channel, QUEUE);
+
+  const broken = await channel.deliver(QUEUE, '{no es json');
+  const wrongType = await channel.deliver(QUEUE, protocol.createError(protocol.ErrorCodes.INVALID_JSON, 'x'));
+
+  assert.deepEqual(channel.acked, [broken, wrongType]);
+  assert.equal(channel.nacked.length, 0);
+  const dead = channel.published.filter((p) => p.exchange === DLX);
+  assert.equal(dead.length, 2);
+  assert.match(dead[0].properties.headers[Headers.FAILURE_REASON], /^invalid_json/);
+  assert.match(dead[1].properties.headers[Headers.FAILURE_REASON], /^forbidden_type/);
+  assert.equal(dead[0].properties.headers[Headers.ORIGINAL_QUEUE], QUEUE);
+});
+
+test('consumeQueue reencola los fallos al entregar hasta agotar los reintentos', async () => {
+  const { service, channel } = setup();
+  await service.consumeQueue(channel, QUEUE);
+  // El exchange rechaza la publicación, pero la cola y el dead-letter siguen funcionando
+  const publish = channel.publish;
+  channel.publish = (exchange, ...rest) => {
+    if (exchange === EXCHANGE) throw new Error('exchange caído');
+    return publish(exchange, ...rest);
+  };
+
+  // La cola de reintento devuelve a la cola de origen lo que expira en ella
+  const retryQueue = channel.asserted.find((q) => q.queue === `shared_items.retry.${QUEUE}`);
+  assert.equal(retryQueue.options.durable, true);
+  assert.equal(retryQueue.options.deadLetterExchange, '');
+  assert.equal(retryQueue.options.deadLetterRoutingKey, QUEUE);
+
+  const first = await channel.deliver(QUEUE, shareEnvelope(), { messageId: 'm-1', persistent: true });
+  assert.deepEqual(channel.acked, [first]);
+  assert.equal(channel.sent.length, 1);
+  const retried = channel.sent[0];
+  assert.equal(retried.queue, `shared_items.retry.${QUEUE}`);
+  assert.equal(retried.properties.headers[Headers.RETRY_COUNT], 1);
+  assert.equal(retried.properties.persistent, true);
+  assert.equal(retried.properties.messageId, 'm-1');
+  assert.equal(retried.properties.expiration, '1000');
+
+  // La espera se dobla con cada intento
+  await channel.deliver(QUEUE, shareEnvelope(), { headers: { [Headers.RETRY_COUNT]: 1 } });
+  assert.equal(channel.sent[1].properties.expiration, '2000');
+
+  // Ya en el último reintento permitido: va a dead-letter en vez de volver a la cola
+  await channel.deliver(QUEUE, shareEnvelope(), { messageId: 'm-1', headers: { [Headers.RETRY_COUNT]: 2 } });
+  assert.equal(channel.sent.length, 2);
+  const dead = channel.published.filter((p) => p.exchange === DLX);
+  assert.equal(dead.length, 1);
+  assert.match(dead[0].properties.headers[Headers.FAILURE_REASON], /^processing_error: exchange caído/);
+  assert.equal(dead[0].properties.persistent, true);
+  assert.notEqual(dead[0].properties.messageId, 'm-1');
+  assert.equal(dead[0].properties.headers[Headers.ORIGINAL_MESSAGE_ID], 'm-1');
+  assert.equal(channel.acked.length, 3);
+});
+
+test('consumeQueue hace nack sin reencolar si ni siquiera puede mandar a dead-letter', async () => {
+  const { service, channel } = setup();
+  await service.consumeQueue(channel, QUEUE);
+  channel.failWith = new Error('canal cerrado');
+
+  const msg = await channel.deliver(QUEUE, '{no es json');
+
+  assert.equal(channel.acked.length, 0);
+  assert.deepEqual(channel.nacked, [{ msg, allUpTo: false, requeue: false }]);
+  assert.match(service.metrics.render(), /realtime_queue_messages_nacked_total 1/);
+});
+
+test('la API admin de dead-letters está apagada sin credencial admin y exige el token configurado', async (t) => {
+  const apagada = await startTestService();
+  t.after(() => apagada.service.stop());
+  const base = (ctx) => `http://127.0.0.1:${ctx.service.address().port}/admin/dead-letters`;
+  assert.equal((await fetch(base(apagada), { method: 'DELETE' })).status, 404);
+
+  const conToken = await startTestService({ config: { ADMIN_TOKEN: 's3creto' } });
+  t.after(() => conToken.service.stop());
+  assert.equal((await fetch(base(conToken), { method: 'DELETE' })).status, 401);
+  assert.equal((await fetch(base(conToken), { headers: { Authorization: 'Bearer otro' } })).status, 401);
+  const listado = await fetch(base(conToken), { headers: { Authorization: 'Bearer s3creto' } });
+  assert.equal(listado.status, 200);
+  assert.deepEqual(await listado.json(), { queue: 'shared_items.dead', count: 0, items: [] });
+
+  // Con WS_AUTH_SECRET vale también un token firmado de rol admin (y solo de ese rol)
+  const secret = 'secreto-de-prueba';
+  const conJwt = await startTestService({ config: { WS_AUTH_SECRET: secret } });
+  t.after(() => conJwt.service.stop());
+  const bearer = (role) => ({ headers: { Authorization: `Bearer ${auth.signToken({ sub: 'ops', role }, secret)}` } });
+  assert.equal((await fetch(base(conJwt), bearer(auth.Roles.SENDER))).status, 403);
+  assert.equal((await fetch(base(conJwt), bearer(auth.Roles.ADMIN))).status, 200);
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Sustituto en memoria de amqplib para los tests: conexiones y canales que registran lo que el servicio
+ * hace (ack, nack, publish, sendToQueue) y entregan mensajes a los consumidores sin broker.
+ * Los exchanges se tratan como fanout: lo publicado llega a todas las colas enlazadas.
+ */
+
+const { EventEmitter } = require('events');
+
+let queueSeq = 0;
+
+function toMessage(content, properties = {}, deliveryTag = 0) {
+  return {
+    content: Buffer.isBuffer(content) ? content : Buffer.from(typeof content === 'string' ? content : JSON.stringify(content)),
+    fields: { deliveryTag },
+    properties: Object.assign({ headers: {} }, properties)
+  };
+}
+
+/**
+ * Crea un canal falso.
+ * @returns {EventEmitter & Object} Canal con la API de amqplib que usa el servicio y, además,
+ *   `acked`, `nacked`, `published`, `sent`, `asserted` y `deliver(queue, content, properties)`.
+ */
+function createFakeChannel() {
+  const channel = new EventEmitter();
+  const consumers = new Map();
+  const bindings = new Map();
+  let tags = 0;
+
+  Object.assign(channel, {
+    acked: [],
+    nacked: [],
+    published: [],
+    sent: [],
+    // Colas declaradas con sus opciones ({ queue, options })
+    asserted: [],
+    closed: false,
+    // Si se define, publish/sendToQueue lanzan este error (canal roto)
+    failWith: null,
+
+    async assertQueue(queue, options = {}) {
+      const name = queue || `amq.gen-${++queueSeq}`;
+      channel.asserted.push({ queue: name, options });
+      return { queue: name, messageCount: 0, consumerCount: 0 };
+    },
+    async assertExchange(exchange) {
+      return { exchange };
+    },
+    async bindQueue(queue, exchange) {
+      if (!bindings.has(exchange)) bindings.set(exchange, []);
+      bindings.get(exchange).push(queue);
+    },
+    async checkQueue(queue) {
+      return { queue, messageCount: 0 };
+    },
+    async consume(queue, handler) {
+      consumers.set(queue, handler);
+      return { consumerTag: `ctag-${queue}` };
+    },
+    publish(exchange, routingKey, content, properties) {
+      if (channel.failWith) throw channel.failWith;
+      channel.published.push({ exchange, routingKey, content, properties });
+      for (const queue of bindings.get(exchange) || []) {
+        setImmediate(() => channel.deliver(queue, content, properties));
+      }
+      return true;
+    },
+    sendToQueue(queue, content, properties) {
+      if (channel.failWith) throw channel.failWith;
+      channel.sent.push({ queue, content, properties });
+      return true;
+    },
+    ack(msg) {
+      channel.acked.push(msg);
+    },
+    nack(msg, allUpTo, requeue) {
+      channel.nacked.push({ msg, allUpTo, requeue });
+    },
+    async get() {
+      return false;
+    },
+    async close() {
+      if (channel.closed) return;
+      channel.closed = true;
+      channel.emit('close');
+    },
+
+    /**
+     * Entrega un mensaje al consumidor de una cola como lo haría el broker.
+     * @param {string} queue
+     * @param {(Buffer|string|Object)} content - Los objetos se serializan a JSON.
+     * @param {Object} [properties]
+     * @returns {Promise<Object>} El mensaje entregado (para comprobar ack/nack sobre él).
+     */
+    async deliver(queue, content, properties) {
+      const handler = consumers.get(queue);
+      if (!handler) throw new Error(`Nadie consume la cola ${queue}`);
+      const msg = toMessage(content, properties, ++tags);
+      await handler(msg);
+      return msg;
+    },
+    hasConsumer(queue) {
+      return consumers.has(queue);
+    }
+  });
+  return channel;
+}
+
+/**
+ * Crea un sustituto de amqplib.
+ * @param {{failures?: number}} [options] - Número de connect() que fallan antes del primero que funciona
+ *   (Infinity para que no conecte nunca).
+ * @returns {{connect: Function, attempts: number, connections: Array<Object>, channels: Array<Object>}}
+ *
+ * Ejemplos de uso (en español):
+ * 1) const amqp = createFakeAmqp(); createRealtimeService({ amqp });
+ * 2) createFakeAmqp({ failures: 2 }); // los dos primeros intentos dan ECONNREFUSED
+ * 3) await amqp.channels[0].deliver('shared_items', sobre); // mensaje publicado por el backend
+ */
+function createFakeAmqp({ failures = 0 } = {}) {
+  const amqp = {
+    attempts: 0,
+    urls: [],
+    connections: [],
+    channels: [],
+    async connect(url) {
+      amqp.attempts += 1;
+      amqp.urls.push(url);
+      if (amqp.attempts <= failures) {
+        const err = new Error(`connect ECONNREFUSED ${url}`);
+        err.code = 'ECONNREFUSED';
+        throw err;
+      }
+      const connection = new EventEmitter();
+      connection.closed = false;
+      connection.createChannel = async () => {
+        const channel = createFakeChannel();
+        amqp.channels.push(channel);
+        return channel;
+      };
+      connection.close = async () => {
+        if (connection.closed) return;
+        connection.closed = true;
+        connection.emit('close');
+      };
+      amqp.connections.push(connection);
+      return connection;
+    }
+  };
+  return amqp;
+}
+
+module.exports = { createFakeAmqp, createFakeChannel, toMessage };
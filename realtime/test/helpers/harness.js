@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Utilidades para levantar el servicio en un puerto libre con RabbitMQ falso y abrir clientes WS reales.
+ */
+
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { createRealtimeService } = require('../../index');
+const { createFakeAmqp } = require('./fake-amqp');
+
+// Logger mudo: los tests comprueban comportamiento, no mensajes de log
+const silentLogger = { log() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Crea el servicio con dependencias de prueba (no lo arranca).
+ * @param {{amqp?: Object, config?: Object, exit?: Function, sleep?: Function}} [overrides]
+ * @returns {{service: Object, amqp: Object, signals: EventEmitter, exits: Array<number>}}
+ */
+function createTestService(overrides = {}) {
+  const amqp = overrides.amqp || createFakeAmqp();
+  const signals = new EventEmitter();
+  const exits = [];
+  const service = createRealtimeService({
+    amqp,
+    signals,
+    logger: silentLogger,
+    sleep: overrides.sleep || (async () => {}),
+    exit: overrides.exit || ((code) => exits.push(code)),
+    config: Object.assign({
+      WS_PORT: 0,
+      WS_AUTH_SECRET: '',
+      AUTH_DISABLED: true,
+      MAX_RETRIES: 3,
+      INITIAL_DELAY_MS: 10,
+      // Heartbeat manual (service.checkHeartbeats) salvo que el test pida otro intervalo
+      HEARTBEAT_INTERVAL_MS: 60 * 60 * 1000
+    }, overrides.config)
+  });
+  return { service, amqp, signals, exits };
+}
+
+/**
+ * Crea y arranca el servicio; devuelve además la URL ws:// en la que escucha.
+ * @param {Object} [overrides] - Ver createTestService.
+ * @returns {Promise<{service: Object, amqp: Object, signals: EventEmitter, exits: Array<number>, url: string}>}
+ */
+async function startTestService(overrides) {
+  const ctx = createTestService(overrides);
+  await ctx.service.start();
+  ctx.url = `ws://127.0.0.1:${ctx.service.address().port}`;
+  return ctx;
+}
+
+/**
+ * Abre un cliente WS y guarda los frames recibidos; `next(type)` devuelve el siguiente de ese tipo aún no
+ * leído (esperándolo si no ha llegado).
+ * @param {string} url
+ * @param {Object} [options] - Opciones de ws (p. ej. { autoPong: false } para simular un cliente colgado).
+ * @returns {Promise<WebSocket>}
+ */
+function openClient(url, options) {
+  const ws = new WebSocket(url, options);
+  const pending = [];
+  const waiters = [];
+  ws.frames = [];
+  ws.on('message', (data) => {
+    const frame = JSON.parse(data.toString('utf8'));
+    ws.frames.push(frame);
+    const waiter = waiters.find((w) => w.type === frame.type);
+    if (waiter) {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve(frame);
+    } else {
+      pending.push(frame);
+    }
+  });
+  ws.next = (type, timeoutMs = 2000) => {
+    const index = pending.findIndex((f) => f.type === type);
+    if (index >= 0) return Promise.resolve(pending.splice(index, 1)[0]);
+    return new Promise((resolve, reject) => {
+      const waiter = { type, resolve: null };
+      const timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(new Error(`No llegó ningún frame "${type}" en ${timeoutMs}ms`));
+      }, timeoutMs);
+      waiter.resolve = (frame) => { clearTimeout(timer); resolve(frame); };
+      waiters.push(waiter);
+    });
+  };
+  ws.closed = new Promise((resolve) => ws.on('close', (code) => resolve(code)));
+  return new Promise((resolve, reject) => {
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+/**
+ * Espera hasta que `check()` sea verdadero (sondeo cada 10 ms).
+ * @param {function(): boolean} check
+ * @param {number} [timeoutMs]
+ * @returns {Promise<void>}
+ */
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Tiempo de espera agotado');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+module.exports = { silentLogger, createTestService, startTestService, openClient, waitFor };
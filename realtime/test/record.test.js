@@ -0,0 +1,160 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const protocol = require('../../shared/protocol');
+const { parseRecording, replayRecording, parseArgs } = require('../replay');
+const { startTestService, openClient, waitFor, silentLogger } = require('./helpers/harness');
+
+const { MessageTypes } = protocol;
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'realtime-record-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'sesion.ndjson');
+}
+
+test('con WS_RECORD_FILE graba en NDJSON los frames de entrada y salida con hora e id de conexión', async (t) => {
+  const file = tempFile(t);
+  const { service, url } = await startTestService({ config: { RECORD_FILE: file } });
+
+  const ana = await openClient(`${url}/?room=equipo-a&name=Ana`);
+  const luis = await openClient(`${url}/?room=equipo-a&name=Luis`);
+  const [anaSnapshot, luisSnapshot] = await Promise.all([ana.next(MessageTypes.SNAPSHOT), luis.next(MessageTypes.SNAPSHOT)]);
+  const share = protocol.createMessage(MessageTypes.SHARE_ITEM, { item: { id: 3 } }, { sender: 'ana' });
+  ana.send(protocol.serializeMessage(share));
+  ana.send('no es json');
+  await Promise.all([luis.next(MessageTypes.SHARE_ITEM), ana.next(MessageTypes.ERROR)]);
+  ana.close();
+  await ana.closed;
+  await waitFor(() => service.getClientCount() === 1);
+  await service.stop();
+
+  const { entries, invalid } = parseRecording(fs.readFileSync(file, 'utf8'));
+  assert.equal(invalid, 0);
+  const anaId = anaSnapshot.payload.you.id;
+  const luisId = luisSnapshot.payload.you.id;
+  assert.ok(entries.every((e) => typeof e.t === 'number'));
+
+  const open = entries.find((e) => e.event === 'open' && e.conn === anaId);
+  assert.deepEqual({ room: open.room, name: open.name, role: open.role }, { room: 'equipo-a', name: 'Ana', role: 'sender' });
+
+  // Entrada: el share tal cual se envió y el frame que no es JSON como texto
+  const inbound = entries.filter((e) => e.event === 'in' && e.conn === anaId);
+  assert.deepEqual(inbound.map((e) => e.frame), [share, 'no es json']);
+
+  // Salida: una entrada por destinatario, con el mismo sobre difundido
+  const shared = entries.filter((e) => e.event === 'out' && e.frame.type === MessageTypes.SHARE_ITEM);
+  assert.deepEqual(shared.map((e) => e.conn).sort(), [anaId, luisId].sort());
+  assert.ok(shared.every((e) => e.frame.id === share.id && e.room === 'equipo-a'));
+  assert.ok(entries.some((e) => e.event === 'out' && e.conn === anaId && e.frame.type === MessageTypes.SNAPSHOT));
+  assert.ok(entries.some((e) => e.event === 'out' && e.conn === luisId && e.frame.type === MessageTypes.PRESENCE));
+  assert.ok(entries.some((e) => e.event === 'out' && e.conn === anaId && e.frame.type === MessageTypes.ERROR));
+
+  const close = entries.find((e) => e.event === 'close' && e.conn === anaId);
+  assert.ok(close && close.t >= open.t);
+  luis.close();
+});
+
+test('replay reproduce la grabación contra otro servidor con las mismas salas, nombres e ids', async (t) => {
+  const file = tempFile(t);
+  const original = await startTestService({ config: { RECORD_FILE: file } });
+  const ana = await openClient(`${original.url}/?room=equipo-a&name=Ana`);
+  await ana.next(MessageTypes.SNAPSHOT);
+  const share = protocol.createMessage(MessageTypes.SHARE_ITEM, { item: { id: 7 } }, { sender: 'ana' });
+  ana.send(protocol.serializeMessage(share));
+  await ana.next(MessageTypes.SHARE_ITEM);
+  ana.close();
+  await ana.closed;
+  await original.service.stop();
+
+  const { service, url } = await startTestService();
+  t.after(() => service.stop());
+  const qa = await openClient(`${url}/?room=equipo-a&name=QA`);
+  await qa.next(MessageTypes.SNAPSHOT);
+
+  const stats = await replayRecording(parseRecording(fs.readFileSync(file, 'utf8')).entries, {
+    url, speed: Infinity, logger: silentLogger
+  });
+  const replayed = await qa.next(MessageTypes.SHARE_ITEM);
+  assert.equal(replayed.id, share.id);
+  assert.equal(replayed.payload.item.id, 7);
+  assert.equal(replayed.payload.sharedBy.name, 'Ana');
+  assert.deepEqual({ connections: stats.connections, sent: stats.sent, errors: stats.errors }, { connections: 1, sent: 1, errors: 0 });
+  await waitFor(() => service.getClientCount() === 1);
+  qa.close();
+});
+
+test('replay respeta los intervalos grabados divididos por la velocidad', async (t) => {
+  const { service, url } = await startTestService();
+  t.after(() => service.stop());
+  const ping = () => protocol.createMessage(MessageTypes.PING, {}, { sender: 'qa' });
+  const entries = parseRecording([
+    { t: 1000, event: 'open', conn: 'c1', room: 'default', name: 'QA' },
+    { t: 3000, event: 'in', conn: 'c1', room: 'default', frame: ping() },
+    { t: 7000, event: 'in', conn: 'c1', room: 'default', frame: ping() },
+    { t: 8000, event: 'close', conn: 'c1', code: 1000 }
+  ].map((e) => JSON.stringify(e)).join('\n') + '\nlínea cortada {"t":').entries;
+
+  // Reloj falso: cada espera lo adelanta exactamente lo pedido
+  let clock = 0;
+  const waits = [];
+  const stats = await replayRecording(entries, {
+    url,
+    speed: 4,
+    logger: silentLogger,
+    now: () => clock,
+    sleep: async (ms) => { waits.push(ms); clock += ms; }
+  });
+  assert.deepEqual(waits, [500, 1000, 250]);
+  assert.equal(stats.sent, 2);
+});
+
+test('replay salta los frames de una conexión que no llega a abrir en vez de terminar con un rechazo sin capturar', async () => {
+  // Socket que falla al conectar (servidor caído o 401) en cuanto se crea
+  class RefusedSocket extends EventEmitter {
+    constructor() {
+      super();
+      setImmediate(() => this.emit('error', Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:1'), { code: 'ECONNREFUSED' })));
+    }
+  }
+  RefusedSocket.CLOSED = 3;
+  const unhandled = [];
+  const onUnhandled = (err) => unhandled.push(err);
+  process.on('unhandledRejection', onUnhandled);
+  try {
+    const entries = parseRecording([
+      { t: 0, event: 'open', conn: 'c1', room: 'default' },
+      { t: 1000, event: 'in', conn: 'c1', room: 'default', frame: protocol.createMessage(MessageTypes.PING, {}, { sender: 'qa' }) },
+      { t: 2000, event: 'close', conn: 'c1', code: 1000 }
+    ].map((e) => JSON.stringify(e)).join('\n')).entries;
+    // La espera hasta la entrada `in` deja que el socket falle antes de que nadie espere su apertura
+    const stats = await replayRecording(entries, {
+      url: 'ws://127.0.0.1:1',
+      speed: 1,
+      WebSocket: RefusedSocket,
+      logger: silentLogger,
+      now: () => 0,
+      sleep: () => new Promise((resolve) => setTimeout(resolve, 20))
+    });
+    assert.deepEqual({ connections: stats.connections, failed: stats.failed, sent: stats.sent, skipped: stats.skipped }, { connections: 1, failed: 1, sent: 0, skipped: 1 });
+    assert.deepEqual(unhandled, []);
+  } finally {
+    process.removeListener('unhandledRejection', onUnhandled);
+  }
+});
+
+test('parseRecording cuenta las líneas inválidas y parseArgs valida la velocidad', () => {
+  const { entries, invalid } = parseRecording('{"t":2,"event":"in","conn":"b"}\n\n{"t":1,"event":"open","conn":"a"}\n{"t":1}\nroto\n');
+  assert.deepEqual(entries.map((e) => e.conn), ['a', 'b']);
+  assert.equal(invalid, 2);
+
+  assert.equal(parseArgs(['sesion.ndjson', '--speed', 'max']).speed, Infinity);
+  assert.equal(parseArgs(['sesion.ndjson', '--speed', '4', '--url', 'ws://realtime:3000']).url, 'ws://realtime:3000');
+  assert.throws(() => parseArgs(['sesion.ndjson', '--speed', '0']), /Velocidad no válida/);
+  assert.throws(() => parseArgs([]), /fichero/);
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeAmqp } = require('./helpers/fake-amqp');
+const { createTestService, startTestService, openClient, waitFor } = require('./helpers/harness');
+
+test('SIGINT cierra RabbitMQ, despide a los clientes con 1001 y sale con código 0', async () => {
+  let exited;
+  const exitCode = new Promise((resolve) => { exited = resolve; });
+  const { service, amqp, signals, url } = await startTestService({ exit: (code) => exited(code) });
+  assert.ok(service.isReady());
+  const client = await openClient(url);
+  await waitFor(() => service.getClientCount() === 1);
+
+  signals.emit('SIGINT');
+
+  assert.equal(await exitCode, 0);
+  assert.equal(await client.closed, 1001);
+  assert.ok(amqp.channels[0].closed);
+  assert.ok(amqp.connections[0].closed);
+  assert.equal(service.address(), null);
+  // Cerrar el canal a propósito no dispara la reconexión
+  assert.equal(amqp.attempts, 1);
+  assert.equal(signals.listenerCount('SIGINT'), 0);
+});
+
+test('start sale con código 1 si RabbitMQ no responde tras los reintentos', async (t) => {
+  const amqp = createFakeAmqp({ failures: Infinity });
+  const { service, exits } = await startTestService({ amqp, config: { MAX_RETRIES: 2 } });
+  t.after(() => service.stop());
+
+  assert.deepEqual(exits, [1]);
+  assert.equal(amqp.attempts, 2);
+  assert.ok(!service.isReady());
+});
+
+test('start sale con código 1 sin WS_AUTH_SECRET salvo con WS_AUTH_DISABLED=true', async (t) => {
+  const { service, amqp, exits } = createTestService({ config: { WS_AUTH_SECRET: '', AUTH_DISABLED: false } });
+  t.after(() => service.stop());
+  await service.start();
+  assert.deepEqual(exits, [1]);
+  // No llega a abrir el puerto ni a conectar con RabbitMQ
+  assert.equal(service.address(), null);
+  assert.equal(amqp.attempts, 0);
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const protocol = require('../../shared/protocol');
+const { startTestService, openClient } = require('./helpers/harness');
+
+const { MessageTypes } = protocol;
+
+const status = (state) => protocol.serializeMessage(protocol.createMessage(MessageTypes.STATUS, { state }, { sender: 'test' }));
+
+test('las difusiones de la misma ventana llegan en un frame batch solo a quien anunció caps=batch', async (t) => {
+  const { service, url } = await startTestService({ config: { BATCH_WINDOW_MS: 30 } });
+  t.after(() => service.stop());
+  const lotes = await openClient(`${url}/?room=demo&caps=batch`);
+  const clasico = await openClient(`${url}/?room=demo`);
+  const [lotesSnapshot, clasicoSnapshot] = await Promise.all([lotes.next(MessageTypes.SNAPSHOT), clasico.next(MessageTypes.SNAPSHOT)]);
+  assert.deepEqual(lotesSnapshot.payload.capabilities, ['batch']);
+  assert.deepEqual(clasicoSnapshot.payload.capabilities, []);
+
+  for (const state of ['a', 'b', 'c']) service.broadcast(status(state), 'demo');
+
+  const batch = await lotes.next(MessageTypes.BATCH);
+  assert.ok(protocol.validateMessage(batch).ok);
+  // La presencia de la entrada de `clasico` puede caer en la misma ventana, por delante
+  const states = batch.payload.messages.filter((m) => m.type === MessageTypes.STATUS).map((m) => m.payload.state);
+  assert.deepEqual(states, ['a', 'b', 'c']);
+  assert.ok(!lotes.frames.some((f) => f.type === MessageTypes.STATUS));
+  const separados = [await clasico.next(MessageTypes.STATUS), await clasico.next(MessageTypes.STATUS), await clasico.next(MessageTypes.STATUS)];
+  assert.deepEqual(separados.map((m) => m.payload.state), ['a', 'b', 'c']);
+  assert.ok(service.metrics.render().includes('realtime_broadcast_batches_total 1'));
+
+  // Un mensaje solo en su ventana no se envuelve
+  service.broadcast(status('d'), 'demo');
+  assert.equal((await lotes.next(MessageTypes.STATUS)).payload.state, 'd');
+  lotes.close();
+  clasico.close();
+});
+
+test('con WS_BATCH_WINDOW_MS=0 no se negocia el agrupado', async (t) => {
+  const { service, url } = await startTestService({ config: { BATCH_WINDOW_MS: 0 } });
+  t.after(() => service.stop());
+  const ws = await openClient(`${url}/?caps=batch,desconocida`);
+  const snapshot = await ws.next(MessageTypes.SNAPSHOT);
+  assert.deepEqual(snapshot.payload.capabilities, []);
+  service.broadcast(status('a'), 'default');
+  service.broadcast(status('b'), 'default');
+  await ws.next(MessageTypes.STATUS);
+  await ws.next(MessageTypes.STATUS);
+  ws.close();
+});
+
+test('permessage-deflate se negocia salvo con WS_PERMESSAGE_DEFLATE=false', async (t) => {
+  const activo = await startTestService();
+  t.after(() => activo.service.stop());
+  const comprimido = await openClient(activo.url);
+  assert.match(comprimido.extensions, /permessage-deflate/);
+  comprimido.close();
+
+  const inactivo = await startTestService({ config: { PERMESSAGE_DEFLATE: false } });
+  t.after(() => inactivo.service.stop());
+  const plano = await openClient(inactivo.url);
+  assert.equal(plano.extensions, '');
+  plano.close();
+});
+
+test('a un cliente lento se le omiten los frames con pérdida pero no los shares', async (t) => {
+  // Umbral negativo: cualquier cliente cuenta como lento
+  const { service, url } = await startTestService({ config: { SLOW_CLIENT_BYTES: -1 } });
+  t.after(() => service.stop());
+  const ana = await openClient(`${url}/?room=demo&name=Ana`);
+  const luis = await openClient(`${url}/?room=demo&name=Luis`);
+  await Promise.all([ana.next(MessageTypes.SNAPSHOT), luis.next(MessageTypes.SNAPSHOT)]);
+  const cobrowse = (payload) => protocol.serializeMessage(protocol.createMessage(MessageTypes.COBROWSE, payload, { sender: 'x' }));
+
+  luis.send(cobrowse({ active: true }));
+  ana.send(cobrowse({ active: true, scroll: 0.5 }));
+  ana.send(protocol.serializeMessage(protocol.createMessage(MessageTypes.SHARE_ITEM, { item: { id: 4 } }, { sender: 'ana' })));
+  assert.equal((await luis.next(MessageTypes.SHARE_ITEM)).payload.item.id, 4);
+  assert.ok(!luis.frames.some((f) => f.type === MessageTypes.COBROWSE));
+  assert.ok(service.metrics.render().includes('realtime_ws_backpressure_total{action="skipped"} 1'));
+  ana.close();
+  luis.close();
+});
+
+test('un cliente con demasiados bytes pendientes se desconecta en vez de acumular memoria', async (t) => {
+  const { service, url } = await startTestService({ config: { MAX_BUFFERED_BYTES: -1 } });
+  t.after(() => service.stop());
+  const ws = await openClient(url);
+  await ws.next(MessageTypes.SNAPSHOT);
+  service.broadcast(status('a'), 'default');
+  assert.equal(await ws.closed, 1006);
+  assert.ok(!ws.frames.some((f) => f.type === MessageTypes.STATUS));
+  assert.match(service.metrics.render(), /realtime_ws_backpressure_total\{action="dropped"\} [1-9]/);
+});
@@ -0,0 +1,282 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const protocol = require('../../shared/protocol');
+const { signToken } = require('../auth');
+const { startTestService, openClient, waitFor } = require('./helpers/harness');
+
+const { MessageTypes } = protocol;
+
+test('un share enviado por WS llega por el exchange a todos los clientes de la sala', async (t) => {
+  const { service, url } = await startTestService();
+  t.after(() => service.stop());
+
+  const ana = await openClient(`${url}/?room=equipo-a&name=Ana`);
+  const luis = await openClient(`${url}/?room=equipo-a&name=Luis`);
+  const otra = await openClient(`${url}/?room=otra`);
+  await Promise.all([ana.next(MessageTypes.SNAPSHOT), luis.next(MessageTypes.SNAPSHOT), otra.next(MessageTypes.SNAPSHOT)]);
+
+  ana.send(protocol.serializeMessage(protocol.createMessage(MessageTypes.SHARE_ITEM, { item: { id: 3 } }, { sender: 'ana' })));
+
+  const [toAna, toLuis] = await Promise.all([ana.next(MessageTypes.SHARE_ITEM), luis.next(MessageTypes.SHARE_ITEM)]);
+  assert.equal(toLuis.payload.item.id, 3);
+  assert.equal(toLuis.payload.sharedBy.name, 'Ana');
+  assert.equal(toAna.id, toLuis.id);
+  assert.ok(!otra.frames.some((f) => f.type === MessageTypes.SHARE_ITEM));
+
+  // Un cliente que llega después recibe el item en el snapshot
+  const tarde = await openClient(`${url}/?room=equipo-a`);
+  const snapshot = await tarde.next(MessageTypes.SNAPSHOT);
+  assert.equal(snapshot.payload.current.id, 3);
+
+  for (const ws of [ana, luis, otra, tarde]) ws.close();
+});
+
+test('cada share recibe un seq de la sala que se confirma solo al emisor y el item actual es el de seq mayor', async (t) => {
+  const { service, amqp, url } = await startTestService();
+  t.after(() => service.stop());
+  const ana = await openClient(`${url}/?room=equipo-a&name=Ana`);
+  const luis = await openClient(`${url}/?room=equipo-a&name=Luis`);
+  await Promise.all([ana.next(MessageTypes.SNAPSHOT), luis.next(MessageTypes.SNAPSHOT)]);
+  const share = (id, extra = {}) => protocol.createMessage(MessageTypes.SHARE_ITEM, Object.assign({ item: { id } }, extra), { sender: 'ana' });
+
+  const primero = share(1);
+  ana.send(protocol.serializeMessage(primero));
+  assert.deepEqual((await ana.next(MessageTypes.SHARE_ACK)).payload, { ref: primero.id, seq: 1 });
+  assert.equal((await luis.next(MessageTypes.SHARE_ITEM)).payload.seq, 1);
+  // El seq que envía el cliente se ignora
+  const segundo = share(2, { seq: 99 });
+  ana.send(protocol.serializeMessage(segundo));
+  assert.deepEqual((await ana.next(MessageTypes.SHARE_ACK)).payload, { ref: segundo.id, seq: 2 });
+  assert.equal((await luis.next(MessageTypes.SHARE_ITEM)).payload.seq, 2);
+  assert.ok(!luis.frames.some((f) => f.type === MessageTypes.SHARE_ACK));
+
+  // Share de otra réplica que llega tarde (seq menor): se difunde pero no cambia el item actual
+  const channel = amqp.channels[0];
+  const exchange = channel.published[0].exchange;
+  const remote = (id, seq) => {
+    const message = protocol.createMessage(MessageTypes.SHARE_ITEM, { item: { id }, seq, sharedBy: { id: 'eva', name: 'Eva' } }, { sender: 'eva', room: 'equipo-a' });
+    channel.publish(exchange, '', Buffer.from(protocol.serializeMessage(message)), {});
+    return message;
+  };
+  remote(3, 1);
+  assert.equal((await luis.next(MessageTypes.SHARE_ITEM)).payload.item.id, 3);
+  const tarde = await openClient(`${url}/?room=equipo-a`);
+  let snapshot = await tarde.next(MessageTypes.SNAPSHOT);
+  assert.deepEqual([snapshot.payload.current.id, snapshot.payload.currentSeq, snapshot.payload.currentId], [2, 2, segundo.id]);
+  assert.deepEqual(snapshot.payload.history.map((h) => h.seq), [1, 2, 1]);
+  assert.ok(service.metrics.render().includes('realtime_stale_shares_total 1'));
+
+  // Una réplica que va por delante adelanta la numeración de esta
+  remote(4, 10);
+  await luis.next(MessageTypes.SHARE_ITEM);
+  ana.send(protocol.serializeMessage(share(5)));
+  assert.equal((await ana.next(MessageTypes.SHARE_ACK)).payload.seq, 11);
+  await luis.next(MessageTypes.SHARE_ITEM);
+  tarde.close();
+  const otra = await openClient(`${url}/?room=equipo-a`);
+  snapshot = await otra.next(MessageTypes.SNAPSHOT);
+  assert.deepEqual([snapshot.payload.current.id, snapshot.payload.currentSeq], [5, 11]);
+  for (const ws of [ana, luis, otra]) ws.close();
+});
+
+test('broadcast entrega solo a la sala indicada', async (t) => {
+  const { service, url } = await startTestService();
+  t.after(() => service.stop());
+  const a = await openClient(`${url}/?room=sala-a`);
+  const b = await openClient(`${url}/?room=sala-b`);
+  await Promise.all([a.next(MessageTypes.SNAPSHOT), b.next(MessageTypes.SNAPSHOT)]);
+
+  const status = protocol.createMessage(MessageTypes.STATUS, { state: 'ok' }, { sender: 'test' });
+  service.broadcast(protocol.serializeMessage(status), 'sala-b');
+
+  const frame = await b.next(MessageTypes.STATUS);
+  assert.equal(frame.id, status.id);
+  assert.ok(!a.frames.some((f) => f.type === MessageTypes.STATUS));
+  a.close();
+  b.close();
+});
+
+test('el heartbeat termina los clientes que no responden al ping y conserva los vivos', async (t) => {
+  const { service, url } = await startTestService();
+  t.after(() => service.stop());
+
+  const vivo = await openClient(url);
+  // Con autoPong desactivado el cliente nunca contesta al ping: simula una conexión colgada
+  const colgado = await openClient(url, { autoPong: false });
+  await waitFor(() => service.getClientCount() === 2);
+  let pongs = 0;
+  vivo.on('ping', () => { pongs += 1; });
+
+  service.checkHeartbeats();
+  await waitFor(() => pongs === 1);
+  // Margen para que el pong de vuelta llegue al servidor
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  service.checkHeartbeats();
+
+  assert.equal(await colgado.closed, 1006);
+  await waitFor(() => service.getClientCount() === 1);
+  assert.equal(vivo.readyState, vivo.OPEN);
+  vivo.close();
+});
+
+test('el heartbeat se programa con HEARTBEAT_INTERVAL_MS', async (t) => {
+  const { service, url } = await startTestService({ config: { HEARTBEAT_INTERVAL_MS: 30 } });
+  t.after(() => service.stop());
+
+  const colgado = await openClient(url, { autoPong: false });
+  assert.equal(await colgado.closed, 1006);
+  await waitFor(() => service.getClientCount() === 0);
+});
+
+test('share_image llega a la sala sin quedar en el snapshot y puede superar el tamaño general', async (t) => {
+  const { service, url } = await startTestService({ config: { MAX_MESSAGE_BYTES: 1024, MAX_IMAGE_MESSAGE_BYTES: 64 * 1024 } });
+  t.after(() => service.stop());
+
+  const ana = await openClient(`${url}/?room=fotos&name=Ana`);
+  const luis = await openClient(`${url}/?room=fotos&name=Luis`);
+  await Promise.all([ana.next(MessageTypes.SNAPSHOT), luis.next(MessageTypes.SNAPSHOT)]);
+
+  // ~8 KB de base64: más que MAX_MESSAGE_BYTES pero dentro del tope de imágenes
+  const image = { type: 'base64', mime: 'image/png', name: 'captura.png', image_base64: Buffer.alloc(6000, 1).toString('base64') };
+  ana.send(protocol.serializeMessage(protocol.createMessage(MessageTypes.SHARE_IMAGE, { image }, { sender: 'ana' })));
+  const received = await luis.next(MessageTypes.SHARE_IMAGE);
+  assert.equal(received.payload.image.image_base64, image.image_base64);
+  assert.equal(received.payload.sharedBy.name, 'Ana');
+
+  // Un share_item del mismo tamaño se rechaza con aviso
+  const big = { id: 1, title: 'x'.repeat(2000) };
+  ana.send(protocol.serializeMessage(protocol.createMessage(MessageTypes.SHARE_ITEM, { item: big }, { sender: 'ana' })));
+  const warning = await ana.next(MessageTypes.ERROR);
+  assert.equal(warning.payload.code, protocol.ErrorCodes.MESSAGE_TOO_LARGE);
+
+  // La imagen es efímera: quien llega después no la recibe en el snapshot
+  const tarde = await openClient(`${url}/?room=fotos`);
+  const snapshot = await tarde.next(MessageTypes.SNAPSHOT);
+  assert.equal(snapshot.payload.current, null);
+  assert.deepEqual(snapshot.payload.history, []);
+
+  for (const ws of [ana, luis, tarde]) ws.close();
+});
+
+test('el rol receiver no puede compartir imágenes', async (t) => {
+  const { service, url } = await startTestService({ config: { WS_AUTH_SECRET: 'secreto' } });
+  t.after(() => service.stop());
+
+  const token = signToken({ sub: 'pantalla', role: 'receiver' }, 'secreto');
+  const pantalla = await openClient(`${url}/?token=${token}`);
+  await pantalla.next(MessageTypes.SNAPSHOT);
+  const image = { type: 'url', url: 'https://via.placeholder.com/600/92c952' };
+  pantalla.send(protocol.serializeMessage(protocol.createMessage(MessageTypes.SHARE_IMAGE, { image }, { sender: 'pantalla' })));
+  const error = await pantalla.next(MessageTypes.ERROR);
+  assert.equal(error.payload.code, protocol.ErrorCodes.FORBIDDEN_ROLE);
+  pantalla.close();
+});
+
+test('cobrowse se reenvía solo a quien co-navega en la sala, sin pasar por RabbitMQ ni por el snapshot', async (t) => {
+  const { service, amqp, url } = await startTestService({ config: { COBROWSE_RATE_PER_SEC: 1, COBROWSE_BURST: 3 } });
+  t.after(() => service.stop());
+
+  const ana = await openClient(`${url}/?room=demo&name=Ana`);
+  const luis = await openClient(`${url}/?room=demo&name=Luis`);
+  const eva = await openClient(`${url}/?room=demo&name=Eva`);
+  await Promise.all([ana.next(MessageTypes.SNAPSHOT), luis.next(MessageTypes.SNAPSHOT), eva.next(MessageTypes.SNAPSHOT)]);
+  const cobrowse = (payload) => protocol.serializeMessage(protocol.createMessage(MessageTypes.COBROWSE, payload, { sender: 'x' }));
+
+  luis.send(cobrowse({ active: true }));
+  ana.send(cobrowse({ active: true, pointer: { x: 0.5, y: 0.25 }, hover: 2 }));
+  const frame = await luis.next(MessageTypes.COBROWSE);
+  assert.deepEqual(frame.payload.pointer, { x: 0.5, y: 0.25 });
+  assert.equal(frame.payload.user.name, 'Ana');
+  assert.equal(frame.room, 'demo');
+
+  // Frames con pérdida: pasado el bucket propio se descartan sin aviso y sin gastar el bucket general
+  for (let i = 0; i < 5; i += 1) ana.send(cobrowse({ active: true, scroll: i / 10 }));
+  ana.send(protocol.serializeMessage(protocol.createMessage(MessageTypes.SHARE_ITEM, { item: { id: 7 } }, { sender: 'ana' })));
+  await luis.next(MessageTypes.SHARE_ITEM);
+  assert.equal(luis.frames.filter((f) => f.type === MessageTypes.COBROWSE).length, 3);
+  assert.ok(!ana.frames.some((f) => f.type === MessageTypes.ERROR));
+  assert.ok(service.metrics.render().includes('realtime_cobrowse_frames_total{result="throttled"} 3'));
+
+  // Eva no activó la co-navegación; nada de cobrowse llega a RabbitMQ ni al snapshot
+  assert.ok(!eva.frames.some((f) => f.type === MessageTypes.COBROWSE));
+  const published = amqp.channels[0].published.map((p) => JSON.parse(p.content.toString('utf8')).type);
+  assert.deepEqual(published, [MessageTypes.SHARE_ITEM]);
+  const tarde = await openClient(`${url}/?room=demo`);
+  const snapshot = await tarde.next(MessageTypes.SNAPSHOT);
+  assert.deepEqual(snapshot.payload.history.map((h) => h.item.id), [7]);
+
+  for (const ws of [ana, luis, eva, tarde]) ws.close();
+});
+
+test('responde al ping de aplicación con un pong que referencia su id, también al rol receiver', async (t) => {
+  const { service, url } = await startTestService({ config: { WS_AUTH_SECRET: 'secreto' } });
+  t.after(() => service.stop());
+
+  const token = signToken({ sub: 'pantalla', role: 'receiver' }, 'secreto');
+  const pantalla = await openClient(`${url}/?token=${token}`);
+  await pantalla.next(MessageTypes.SNAPSHOT);
+  const ping = protocol.createMessage(MessageTypes.PING, {}, { sender: 'pantalla' });
+  pantalla.send(protocol.serializeMessage(ping));
+
+  const pong = await pantalla.next(MessageTypes.PONG);
+  assert.equal(pong.payload.ref, ping.id);
+  assert.equal(pong.sender, 'realtime');
+  assert.ok(!pantalla.frames.some((f) => f.type === MessageTypes.ERROR));
+  pantalla.close();
+});
+
+test('comentarios y reacciones llegan a la sala y quien llega después recibe el hilo acotado en el snapshot', async (t) => {
+  const { service, url } = await startTestService({ config: { ANNOTATION_HISTORY_SIZE: 2, MAX_ANNOTATED_ITEMS: 2 } });
+  t.after(() => service.stop());
+
+  const ana = await openClient(`${url}/?room=equipo-a&name=Ana`);
+  const luis = await openClient(`${url}/?room=equipo-a&name=Luis`);
+  await Promise.all([ana.next(MessageTypes.SNAPSHOT), luis.next(MessageTypes.SNAPSHOT)]);
+  const annotate = (type, payload) => protocol.serializeMessage(protocol.createMessage(type, payload, { sender: 'x' }));
+
+  for (const text of ['uno', 'dos', 'tres']) ana.send(annotate(MessageTypes.COMMENT, { itemId: 3, text }));
+  const comment = await luis.next(MessageTypes.COMMENT);
+  assert.equal(comment.payload.text, 'uno');
+  assert.equal(comment.payload.sharedBy.name, 'Ana');
+  luis.send(annotate(MessageTypes.REACTION, { itemId: '3', emoji: '👍', active: true }));
+  ana.send(annotate(MessageTypes.REACTION, { itemId: 3, emoji: '👍', active: true }));
+  ana.send(annotate(MessageTypes.REACTION, { itemId: 3, emoji: '👍', active: false }));
+  await ana.next(MessageTypes.REACTION);
+  await ana.next(MessageTypes.REACTION);
+  await ana.next(MessageTypes.REACTION);
+
+  // Emoji fuera de la lista: se rechaza sin difundirlo
+  ana.send(annotate(MessageTypes.REACTION, { itemId: 3, emoji: '💩', active: true }));
+  assert.equal((await ana.next(MessageTypes.ERROR)).payload.code, protocol.ErrorCodes.INVALID_PAYLOAD);
+
+  const tarde = await openClient(`${url}/?room=equipo-a`);
+  const thread = (await tarde.next(MessageTypes.SNAPSHOT)).payload.annotations['3'];
+  assert.deepEqual(thread.comments.map((c) => c.text), ['dos', 'tres']);
+  assert.deepEqual(thread.reactions, { '👍': [{ id: luis.frames[0].payload.you.id, name: 'Luis' }] });
+
+  // Con más items anotados que MAX_ANNOTATED_ITEMS se olvida el que lleva más tiempo sin cambios
+  ana.send(annotate(MessageTypes.COMMENT, { itemId: 4, text: 'otro' }));
+  ana.send(annotate(MessageTypes.COMMENT, { itemId: 5, text: 'más' }));
+  await waitFor(() => tarde.frames.filter((f) => f.type === MessageTypes.COMMENT).length === 2);
+  const reconectado = await openClient(`${url}/?room=equipo-a`);
+  assert.deepEqual(Object.keys((await reconectado.next(MessageTypes.SNAPSHOT)).payload.annotations).sort(), ['4', '5']);
+
+  for (const ws of [ana, luis, tarde, reconectado]) ws.close();
+});
+
+test('el rol receiver no puede comentar', async (t) => {
+  const { service, url } = await startTestService({ config: { WS_AUTH_SECRET: 'secreto' } });
+  t.after(() => service.stop());
+
+  const token = signToken({ sub: 'pantalla', role: 'receiver' }, 'secreto');
+  const pantalla = await openClient(`${url}/?token=${token}`);
+  await pantalla.next(MessageTypes.SNAPSHOT);
+  const comment = protocol.createMessage(MessageTypes.COMMENT, { itemId: 1, text: 'hola' }, { sender: 'pantalla' });
+  pantalla.send(protocol.serializeMessage(comment));
+  const error = await pantalla.next(MessageTypes.ERROR);
+  assert.equal(error.payload.code, protocol.ErrorCodes.FORBIDDEN_ROLE);
+  assert.equal(error.payload.ref, comment.id);
+  pantalla.close();
+});
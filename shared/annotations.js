@@ -0,0 +1,212 @@
+/**
+ * Anotaciones de items (comentarios y reacciones con emoji), compartidas por el servidor realtime y las tres apps.
+ *
+ * Las anotaciones de una sala se guardan como un objeto `{ [id de item]: { comments, reactions, updatedAt } }`:
+ * - `comments`: lista `{ id, text, user, timestamp }` de la más antigua a la más reciente (el id es el del sobre).
+ * - `reactions`: `{ [emoji]: Array<{ id, name }> }` con quién tiene activada cada reacción.
+ * El servidor aplica cada frame `comment`/`reaction` con `applyAnnotation` (acotando comentarios por item e items
+ * por sala) y envía el resultado en el snapshot; el cliente aplica los frames que llegan después con la misma función.
+ * Las apps pintan el resultado con las mismas clases: `.annotation-badge` en la fila y `.item-annotations` en el detalle.
+ *
+ * UMD como protocol.js: con CommonJS se exporta con module.exports y en el navegador se publica en
+ * `window.PorfolioShared.annotations` (requiere cargar antes shared/protocol.js).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./protocol'));
+  } else {
+    root.PorfolioShared = root.PorfolioShared || {};
+    root.PorfolioShared.annotations = factory(root.PorfolioShared.protocol);
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : window, function (protocol) {
+  'use strict';
+
+  if (!protocol) throw new Error('[annotations] shared/protocol.js debe cargarse antes');
+
+  const MessageTypes = protocol.MessageTypes;
+
+  /** Anotaciones de un item sin comentarios ni reacciones. */
+  const EMPTY = Object.freeze({ comments: Object.freeze([]), reactions: Object.freeze({}), updatedAt: 0 });
+
+  /** Aviso que muestran las apps cuando un comentario o una reacción no se pudo enviar (según el resultado). */
+  const FAILURE_MESSAGES = Object.freeze({
+    failed: 'Sin conexión: no se ha enviado, inténtalo al reconectar',
+    denied: 'Tu acceso es de solo lectura: no puedes comentar ni reaccionar'
+  });
+
+  function keyOf(itemId) {
+    return String(itemId);
+  }
+
+  function copyReactions(reactions) {
+    const copy = {};
+    Object.keys(reactions || {}).forEach(function (emoji) { copy[emoji] = reactions[emoji].slice(); });
+    return copy;
+  }
+
+  /**
+   * Anotaciones de un item.
+   * @param {Object} store - Anotaciones de la sala.
+   * @param {*} itemId - Número o texto (se comparan como texto).
+   * @returns {{comments: Array<Object>, reactions: Object<string, Array<Object>>, updatedAt: number}}
+   *
+   * Ejemplos de uso (en español):
+   * 1) itemAnnotations(annotations, item.id).comments.length; // comentarios del item
+   * 2) itemAnnotations(annotations, '5') === itemAnnotations(annotations, 5); // el mismo item
+   * 3) itemAnnotations({}, 1); // EMPTY (sin comentarios ni reacciones)
+   */
+  function itemAnnotations(store, itemId) {
+    return (store && store[keyOf(itemId)]) || EMPTY;
+  }
+
+  /**
+   * Aplica un frame `comment` o `reaction` a las anotaciones de la sala sin modificarlas: devuelve un objeto nuevo
+   * (o el mismo si el frame no cambia nada, p. ej. un comentario repetido o una reacción que ya estaba).
+   * @param {Object} store - Anotaciones de la sala.
+   * @param {Object} message - Sobre ya validado, con `payload.sharedBy` (autor) asignado por el servidor.
+   * @param {{maxComments?: number, maxItems?: number}} [limits] - Comentarios por item (se descartan los más
+   *   antiguos) e items con anotaciones (se descarta el que lleva más tiempo sin cambios).
+   * @returns {Object}
+   *
+   * Ejemplos de uso (en español):
+   * 1) state.annotations = applyAnnotation(state.annotations, message, { maxComments: 30, maxItems: 100 }); // servidor
+   * 2) annotations = applyAnnotation(annotations, message); // cliente, con el frame difundido por el servidor
+   * 3) // una reacción con active: false retira la del usuario; el emoji desaparece cuando nadie la tiene
+   */
+  function applyAnnotation(store, message, limits) {
+    const options = limits || {};
+    const payload = message.payload;
+    const user = payload.sharedBy;
+    const current = store || {};
+    if (!user) return current;
+    const key = keyOf(payload.itemId);
+    const previous = current[key] || EMPTY;
+    const entry = { comments: previous.comments, reactions: previous.reactions, updatedAt: message.timestamp };
+
+    if (message.type === MessageTypes.COMMENT) {
+      if (previous.comments.some(function (comment) { return comment.id === message.id; })) return current;
+      entry.comments = previous.comments.concat([{ id: message.id, text: payload.text, user: user, timestamp: message.timestamp }]);
+      if (options.maxComments > 0 && entry.comments.length > options.maxComments) {
+        entry.comments = entry.comments.slice(entry.comments.length - options.maxComments);
+      }
+    } else if (message.type === MessageTypes.REACTION) {
+      const others = (previous.reactions[payload.emoji] || []).filter(function (u) { return u.id !== user.id; });
+      const had = others.length !== (previous.reactions[payload.emoji] || []).length;
+      if (had === payload.active) return current;
+      entry.reactions = copyReactions(previous.reactions);
+      if (payload.active) {
+        entry.reactions[payload.emoji] = others.concat([user]);
+      } else if (others.length) {
+        entry.reactions[payload.emoji] = others;
+      } else {
+        delete entry.reactions[payload.emoji];
+      }
+    } else {
+      return current;
+    }
+
+    const next = Object.assign({}, current);
+    next[key] = entry;
+    const keys = Object.keys(next);
+    if (options.maxItems > 0 && keys.length > options.maxItems) {
+      const oldest = keys.reduce(function (a, b) { return next[b].updatedAt < next[a].updatedAt ? b : a; });
+      delete next[oldest];
+    }
+    return next;
+  }
+
+  /**
+   * Reacciones de un item para los botones del detalle: todas las de protocol.REACTION_EMOJIS, con cuántos
+   * usuarios la tienen, si una es del propio usuario y sus nombres (para el title).
+   * @param {Object} entry - Resultado de itemAnnotations.
+   * @param {({id: string}|null)} self - Identidad de esta pestaña.
+   * @returns {Array<{emoji: string, count: number, mine: boolean, names: string}>}
+   *
+   * Ejemplos de uso (en español):
+   * 1) reactionSummary(itemAnnotations(annotations, item.id), self); // [{ emoji: '👍', count: 2, mine: true, ... }, ...]
+   * 2) // al pulsar: react(item.id, reaction.emoji, !reaction.mine)
+   * 3) reactionSummary(EMPTY, null).every((r) => r.count === 0); // true
+   */
+  function reactionSummary(entry, self) {
+    const reactions = (entry && entry.reactions) || {};
+    return protocol.REACTION_EMOJIS.map(function (emoji) {
+      const users = reactions[emoji] || [];
+      return {
+        emoji: emoji,
+        count: users.length,
+        mine: !!self && users.some(function (u) { return u.id === self.id; }),
+        names: users.map(function (u) { return u.name; }).join(', ')
+      };
+    });
+  }
+
+  /**
+   * Resumen para la fila de un item: número de comentarios y reacciones usadas.
+   * @param {Object} entry - Resultado de itemAnnotations.
+   * @returns {string} '' si el item no tiene anotaciones.
+   *
+   * Ejemplos de uso (en español):
+   * 1) annotationBadge(itemAnnotations(annotations, item.id)); // '💬 2 · 👍 3 · 🎉 1'
+   * 2) annotationBadge(EMPTY); // ''
+   * 3) // solo aparecen las reacciones que alguien tiene activadas
+   */
+  function annotationBadge(entry) {
+    const parts = [];
+    if (entry && entry.comments.length) parts.push('💬 ' + entry.comments.length);
+    reactionSummary(entry, null).forEach(function (reaction) {
+      if (reaction.count) parts.push(reaction.emoji + ' ' + reaction.count);
+    });
+    return parts.join(' · ');
+  }
+
+  /**
+   * Autor de un comentario tal como se muestra ("tú" si es de esta pestaña).
+   * @param {Object} comment
+   * @param {({id: string}|null)} self
+   * @returns {string}
+   */
+  function commentAuthor(comment, self) {
+    return self && comment.user.id === self.id ? 'tú' : comment.user.name;
+  }
+
+  /**
+   * Hora de un comentario (hh:mm en español).
+   * @param {number} timestamp - ms de Date.now().
+   * @returns {string}
+   *
+   * Ejemplos de uso (en español):
+   * 1) formatCommentTime(comment.timestamp); // '14:05'
+   * 2) <time :datetime="new Date(comment.timestamp).toISOString()">{{ formatCommentTime(comment.timestamp) }}</time>
+   * 3) // '' si el timestamp no es válido
+   */
+  function formatCommentTime(timestamp) {
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+  }
+
+  /**
+   * Aviso para el resultado de client.comment o client.react.
+   * @param {string} result - 'ws', 'failed' o 'denied'.
+   * @returns {string} '' si se envió.
+   *
+   * Ejemplos de uso (en español):
+   * 1) error = failureMessage(await client.comment(item.id, text));
+   * 2) failureMessage('ws'); // ''
+   * 3) failureMessage('failed'); // 'Sin conexión: no se ha enviado, ...'
+   */
+  function failureMessage(result) {
+    return FAILURE_MESSAGES[result] || '';
+  }
+
+  return {
+    EMPTY: EMPTY,
+    itemAnnotations: itemAnnotations,
+    applyAnnotation: applyAnnotation,
+    reactionSummary: reactionSummary,
+    annotationBadge: annotationBadge,
+    commentAuthor: commentAuthor,
+    formatCommentTime: formatCommentTime,
+    failureMessage: failureMessage
+  };
+}));
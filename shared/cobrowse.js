@@ -0,0 +1,194 @@
+/**
+ * Co-navegación en el navegador, compartida por las tres apps: lleva el scroll, el item bajo el ratón y el
+ * puntero de la pestaña al cliente realtime (`client.updateCobrowse`, que los envía como frames `cobrowse`
+ * limitados a uno cada `cobrowseIntervalMs`) y aplica el scroll de las demás pestañas.
+ *
+ * Las posiciones viajan relativas al documento (0..1) para que pestañas con distinto tamaño de ventana
+ * vean lo mismo; el item se identifica por el atributo `data-item-id` de su fila.
+ *
+ * UMD como protocol.js: con CommonJS se exporta con module.exports y en el navegador se publica en
+ * `window.PorfolioShared.cobrowse`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PorfolioShared = root.PorfolioShared || {};
+    root.PorfolioShared.cobrowse = factory();
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : window, function () {
+  'use strict';
+
+  /** Selector de las filas de items (el id va en `data-item-id`). */
+  const ITEM_SELECTOR = '[data-item-id]';
+
+  function ratio(value, total) {
+    if (!(total > 0) || !isFinite(value)) return 0;
+    return Math.round(Math.min(1, Math.max(0, value / total)) * 1000) / 1000;
+  }
+
+  function scrollMax(win) {
+    const doc = win.document.documentElement;
+    return Math.max(0, doc.scrollHeight - win.innerHeight);
+  }
+
+  /**
+   * Posición de scroll vertical de la ventana, de 0 (arriba) a 1 (abajo).
+   * @param {Window} win
+   * @returns {number}
+   *
+   * Ejemplos de uso (en español):
+   * 1) client.updateCobrowse({ scroll: scrollRatio(window) });
+   * 2) scrollRatio(window); // 0 si la página no tiene scroll
+   * 3) // redondeado a milésimas para no enviar cambios imperceptibles
+   */
+  function scrollRatio(win) {
+    return ratio(win.scrollY || win.pageYOffset || 0, scrollMax(win));
+  }
+
+  /**
+   * Lleva la ventana a una posición de scroll relativa (la que envió otra pestaña).
+   * @param {Window} win
+   * @param {number} value - De 0 a 1.
+   * @returns {void}
+   *
+   * Ejemplos de uso (en español):
+   * 1) client.on('cobrowse-scroll', (value) => scrollToRatio(window, value));
+   * 2) scrollToRatio(window, 1); // al final de la página
+   * 3) // el scroll resultante no se reenvía (el cliente lo reconoce como eco)
+   */
+  function scrollToRatio(win, value) {
+    if (typeof win.scrollTo !== 'function') return;
+    win.scrollTo(win.scrollX || 0, Math.round(scrollMax(win) * value));
+  }
+
+  /**
+   * Puntero de un evento de ratón, relativo al tamaño del documento.
+   * @param {MouseEvent} event
+   * @param {Window} win
+   * @returns {{x: number, y: number}}
+   *
+   * Ejemplos de uso (en español):
+   * 1) client.updateCobrowse({ pointer: pointerFromEvent(event, window) });
+   * 2) pointerFromEvent({ pageX: 500, pageY: 100 }, window); // { x: 0.5, y: 0.05 } en un documento de 1000x2000
+   * 3) // los valores se limitan a 0..1
+   */
+  function pointerFromEvent(event, win) {
+    const doc = win.document.documentElement;
+    return { x: ratio(event.pageX, doc.scrollWidth), y: ratio(event.pageY, doc.scrollHeight) };
+  }
+
+  /**
+   * Estilo (posición absoluta en el documento y color) para pintar el puntero de otra pestaña.
+   * @param {Object} peer - Pestaña remota ({ user, pointer, ... }) del evento 'cobrowse'.
+   * @param {Window} win
+   * @returns {{left: string, top: string, color: string}}
+   *
+   * Ejemplos de uso (en español):
+   * 1) <div class="remote-pointer" :style="cobrowse.pointerStyle(peer, window)"> // Vue
+   * 2) <div className="remote-pointer" style={cobrowse.pointerStyle(peer, window)} /> // React
+   * 3) ng-style="vm.pointerStyle(peer)" // AngularJS
+   */
+  function pointerStyle(peer, win) {
+    const doc = win.document.documentElement;
+    const pointer = (peer && peer.pointer) || { x: 0, y: 0 };
+    return {
+      left: Math.round(pointer.x * doc.scrollWidth) + 'px',
+      top: Math.round(pointer.y * doc.scrollHeight) + 'px',
+      color: peerColor(peer && peer.user ? peer.user.id : '')
+    };
+  }
+
+  /**
+   * Color estable para un usuario (el mismo en todas las pestañas).
+   * @param {string} id
+   * @returns {string} Color CSS hsl().
+   */
+  function peerColor(id) {
+    let hash = 0;
+    const text = String(id || '');
+    for (let i = 0; i < text.length; i += 1) hash = (hash * 31 + text.charCodeAt(i)) % 360;
+    return 'hsl(' + hash + ', 70%, 60%)';
+  }
+
+  /**
+   * Nombres de las pestañas remotas que tienen el ratón sobre un item.
+   * @param {Array<Object>} peers - Lista del evento 'cobrowse'.
+   * @param {*} itemId
+   * @returns {Array<string>}
+   *
+   * Ejemplos de uso (en español):
+   * 1) hoveredBy(peers, item.id).length > 0 // resaltar la fila
+   * 2) hoveredBy(peers, item.id).join(', '); // 'Ana, Luis'
+   * 3) // compara como texto: el id puede llegar como número o como texto
+   */
+  function hoveredBy(peers, itemId) {
+    if (!Array.isArray(peers)) return [];
+    return peers
+      .filter(function (peer) { return peer.hover !== null && peer.hover !== undefined && String(peer.hover) === String(itemId); })
+      .map(function (peer) { return peer.user.name; });
+  }
+
+  function itemIdFrom(target) {
+    const row = target && typeof target.closest === 'function' ? target.closest(ITEM_SELECTOR) : null;
+    if (!row) return null;
+    const id = row.getAttribute('data-item-id');
+    return /^\d+$/.test(id) ? Number(id) : id;
+  }
+
+  /**
+   * Activa la co-navegación de la pestaña: escucha scroll, movimiento del ratón y el item bajo el ratón,
+   * se los pasa al cliente y sigue el scroll de las demás pestañas.
+   * @param {Window} win
+   * @param {Object} client - Cliente de shared/realtime-client.js.
+   * @returns {function(): void} Desactiva la co-navegación y quita los listeners.
+   *
+   * Ejemplos de uso (en español):
+   * 1) const stop = startCobrowse(window, client); ...; stop();
+   * 2) // los adaptadores (useRealtime, realtimeService) lo llaman desde setCobrowse(true/false)
+   * 3) // sin socket abierto los frames se pierden: al reconectar se reenvía el estado completo
+   */
+  function startCobrowse(win, client) {
+    const doc = win.document;
+
+    function onScroll() {
+      client.updateCobrowse({ scroll: scrollRatio(win) });
+    }
+    function onMouseMove(event) {
+      client.updateCobrowse({ pointer: pointerFromEvent(event, win) });
+    }
+    function onMouseOver(event) {
+      client.updateCobrowse({ hover: itemIdFrom(event.target) });
+    }
+    function onMouseLeave() {
+      client.updateCobrowse({ pointer: null, hover: null });
+    }
+
+    win.addEventListener('scroll', onScroll, { passive: true });
+    doc.addEventListener('mousemove', onMouseMove);
+    doc.addEventListener('mouseover', onMouseOver);
+    doc.documentElement.addEventListener('mouseleave', onMouseLeave);
+    const offScroll = client.on('cobrowse-scroll', function (value) { scrollToRatio(win, value); });
+    client.setCobrowse(true);
+
+    return function stop() {
+      win.removeEventListener('scroll', onScroll);
+      doc.removeEventListener('mousemove', onMouseMove);
+      doc.removeEventListener('mouseover', onMouseOver);
+      doc.documentElement.removeEventListener('mouseleave', onMouseLeave);
+      offScroll();
+      client.setCobrowse(false);
+    };
+  }
+
+  return {
+    ITEM_SELECTOR: ITEM_SELECTOR,
+    scrollRatio: scrollRatio,
+    scrollToRatio: scrollToRatio,
+    pointerFromEvent: pointerFromEvent,
+    pointerStyle: pointerStyle,
+    peerColor: peerColor,
+    hoveredBy: hoveredBy,
+    startCobrowse: startCobrowse
+  };
+}));
@@ -0,0 +1,140 @@
+/**
+ * Estado de conexión que muestran las tres apps (conectando, conectado, offline o degradado), con la cuenta
+ * atrás hasta el próximo intento de reconexión y la latencia medida con ping/pong.
+ *
+ * Las apps pasan lo que ya les da el cliente realtime (`status`, `degraded`, `reconnectAt` y `latency`) y
+ * pintan el resultado de `describeConnection` con las mismas clases: `.connection-status.<estado>`,
+ * `.connection-state`, `.connection-latency`, `.connection-retry` y el botón `.connection-retry-now`.
+ *
+ * UMD como protocol.js: con CommonJS se exporta con module.exports y en el navegador se publica en
+ * `window.PorfolioShared.connectionStatus`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PorfolioShared = root.PorfolioShared || {};
+    root.PorfolioShared.connectionStatus = factory();
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : window, function () {
+  'use strict';
+
+  /** Estados que se muestran (también son la clase CSS del componente). */
+  const ConnectionStates = Object.freeze({
+    CONNECTING: 'connecting',
+    ONLINE: 'online',
+    OFFLINE: 'offline',
+    DEGRADED: 'degraded'
+  });
+
+  const LABELS = Object.freeze({
+    connecting: 'Conectando...',
+    online: 'Conectado',
+    offline: 'Offline',
+    degraded: 'Degradado'
+  });
+
+  const TITLES = Object.freeze({
+    connecting: 'Abriendo la conexión con el servidor realtime',
+    online: 'Conectado al servidor realtime',
+    offline: 'Sin conexión: los shares se envían por HTTP o quedan pendientes',
+    degraded: 'RabbitMQ no disponible: los shares del backend pueden retrasarse'
+  });
+
+  /** Por debajo de estos milisegundos la latencia se considera buena o aceptable (clase `good`, `fair` o `poor`). */
+  const LATENCY_GOOD_MS = 150;
+  const LATENCY_FAIR_MS = 500;
+
+  /**
+   * Estado a mostrar a partir del estado del socket y del servicio.
+   * @param {string} status - Status del cliente realtime ('idle', 'connecting', 'open', 'closed').
+   * @param {boolean} degraded - true si el servidor anuncia 'degraded'.
+   * @returns {string} Uno de ConnectionStates.
+   *
+   * Ejemplos de uso (en español):
+   * 1) connectionState('open', false); // 'online'
+   * 2) connectionState('open', true); // 'degraded'
+   * 3) connectionState('closed', true); // 'offline' (sin socket, el aviso del servidor ya no aplica)
+   */
+  function connectionState(status, degraded) {
+    if (status === 'open') return degraded ? ConnectionStates.DEGRADED : ConnectionStates.ONLINE;
+    if (status === 'connecting') return ConnectionStates.CONNECTING;
+    return ConnectionStates.OFFLINE;
+  }
+
+  /**
+   * Segundos (redondeados hacia arriba) que faltan para un momento dado.
+   * @param {(number|null)} at - Date.now() del evento.
+   * @param {number} now
+   * @returns {(number|null)} null si no hay momento.
+   */
+  function secondsUntil(at, now) {
+    if (typeof at !== 'number') return null;
+    return Math.max(0, Math.ceil((at - now) / 1000));
+  }
+
+  /**
+   * Milisegundos hasta que cambia el número de la cuenta atrás (para refrescarla justo a tiempo).
+   * @param {(number|null)} at - Date.now() del próximo intento.
+   * @param {number} now
+   * @returns {(number|null)} null si no hay cuenta atrás en curso.
+   *
+   * Ejemplos de uso (en español):
+   * 1) countdownDelay(now + 4000, now); // 1000
+   * 2) countdownDelay(now + 2500, now); // 500 (pasa de "3 s" a "2 s")
+   * 3) countdownDelay(null, now); // null: no hace falta refrescar
+   */
+  function countdownDelay(at, now) {
+    if (typeof at !== 'number' || at <= now) return null;
+    return ((at - now) % 1000) || 1000;
+  }
+
+  /**
+   * Nivel de una latencia, para colorearla.
+   * @param {number} ms
+   * @returns {('good'|'fair'|'poor')}
+   */
+  function latencyLevel(ms) {
+    if (ms < LATENCY_GOOD_MS) return 'good';
+    if (ms < LATENCY_FAIR_MS) return 'fair';
+    return 'poor';
+  }
+
+  /**
+   * Todo lo que pinta el indicador de conexión.
+   * @param {{status: string, degraded?: boolean, reconnectAt?: (number|null), latency?: (number|null)}} connection
+   * @param {number} [now] - Por defecto Date.now(); las apps lo refrescan cada segundo durante la cuenta atrás.
+   * @returns {{state: string, label: string, title: string, retryIn: (number|null), canRetry: boolean,
+   *   latency: (string|null), latencyLevel: (string|null)}}
+   *
+   * Ejemplos de uso (en español):
+   * 1) describeConnection({ status: 'open', latency: 42 }); // { state: 'online', label: 'Conectado', latency: '42 ms', ... }
+   * 2) describeConnection({ status: 'closed', reconnectAt: Date.now() + 4000 }).retryIn; // 4
+   * 3) describeConnection({ status: 'connecting' }).canRetry; // false (ya hay un intento en marcha)
+   */
+  function describeConnection(connection, now) {
+    const source = connection || {};
+    const state = connectionState(source.status, !!source.degraded);
+    const online = state === ConnectionStates.ONLINE || state === ConnectionStates.DEGRADED;
+    const offline = state === ConnectionStates.OFFLINE;
+    const hasLatency = online && typeof source.latency === 'number';
+    return {
+      state: state,
+      label: LABELS[state],
+      title: TITLES[state],
+      retryIn: offline ? secondsUntil(source.reconnectAt, typeof now === 'number' ? now : Date.now()) : null,
+      canRetry: offline,
+      latency: hasLatency ? Math.round(source.latency) + ' ms' : null,
+      latencyLevel: hasLatency ? latencyLevel(source.latency) : null
+    };
+  }
+
+  return {
+    ConnectionStates: ConnectionStates,
+    connectionState: connectionState,
+    secondsUntil: secondsUntil,
+    countdownDelay: countdownDelay,
+    latencyLevel: latencyLevel,
+    describeConnection: describeConnection
+  };
+}));
@@ -0,0 +1,126 @@
+/**
+ * Lectura de imágenes del navegador (arrastrar y soltar, pegar o elegir archivo) para compartirlas con
+ * `client.shareImage`, compartida por las tres apps.
+ *
+ * Comprueba formato y tamaño con las reglas del protocolo (IMAGE_MIME_TYPES y MAX_IMAGE_BYTES de
+ * shared/protocol.js) antes de leer el archivo, y lo convierte al `payload.image` de `share_image`.
+ *
+ * UMD como protocol.js: con CommonJS se exporta con module.exports y en el navegador se publica en
+ * `window.PorfolioShared.imageShare` (requiere cargar antes shared/protocol.js).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./protocol'));
+  } else {
+    root.PorfolioShared = root.PorfolioShared || {};
+    root.PorfolioShared.imageShare = factory(root.PorfolioShared.protocol);
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : window, function (protocol) {
+  'use strict';
+
+  if (!protocol) throw new Error('[image-share] shared/protocol.js debe cargarse antes');
+
+  /** Valor para el atributo `accept` de los <input type="file">. */
+  const ACCEPT = protocol.IMAGE_MIME_TYPES.join(',');
+
+  /**
+   * Comprueba formato y tamaño de un archivo antes de leerlo.
+   * @param {(File|Blob|null)} file
+   * @returns {(string|null)} null si se puede compartir o el motivo (para mostrarlo al usuario).
+   *
+   * Ejemplos de uso (en español):
+   * 1) checkImageFile(input.files[0]); // null
+   * 2) checkImageFile(pdf); // 'Formato no admitido: application/pdf (usa PNG, JPEG, GIF o WebP)'
+   * 3) checkImageFile(fotoDe3MB); // 'La imagen supera el máximo de 256 KB'
+   */
+  function checkImageFile(file) {
+    if (!file) return 'No se encontró ninguna imagen';
+    if (protocol.IMAGE_MIME_TYPES.indexOf(file.type) === -1) {
+      return 'Formato no admitido: ' + (file.type || 'desconocido') + ' (usa PNG, JPEG, GIF o WebP)';
+    }
+    if (file.size > protocol.MAX_IMAGE_BYTES) {
+      return 'La imagen supera el máximo de ' + Math.round(protocol.MAX_IMAGE_BYTES / 1024) + ' KB';
+    }
+    return null;
+  }
+
+  /**
+   * Lee un archivo de imagen y lo devuelve como `payload.image` de tipo 'base64'.
+   * @param {File} file
+   * @returns {Promise<{type: 'base64', image_base64: string, mime: string, name?: string}>} Rechaza con un
+   *   Error de mensaje legible si el archivo no es válido o no se puede leer.
+   *
+   * Ejemplos de uso (en español):
+   * 1) const image = await readImageFile(file); await client.shareImage(image);
+   * 2) readImageFile(pdf).catch((e) => { error = e.message; });
+   * 3) // image.image_base64 va sin el prefijo "data:image/png;base64,"
+   */
+  function readImageFile(file) {
+    const problem = checkImageFile(file);
+    if (problem) return Promise.reject(new Error(problem));
+    return new Promise(function (resolve, reject) {
+      const reader = new FileReader();
+      reader.onload = function () {
+        const result = String(reader.result || '');
+        const image = { type: 'base64', image_base64: result.slice(result.indexOf(',') + 1), mime: file.type };
+        if (file.name) image.name = String(file.name).slice(0, 128);
+        resolve(image);
+      };
+      reader.onerror = function () {
+        reject(new Error('No se pudo leer la imagen'));
+      };
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /**
+   * Saca el archivo de un DataTransfer (evento drop o paste).
+   * @param {(DataTransfer|null)} data - `event.dataTransfer` o `event.clipboardData`.
+   * @param {{imagesOnly?: boolean}} [options] - Con `imagesOnly` (pegar) se ignora lo que no sea imagen, para no
+   *   interferir al pegar texto; al soltar se devuelve el primer archivo para poder avisar del formato.
+   * @returns {(File|null)}
+   *
+   * Ejemplos de uso (en español):
+   * 1) imageFileFrom(event.dataTransfer); // al soltar
+   * 2) imageFileFrom(event.clipboardData, { imagesOnly: true }); // al pegar
+   * 3) // null si no hay archivos (p. ej. se pegó texto)
+   */
+  function imageFileFrom(data, options) {
+    const imagesOnly = !!(options && options.imagesOnly);
+    if (!data) return null;
+    const files = Array.prototype.slice.call(data.files || []);
+    if (!files.length && data.items) {
+      Array.prototype.slice.call(data.items).forEach(function (entry) {
+        const file = entry.kind === 'file' && entry.getAsFile ? entry.getAsFile() : null;
+        if (file) files.push(file);
+      });
+    }
+    const image = files.find(function (file) { return /^image\//.test(file.type); });
+    if (image) return image;
+    return imagesOnly ? null : (files[0] || null);
+  }
+
+  /**
+   * `src` para mostrar una imagen compartida (URL o data URI del base64).
+   * @param {Object} image - `payload.image` de share_image.
+   * @returns {string}
+   *
+   * Ejemplos de uso (en español):
+   * 1) <img :src="imageShare.sharedImageSrc(sharedImage.image)">
+   * 2) sharedImageSrc({ type: 'url', url: 'https://x/a.png' }); // 'https://x/a.png'
+   * 3) sharedImageSrc({ type: 'base64', mime: 'image/png', image_base64: 'iVBO...' }); // 'data:image/png;base64,iVBO...'
+   */
+  function sharedImageSrc(image) {
+    if (!image) return '';
+    if (image.type === 'url') return image.url;
+    return 'data:' + image.mime + ';base64,' + image.image_base64;
+  }
+
+  return {
+    ACCEPT: ACCEPT,
+    checkImageFile: checkImageFile,
+    readImageFile: readImageFile,
+    imageFileFrom: imageFileFrom,
+    sharedImageSrc: sharedImageSrc
+  };
+}));
@@ -0,0 +1,106 @@
+/**
+ * Puente ESM hacia los módulos UMD de /shared para las apps de Vite (Vue y React), que lo importan con el
+ * alias `@shared/index.js`. Al importarlos los UMD se publican en window.PorfolioShared y aquí se
+ * reexportan; la app AngularJS los carga con etiquetas <script> y no lo usa.
+ * (el orden importa: annotations.js y realtime-client.js usan el protocolo ya cargado)
+ */
+import './protocol.js';
+import './annotations.js';
+import './realtime-client.js';
+import './image-share.js';
+import './cobrowse.js';
+import './connection-status.js';
+import './items.js';
+import './item-query.js';
+import './offline.js';
+
+/**
+ * Protocolo de mensajes realtime (sobre tipado y validación), ver shared/protocol.js.
+ *
+ * Ejemplos de uso (en español):
+ * 1) protocol.createMessage('share_item', { item }, { sender });
+ * 2) const res = protocol.parseMessage(ev.data); if (res.ok) ...
+ * 3) protocol.MessageTypes.SHARE_ITEM // 'share_item'
+ */
+export const protocol = window.PorfolioShared.protocol;
+
+/**
+ * Fábrica del cliente realtime compartido (WS + reconexión + fallback HTTP) y fuente de tokens de corta
+ * duración para su opción `token`, ver shared/realtime-client.js.
+ *
+ * Ejemplos de uso (en español):
+ * 1) const client = createRealtimeClient({ url, room }); client.connect();
+ * 2) client.onShared((item) => ...);
+ * 3) await client.share(item);
+ */
+export const { createRealtimeClient, createTokenSource, Status } = window.PorfolioShared.realtimeClient;
+
+/**
+ * Utilidades de presentación de items (placeholder de imagen, metadatos, modos de vista), ver shared/items.js.
+ *
+ * Ejemplos de uso (en español):
+ * 1) itemUtils.formatCachedAt(item.cached_at); // '14/11/2023, 23:13:20'
+ * 2) <img :src="itemUtils.thumbnailSrc(item)" @error="itemUtils.handleImageError">
+ * 3) itemUtils.ViewModes.GRID // 'grid'
+ */
+export const itemUtils = window.PorfolioShared.items;
+
+/**
+ * Búsqueda, orden y paginación de la lista en el cliente, con el estado en la query de la URL, ver shared/item-query.js.
+ *
+ * Ejemplos de uso (en español):
+ * 1) const query = itemQuery.parseQuery(window.location.search);
+ * 2) const view = itemQuery.applyQuery(items, query); view.items // página visible
+ * 3) history.replaceState(null, '', itemQuery.toUrl(location.href, query));
+ */
+export const itemQuery = window.PorfolioShared.itemQuery;
+
+/**
+ * Lectura y comprobación de imágenes soltadas, pegadas o elegidas para compartirlas, ver shared/image-share.js.
+ *
+ * Ejemplos de uso (en español):
+ * 1) const image = await imageShare.readImageFile(file); await shareImage(image);
+ * 2) imageShare.imageFileFrom(event.clipboardData, { imagesOnly: true });
+ * 3) <img :src="imageShare.sharedImageSrc(sharedImage.image)">
+ */
+export const imageShare = window.PorfolioShared.imageShare;
+
+/**
+ * Co-navegación (scroll, puntero e item bajo el ratón entre pestañas), ver shared/cobrowse.js.
+ *
+ * Ejemplos de uso (en español):
+ * 1) const stop = cobrowse.startCobrowse(window, client); // lo hace setCobrowse(true) de useRealtime
+ * 2) cobrowse.pointerStyle(peer, window) // posición y color del puntero remoto
+ * 3) cobrowse.hoveredBy(cobrowsePeers, item.id) // quién tiene el ratón sobre la fila
+ */
+export const cobrowse = window.PorfolioShared.cobrowse;
+
+/**
+ * Estado de conexión para el indicador (conectando, conectado, offline, degradado), ver shared/connection-status.js.
+ *
+ * Ejemplos de uso (en español):
+ * 1) connectionStatus.describeConnection({ status, degraded, reconnectAt, latency }).label // 'Conectado'
+ * 2) connectionStatus.describeConnection({ status: 'closed', reconnectAt }).retryIn // segundos hasta el reintento
+ * 3) connectionStatus.ConnectionStates.DEGRADED // 'degraded'
+ */
+export const connectionStatus = window.PorfolioShared.connectionStatus;
+
+/**
+ * Comentarios y reacciones de los items (resumen de la fila, botones de reacción, autor y hora), ver shared/annotations.js.
+ *
+ * Ejemplos de uso (en español):
+ * 1) const entry = annotations.itemAnnotations(all, item.id); entry.comments // hilo del item
+ * 2) annotations.annotationBadge(entry) // '💬 2 · 👍 3'
+ * 3) annotations.reactionSummary(entry, self) // [{ emoji, count, mine, names }, ...]
+ */
+export const annotations = window.PorfolioShared.annotations;
+
+/**
+ * Registro del service worker que guarda /api/items para cargar la lista sin red, ver shared/offline.js.
+ *
+ * Ejemplos de uso (en español):
+ * 1) offline.registerItemsWorker(window); // en el arranque de la app
+ * 2) offline.ITEMS_WORKER_URL // '/items-sw.js'
+ * 3) offline.registerItemsWorker(window).then((reg) => reg && reg.update());
+ */
+export const offline = window.PorfolioShared.offline;
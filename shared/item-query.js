@@ -0,0 +1,248 @@
+/**
+ * Búsqueda, orden y paginación de la lista de items en el cliente, compartidas por las tres apps.
+ *
+ * `/api/items` devuelve la lista completa y las apps la filtran en memoria. El estado de la vista
+ * (`{ q, sort, dir, page, size }`) se refleja en la query de la URL (`?q=gato&sort=title&page=2`) para que
+ * un enlace abra exactamente la misma vista; los valores por defecto no se escriben.
+ *
+ * UMD como protocol.js: con CommonJS se exporta con module.exports y en el navegador se publica en
+ * `window.PorfolioShared.itemQuery`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PorfolioShared = root.PorfolioShared || {};
+    root.PorfolioShared.itemQuery = factory();
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : window, function () {
+  'use strict';
+
+  /** Campos de orden; '' conserva el orden de la API (los shares nuevos quedan al principio). */
+  const SortFields = Object.freeze({
+    NONE: '',
+    ID: 'id',
+    CACHED_AT: 'cached_at',
+    TITLE: 'title'
+  });
+
+  /** Direcciones de orden. */
+  const SortDirections = Object.freeze({
+    ASC: 'asc',
+    DESC: 'desc'
+  });
+
+  /** Tamaños de página que ofrecen las apps. */
+  const PAGE_SIZES = Object.freeze([10, 20, 50, 100]);
+
+  /** Estado por defecto (sin parámetros en la URL). */
+  const DEFAULT_QUERY = Object.freeze({
+    q: '',
+    sort: SortFields.NONE,
+    dir: SortDirections.ASC,
+    page: 1,
+    size: 20
+  });
+
+  /** Parámetros de la URL que gestiona este módulo (el resto, p. ej. `room`, se conserva). */
+  const PARAMS = Object.freeze(['q', 'sort', 'dir', 'page', 'size']);
+
+  const MAX_QUERY_LENGTH = 100;
+
+  /**
+   * Normaliza un estado de vista parcial: valores desconocidos o fuera de rango vuelven al por defecto.
+   * @param {Object} [query]
+   * @returns {{q: string, sort: string, dir: string, page: number, size: number}}
+   *
+   * Ejemplos de uso (en español):
+   * 1) normalizeQuery({ sort: 'title' }); // { q: '', sort: 'title', dir: 'asc', page: 1, size: 20 }
+   * 2) normalizeQuery({ page: '-3', size: '7' }); // page 1, size 20
+   * 3) normalizeQuery(); // DEFAULT_QUERY
+   */
+  function normalizeQuery(query) {
+    const source = query && typeof query === 'object' ? query : {};
+    const q = typeof source.q === 'string' ? source.q.slice(0, MAX_QUERY_LENGTH) : DEFAULT_QUERY.q;
+    const sort = Object.values(SortFields).indexOf(source.sort) !== -1 ? source.sort : DEFAULT_QUERY.sort;
+    const dir = source.dir === SortDirections.DESC ? SortDirections.DESC : SortDirections.ASC;
+    const page = parseInt(source.page, 10);
+    const size = parseInt(source.size, 10);
+    return {
+      q: q,
+      sort: sort,
+      dir: dir,
+      page: Number.isFinite(page) && page >= 1 ? page : DEFAULT_QUERY.page,
+      size: PAGE_SIZES.indexOf(size) !== -1 ? size : DEFAULT_QUERY.size
+    };
+  }
+
+  /**
+   * Lee el estado de vista desde la query de una URL.
+   * @param {(string|URLSearchParams)} search - `location.search` o unos URLSearchParams.
+   * @returns {{q: string, sort: string, dir: string, page: number, size: number}}
+   *
+   * Ejemplos de uso (en español):
+   * 1) parseQuery(window.location.search); // estado inicial de la vista
+   * 2) parseQuery('?q=gato&sort=title&dir=desc&page=2');
+   * 3) parseQuery(''); // DEFAULT_QUERY
+   */
+  function parseQuery(search) {
+    const params = typeof search === 'string' ? new URLSearchParams(search) : search;
+    const query = {};
+    PARAMS.forEach(function (key) {
+      const value = params && params.get(key);
+      if (value !== null && value !== undefined) query[key] = value;
+    });
+    return normalizeQuery(query);
+  }
+
+  /**
+   * Escribe el estado de vista en una URL conservando el resto de parámetros; los valores por defecto se quitan.
+   * @param {string} href - URL actual (`location.href`).
+   * @param {Object} query
+   * @returns {string} URL nueva, para `history.replaceState`.
+   *
+   * Ejemplos de uso (en español):
+   * 1) history.replaceState(null, '', toUrl(location.href, query));
+   * 2) toUrl('http://x/?room=a', { q: 'gato' }); // 'http://x/?room=a&q=gato'
+   * 3) toUrl('http://x/?room=a&page=3', DEFAULT_QUERY); // 'http://x/?room=a'
+   */
+  function toUrl(href, query) {
+    const url = new URL(href);
+    const normalized = normalizeQuery(query);
+    PARAMS.forEach(function (key) {
+      const value = key === 'q' ? normalized.q.trim() : normalized[key];
+      if (value === DEFAULT_QUERY[key] || value === '') url.searchParams.delete(key);
+      else url.searchParams.set(key, String(value));
+    });
+    return url.toString();
+  }
+
+  /**
+   * Aplica un cambio al estado de vista: cambiar búsqueda, orden o tamaño vuelve a la página 1.
+   * @param {Object} query - Estado actual.
+   * @param {Object} patch - Campos que cambian.
+   * @returns {{q: string, sort: string, dir: string, page: number, size: number}}
+   *
+   * Ejemplos de uso (en español):
+   * 1) updateQuery(query, { q: 'gato' }); // page 1
+   * 2) updateQuery(query, { page: query.page + 1 }); // siguiente página
+   * 3) updateQuery(query, { sort: 'cached_at', dir: 'desc' }); // más recientes primero
+   */
+  function updateQuery(query, patch) {
+    const next = Object.assign({}, normalizeQuery(query), patch);
+    if (!patch || !Object.prototype.hasOwnProperty.call(patch, 'page')) next.page = 1;
+    return normalizeQuery(next);
+  }
+
+  function fold(value) {
+    return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  /**
+   * Filtra por texto: coincide si el título contiene el texto (sin distinguir mayúsculas ni acentos)
+   * o si el texto es el id (`12` o `#12`).
+   * @param {Array<Object>} items
+   * @param {string} q
+   * @returns {Array<Object>}
+   *
+   * Ejemplos de uso (en español):
+   * 1) filterItems(items, 'gato'); // títulos con "gato", "Gató"...
+   * 2) filterItems(items, '#12'); // el item con id 12 (y títulos que contengan "#12")
+   * 3) filterItems(items, ''); // todos
+   */
+  function filterItems(items, q) {
+    const list = Array.isArray(items) ? items : [];
+    const term = fold(typeof q === 'string' ? q.trim() : '');
+    if (!term) return list.slice();
+    const idTerm = term.replace(/^#/, '');
+    return list.filter(function (item) {
+      if (!item) return false;
+      if (idTerm && String(item.id) === idTerm) return true;
+      return typeof item.title === 'string' && fold(item.title).indexOf(term) !== -1;
+    });
+  }
+
+  function sortValue(item, field) {
+    const value = item ? item[field] : undefined;
+    if (value === null || value === undefined || value === '') return null;
+    if (field === SortFields.TITLE) return String(value);
+    const n = Number(value);
+    return Number.isFinite(n) ? n : String(value);
+  }
+
+  /**
+   * Ordena una copia de la lista (orden estable; los valores ausentes siempre al final).
+   * @param {Array<Object>} items
+   * @param {string} sort - Campo de SortFields ('' = orden de la API).
+   * @param {string} [dir] - 'asc' o 'desc'.
+   * @returns {Array<Object>}
+   *
+   * Ejemplos de uso (en español):
+   * 1) sortItems(items, 'title'); // alfabético (es)
+   * 2) sortItems(items, 'cached_at', 'desc'); // más recientes en caché primero
+   * 3) sortItems(items, ''); // copia sin reordenar
+   */
+  function sortItems(items, sort, dir) {
+    const list = Array.isArray(items) ? items.slice() : [];
+    if (!sort) return list;
+    const factor = dir === SortDirections.DESC ? -1 : 1;
+    return list
+      .map(function (item, index) { return { item: item, index: index, value: sortValue(item, sort) }; })
+      .sort(function (a, b) {
+        if (a.value === null || b.value === null) {
+          if (a.value === b.value) return a.index - b.index;
+          return a.value === null ? 1 : -1;
+        }
+        let diff;
+        if (typeof a.value === 'number' && typeof b.value === 'number') diff = a.value - b.value;
+        else diff = String(a.value).localeCompare(String(b.value), 'es', { sensitivity: 'base', numeric: true });
+        return diff !== 0 ? diff * factor : a.index - b.index;
+      })
+      .map(function (entry) { return entry.item; });
+  }
+
+  /**
+   * Filtra, ordena y pagina. La página pedida se ajusta al rango disponible sin tocar el estado
+   * (un enlace a la página 3 sigue valiendo mientras la lista carga).
+   * @param {Array<Object>} items
+   * @param {Object} query
+   * @returns {{items: Array<Object>, total: number, page: number, pageCount: number, start: number, end: number}}
+   *   `items` es la página visible; `start`/`end` son posiciones 1-based para "11–20 de 57".
+   *
+   * Ejemplos de uso (en español):
+   * 1) const view = applyQuery(items, query); view.items // filas a pintar
+   * 2) `${view.start}–${view.end} de ${view.total}`
+   * 3) view.page < view.pageCount // hay página siguiente
+   */
+  function applyQuery(items, query) {
+    const normalized = normalizeQuery(query);
+    const matched = sortItems(filterItems(items, normalized.q), normalized.sort, normalized.dir);
+    const total = matched.length;
+    const pageCount = Math.max(1, Math.ceil(total / normalized.size));
+    const page = Math.min(normalized.page, pageCount);
+    const offset = (page - 1) * normalized.size;
+    const pageItems = matched.slice(offset, offset + normalized.size);
+    return {
+      items: pageItems,
+      total: total,
+      page: page,
+      pageCount: pageCount,
+      start: total ? offset + 1 : 0,
+      end: offset + pageItems.length
+    };
+  }
+
+  return {
+    SortFields: SortFields,
+    SortDirections: SortDirections,
+    PAGE_SIZES: PAGE_SIZES,
+    DEFAULT_QUERY: DEFAULT_QUERY,
+    normalizeQuery: normalizeQuery,
+    parseQuery: parseQuery,
+    toUrl: toUrl,
+    updateQuery: updateQuery,
+    filterItems: filterItems,
+    sortItems: sortItems,
+    applyQuery: applyQuery
+  };
+}));
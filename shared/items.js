@@ -0,0 +1,164 @@
+/**
+ * Utilidades de presentación de items compartidas por las tres apps (Vue, React, AngularJS).
+ *
+ * Los items de /api/items vienen de la caché SQLite del backend:
+ *   { id, remote_id, title, url, thumbnailUrl, cached_at }
+ * (`cached_at` en segundos Unix). Aquí viven el placeholder de imagen, el formateo de metadatos y los
+ * modos de vista, para que las apps muestren exactamente lo mismo.
+ *
+ * UMD como protocol.js: con CommonJS se exporta con module.exports y en el navegador se publica en
+ * `window.PorfolioShared.items`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PorfolioShared = root.PorfolioShared || {};
+    root.PorfolioShared.items = factory();
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : window, function () {
+  'use strict';
+
+  /** Imagen que sustituye a las que no cargan (SVG en data URI, sin peticiones extra). */
+  const PLACEHOLDER_IMAGE = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="150" height="150" viewBox="0 0 150 150">' +
+    '<rect width="150" height="150" fill="#1f2937"/>' +
+    '<text x="75" y="80" fill="#9ca3af" font-family="sans-serif" font-size="14" text-anchor="middle">Sin imagen</text>' +
+    '</svg>'
+  );
+
+  /** Modos de vista de la lista. */
+  const ViewModes = Object.freeze({
+    LIST: 'list',
+    GRID: 'grid'
+  });
+
+  /** Clave de localStorage con el modo de vista elegido. */
+  const VIEW_MODE_STORAGE_KEY = 'porfolio.viewMode';
+
+  /** Texto para metadatos ausentes. */
+  const EMPTY_VALUE = '—';
+
+  /**
+   * Normaliza un modo de vista (cualquier valor desconocido es 'list').
+   * @param {*} mode
+   * @returns {string}
+   *
+   * Ejemplos de uso (en español):
+   * 1) normalizeViewMode('grid'); // 'grid'
+   * 2) normalizeViewMode(null); // 'list'
+   * 3) normalizeViewMode(localStorage.getItem(VIEW_MODE_STORAGE_KEY));
+   */
+  function normalizeViewMode(mode) {
+    return mode === ViewModes.GRID ? ViewModes.GRID : ViewModes.LIST;
+  }
+
+  /**
+   * Título visible de un item (los items de la API no traen `description`).
+   * @param {Object} item
+   * @returns {string}
+   */
+  function itemTitle(item) {
+    if (!item) return '';
+    if (typeof item.title === 'string' && item.title.trim()) return item.title;
+    return 'Item #' + item.id;
+  }
+
+  /**
+   * URL de la miniatura (o de la imagen completa si no hay miniatura); placeholder si no hay ninguna.
+   * @param {Object} item
+   * @returns {string}
+   */
+  function thumbnailSrc(item) {
+    return (item && (item.thumbnailUrl || item.url)) || PLACEHOLDER_IMAGE;
+  }
+
+  /**
+   * URL de la imagen completa (o de la miniatura si no hay otra); placeholder si no hay ninguna.
+   * @param {Object} item
+   * @returns {string}
+   */
+  function imageSrc(item) {
+    return (item && (item.url || item.thumbnailUrl)) || PLACEHOLDER_IMAGE;
+  }
+
+  /**
+   * Formatea `cached_at` (segundos Unix, como lo guarda el backend; también acepta milisegundos o ISO).
+   * @param {(number|string|null|undefined)} value
+   * @param {string} [locale] - Por defecto 'es-ES'.
+   * @returns {string} Fecha y hora locales, o '—' si falta o no es válida.
+   *
+   * Ejemplos de uso (en español):
+   * 1) formatCachedAt(1700000000); // '14/11/2023, 23:13:20' (según la zona horaria)
+   * 2) formatCachedAt('1700000000'); // igual (SQLite/PDO puede devolverlo como texto)
+   * 3) formatCachedAt(null); // '—'
+   */
+  function formatCachedAt(value, locale) {
+    if (value === null || value === undefined || value === '') return EMPTY_VALUE;
+    let ms;
+    if (typeof value === 'number' || /^\d+$/.test(String(value).trim())) {
+      const n = Number(value);
+      // Por debajo de ~año 5000 en segundos: se interpreta como segundos Unix
+      ms = n < 1e11 ? n * 1000 : n;
+    } else {
+      ms = Date.parse(String(value));
+    }
+    if (!Number.isFinite(ms)) return EMPTY_VALUE;
+    return new Date(ms).toLocaleString(locale || 'es-ES');
+  }
+
+  /**
+   * Formatea un metadato opcional (p. ej. `remote_id`).
+   * @param {*} value
+   * @returns {string}
+   */
+  function formatValue(value) {
+    return value === null || value === undefined || value === '' ? EMPTY_VALUE : String(value);
+  }
+
+  /**
+   * Busca un item por id en una lista.
+   * @param {Array<Object>} items
+   * @param {*} id
+   * @returns {(Object|null)}
+   */
+  function findItem(items, id) {
+    if (id === null || id === undefined || !Array.isArray(items)) return null;
+    for (let i = 0; i < items.length; i += 1) {
+      if (items[i] && items[i].id === id) return items[i];
+    }
+    return null;
+  }
+
+  /**
+   * Handler de 'error' de una <img>: la sustituye por el placeholder (una sola vez, para no entrar en bucle).
+   * @param {Event} event
+   * @returns {void}
+   *
+   * Ejemplos de uso (en español):
+   * 1) <img @error="handleImageError"> // Vue
+   * 2) <img onError={handleImageError} /> // React
+   * 3) element.on('error', handleImageError); // directiva AngularJS
+   */
+  function handleImageError(event) {
+    const img = event && (event.currentTarget || event.target);
+    if (!img || img.getAttribute('data-fallback') === '1') return;
+    img.setAttribute('data-fallback', '1');
+    img.classList.add('img-fallback');
+    img.src = PLACEHOLDER_IMAGE;
+  }
+
+  return {
+    PLACEHOLDER_IMAGE: PLACEHOLDER_IMAGE,
+    ViewModes: ViewModes,
+    VIEW_MODE_STORAGE_KEY: VIEW_MODE_STORAGE_KEY,
+    normalizeViewMode: normalizeViewMode,
+    itemTitle: itemTitle,
+    thumbnailSrc: thumbnailSrc,
+    imageSrc: imageSrc,
+    formatCachedAt: formatCachedAt,
+    formatValue: formatValue,
+    findItem: findItem,
+    handleImageError: handleImageError
+  };
+}));
@@ -0,0 +1,60 @@
+/**
+ * Registro del service worker de la lista (shared/public/items-sw.js), que guarda GET /api/items para
+ * que las apps carguen la lista sin red. Las apps de Vite lo publican en la raíz con `publicDir` y la de
+ * AngularJS lo copia en su Dockerfile; en todas se sirve como /items-sw.js.
+ *
+ * UMD como protocol.js: con CommonJS se exporta con module.exports y en el navegador se publica en
+ * `window.PorfolioShared.offline`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PorfolioShared = root.PorfolioShared || {};
+    root.PorfolioShared.offline = factory();
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : window, function () {
+  'use strict';
+
+  /** URL del service worker de la lista (en la raíz para que su scope sea toda la app). */
+  const ITEMS_WORKER_URL = '/items-sw.js';
+
+  /**
+   * Registra el service worker de la lista cuando la página ya cargó. Sin soporte (navegador antiguo,
+   * http sin localhost, tests con jsdom) no hace nada: la app funciona igual, solo que sin lista offline.
+   * @param {Window} win
+   * @param {{url?: string, logPrefix?: string}} [options]
+   * @returns {Promise<(ServiceWorkerRegistration|null)>} Registro, o null si no hay soporte o falla.
+   *
+   * Ejemplos de uso (en español):
+   * 1) offline.registerItemsWorker(window); // en el arranque de la app
+   * 2) offline.registerItemsWorker(window, { logPrefix: '[angular-app]' });
+   * 3) offline.registerItemsWorker(window).then(function (reg) { if (!reg) console.log('Sin lista offline'); });
+   */
+  function registerItemsWorker(win, options) {
+    const opts = options || {};
+    const logPrefix = opts.logPrefix || '[offline]';
+    if (!win || !win.navigator || !win.navigator.serviceWorker) return Promise.resolve(null);
+    return new Promise(function (resolve) {
+      if (win.document && win.document.readyState === 'complete') {
+        resolve();
+      } else {
+        // Después del load: el registro no compite con la carga inicial de la app
+        win.addEventListener('load', function () { resolve(); }, { once: true });
+      }
+    }).then(function () {
+      return win.navigator.serviceWorker.register(opts.url || ITEMS_WORKER_URL);
+    }).then(function (registration) {
+      console.log(logPrefix + ' Service worker de la lista registrado:', registration.scope);
+      return registration;
+    }, function (err) {
+      console.warn(logPrefix + ' No se pudo registrar el service worker de la lista:', err && err.message ? err.message : err);
+      return null;
+    });
+  }
+
+  return {
+    ITEMS_WORKER_URL: ITEMS_WORKER_URL,
+    registerItemsWorker: registerItemsWorker
+  };
+}));
@@ -0,0 +1,559 @@
+/**
+ * Protocolo de mensajes realtime compartido por el servidor (Node) y las tres apps (Vue, React, AngularJS).
+ *
+ * Cada mensaje viaja como un sobre (envelope) JSON:
+ *   { type, version, id, timestamp, sender, room?, payload }
+ * y el `payload` se valida según el esquema registrado para su `type`.
+ *
+ * El archivo es UMD: con CommonJS se exporta con module.exports (servicio realtime) y en el navegador
+ * se publica en `window.PorfolioShared.protocol` (AngularJS vía <script>, Vue/React vía import de efecto).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PorfolioShared = root.PorfolioShared || {};
+    root.PorfolioShared.protocol = factory();
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : window, function () {
+  'use strict';
+
+  /** Versión actual del sobre; mensajes con versión mayor se rechazan. */
+  const PROTOCOL_VERSION = 1;
+
+  /** Tipos de mensaje conocidos. */
+  const MessageTypes = Object.freeze({
+    SHARE_ITEM: 'share_item',
+    // Confirmación del servidor a quien compartió: `ref` = id del share y `seq` = número de orden asignado en la sala
+    SHARE_ACK: 'share_ack',
+    // Imagen subida o pegada en una pestaña: se difunde a la sala pero no queda en el historial
+    SHARE_IMAGE: 'share_image',
+    // Co-navegación: scroll, item bajo el ratón y puntero de una pestaña; frames efímeros que solo reenvía realtime
+    COBROWSE: 'cobrowse',
+    // Anotaciones de un item: comentario y reacción (emoji activado o retirado); realtime guarda un historial acotado
+    COMMENT: 'comment',
+    REACTION: 'reaction',
+    // Ping de aplicación del cliente y respuesta del servidor (`ref` = id del ping) para medir la latencia
+    PING: 'ping',
+    PONG: 'pong',
+    JOIN: 'join',
+    SNAPSHOT: 'snapshot',
+    PRESENCE: 'presence',
+    STATUS: 'status',
+    ERROR: 'error',
+    // Varios mensajes de la sala en un solo frame; solo lo reciben los clientes que anuncian la capacidad 'batch'
+    BATCH: 'batch'
+  });
+
+  /**
+   * Capacidades opcionales que un cliente anuncia al conectar (`?caps=batch`); el servidor confirma en el
+   * snapshot (`payload.capabilities`) las que va a usar con ese socket.
+   */
+  const Capabilities = Object.freeze({
+    BATCH: 'batch'
+  });
+
+  /** Códigos usados en los frames de error. */
+  const ErrorCodes = Object.freeze({
+    INVALID_JSON: 'invalid_json',
+    INVALID_ENVELOPE: 'invalid_envelope',
+    UNSUPPORTED_VERSION: 'unsupported_version',
+    UNKNOWN_TYPE: 'unknown_type',
+    INVALID_PAYLOAD: 'invalid_payload',
+    FORBIDDEN_TYPE: 'forbidden_type',
+    FORBIDDEN_ROLE: 'forbidden_role',
+    RATE_LIMITED: 'rate_limited',
+    MESSAGE_TOO_LARGE: 'message_too_large'
+  });
+
+  /** Estados del servicio anunciados en los frames `status`. */
+  const ServiceStates = Object.freeze({
+    OK: 'ok',
+    DEGRADED: 'degraded'
+  });
+
+  const MAX_ID_LENGTH = 128;
+
+  /** Formatos de imagen que se pueden compartir en base64. */
+  const IMAGE_MIME_TYPES = Object.freeze(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
+
+  /** Tamaño máximo (bytes ya decodificados) de una imagen compartida en base64. */
+  const MAX_IMAGE_BYTES = 256 * 1024;
+
+  const MAX_IMAGE_URL_LENGTH = 2048;
+
+  /** Longitud máxima del texto de un comentario. */
+  const MAX_COMMENT_LENGTH = 500;
+
+  /** Emojis con los que se puede reaccionar a un item (en el orden en que se muestran). */
+  const REACTION_EMOJIS = Object.freeze(['👍', '❤️', '😂', '😮', '🎉']);
+
+  /** Sala usada cuando no se indica ninguna. */
+  const DEFAULT_ROOM = 'default';
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function isShortString(value, max) {
+    return typeof value === 'string' && value.length > 0 && value.length <= (max || MAX_ID_LENGTH);
+  }
+
+  /**
+   * Esquemas de payload por tipo. Cada validador devuelve null si el payload es válido
+   * o un texto describiendo el problema.
+   * @type {Object<string, function(Object): (string|null)>}
+   */
+  const schemas = {};
+
+  /**
+   * Registra (o reemplaza) el validador de payload para un tipo de mensaje.
+   * @param {string} type - Nombre del tipo, p. ej. 'share_item'.
+   * @param {function(Object): (string|null)} validate - Devuelve null si es válido o el motivo del rechazo.
+   * @returns {void}
+   *
+   * Ejemplos de uso (en español):
+   * 1) registerType('ping', () => null); // tipo sin payload obligatorio
+   * 2) registerType('comment', (p) => (typeof p.text === 'string' ? null : 'text requerido'));
+   * 3) // los tipos futuros se añaden aquí sin tocar parseMessage
+   */
+  function registerType(type, validate) {
+    if (!isShortString(type, 64)) throw new TypeError('type debe ser un texto no vacío');
+    if (typeof validate !== 'function') throw new TypeError('validate debe ser una función');
+    schemas[type] = validate;
+  }
+
+  function isUser(value) {
+    return isPlainObject(value) && isShortString(value.id) && isShortString(value.name, 64);
+  }
+
+  function isSeq(value) {
+    return typeof value === 'number' && isFinite(value) && value >= 1 && Math.floor(value) === value;
+  }
+
+  registerType(MessageTypes.SHARE_ITEM, function (payload) {
+    if (!isPlainObject(payload.item)) return 'payload.item debe ser un objeto';
+    const id = payload.item.id;
+    if (!(typeof id === 'number' && isFinite(id)) && !isShortString(id)) return 'payload.item.id debe ser un número o texto';
+    if (payload.sharedBy !== undefined && !isUser(payload.sharedBy)) return 'payload.sharedBy debe ser { id, name }';
+    if (payload.seq !== undefined && !isSeq(payload.seq)) return 'payload.seq debe ser un entero positivo';
+    return null;
+  });
+
+  registerType(MessageTypes.SHARE_ACK, function (payload) {
+    if (!isShortString(payload.ref)) return 'payload.ref debe ser el id del share';
+    if (!isSeq(payload.seq)) return 'payload.seq debe ser un entero positivo';
+    return null;
+  });
+
+  /**
+   * Orden de dos shares de una sala (última escritura gana): gana el `seq` mayor que asigna el servidor y,
+   * con el mismo `seq` (dos réplicas numerando a la vez), el id de sobre mayor. Un share sin `seq`
+   * (servidor antiguo) se considera el más reciente, como antes de numerarlos.
+   * @param {({seq?: number, id: string}|null)} candidate - Share recibido o confirmado.
+   * @param {({seq?: number, id: string}|null)} current - Share vigente; null si la sala no tiene ninguno.
+   * @returns {boolean} true si `candidate` debe reemplazar a `current`.
+   *
+   * Ejemplos de uso (en español):
+   * 1) isNewerShare({ seq: 8, id: 'b' }, { seq: 7, id: 'z' }); // true
+   * 2) isNewerShare({ seq: 7, id: 'a' }, { seq: 7, id: 'b' }); // false: empate, gana el id mayor
+   * 3) // el servidor lo usa para el item actual de la sala y el cliente para revertir la selección optimista
+   */
+  function isNewerShare(candidate, current) {
+    if (!candidate) return false;
+    if (!current || !isSeq(candidate.seq) || !isSeq(current.seq)) return true;
+    if (candidate.seq !== current.seq) return candidate.seq > current.seq;
+    return String(candidate.id) > String(current.id);
+  }
+
+  /**
+   * Bytes que ocupa un texto base64 una vez decodificado.
+   * @param {string} data - Base64 sin prefijo `data:`.
+   * @returns {number}
+   *
+   * Ejemplos de uso (en español):
+   * 1) base64ByteLength('aGVsbG8='); // 5
+   * 2) base64ByteLength(image.image_base64) <= MAX_IMAGE_BYTES
+   * 3) // no decodifica: solo cuenta caracteres y relleno
+   */
+  function base64ByteLength(data) {
+    if (typeof data !== 'string') return 0;
+    const padding = data.endsWith('==') ? 2 : (data.endsWith('=') ? 1 : 0);
+    return Math.floor(data.length * 3 / 4) - padding;
+  }
+
+  /**
+   * Valida la imagen de un share_image: `{ type: 'url', url }` (http/https) o
+   * `{ type: 'base64', image_base64, mime, name? }` con formato y tamaño admitidos.
+   * Son los mismos dos formatos que acepta POST /api/share (`url` o `image_base64`).
+   * @param {*} image
+   * @returns {(string|null)} null si es válida o el motivo del rechazo.
+   *
+   * Ejemplos de uso (en español):
+   * 1) validateImage({ type: 'url', url: 'https://via.placeholder.com/600' }); // null
+   * 2) validateImage({ type: 'base64', image_base64: '...', mime: 'image/bmp' }); // 'image.mime no admitido...'
+   * 3) // la usan el servidor (al validar el sobre) y las apps antes de enviar
+   */
+  function validateImage(image) {
+    if (!isPlainObject(image)) return 'payload.image debe ser un objeto';
+    if (image.name !== undefined && (typeof image.name !== 'string' || image.name.length > MAX_ID_LENGTH)) {
+      return 'image.name debe ser un texto de hasta ' + MAX_ID_LENGTH + ' caracteres';
+    }
+    if (image.type === 'url') {
+      if (!isShortString(image.url, MAX_IMAGE_URL_LENGTH) || !/^https?:\/\//i.test(image.url)) {
+        return 'image.url debe ser una URL http(s) de hasta ' + MAX_IMAGE_URL_LENGTH + ' caracteres';
+      }
+      return null;
+    }
+    if (image.type === 'base64') {
+      if (IMAGE_MIME_TYPES.indexOf(image.mime) === -1) {
+        return 'image.mime no admitido (usa ' + IMAGE_MIME_TYPES.join(', ') + ')';
+      }
+      if (typeof image.image_base64 !== 'string' || !image.image_base64 || !/^[A-Za-z0-9+/]+={0,2}$/.test(image.image_base64)) {
+        return 'image.image_base64 debe ser base64 sin prefijo data:';
+      }
+      if (base64ByteLength(image.image_base64) > MAX_IMAGE_BYTES) {
+        return 'La imagen supera el máximo de ' + Math.round(MAX_IMAGE_BYTES / 1024) + ' KB';
+      }
+      return null;
+    }
+    return "image.type debe ser 'url' o 'base64'";
+  }
+
+  registerType(MessageTypes.SHARE_IMAGE, function (payload) {
+    const problem = validateImage(payload.image);
+    if (problem) return problem;
+    if (payload.sharedBy !== undefined && !isUser(payload.sharedBy)) return 'payload.sharedBy debe ser { id, name }';
+    return null;
+  });
+
+  function isRatio(value) {
+    return typeof value === 'number' && isFinite(value) && value >= 0 && value <= 1;
+  }
+
+  registerType(MessageTypes.COBROWSE, function (payload) {
+    if (typeof payload.active !== 'boolean') return 'payload.active debe ser true o false';
+    if (payload.scroll !== undefined && !isRatio(payload.scroll)) return 'payload.scroll debe ser un número entre 0 y 1';
+    if (payload.hover !== undefined && payload.hover !== null) {
+      const hover = payload.hover;
+      if (!(typeof hover === 'number' && isFinite(hover)) && !isShortString(hover)) return 'payload.hover debe ser un id de item o null';
+    }
+    if (payload.pointer !== undefined && payload.pointer !== null) {
+      if (!isPlainObject(payload.pointer) || !isRatio(payload.pointer.x) || !isRatio(payload.pointer.y)) {
+        return 'payload.pointer debe ser { x, y } con valores entre 0 y 1, o null';
+      }
+    }
+    if (payload.user !== undefined && !isUser(payload.user)) return 'payload.user debe ser { id, name }';
+    return null;
+  });
+
+  function isItemId(value) {
+    return (typeof value === 'number' && isFinite(value)) || isShortString(value);
+  }
+
+  registerType(MessageTypes.COMMENT, function (payload) {
+    if (!isItemId(payload.itemId)) return 'payload.itemId debe ser el id de un item';
+    if (typeof payload.text !== 'string' || !payload.text.trim() || payload.text.length > MAX_COMMENT_LENGTH) {
+      return 'payload.text debe ser un texto de 1 a ' + MAX_COMMENT_LENGTH + ' caracteres';
+    }
+    if (payload.sharedBy !== undefined && !isUser(payload.sharedBy)) return 'payload.sharedBy debe ser { id, name }';
+    return null;
+  });
+
+  registerType(MessageTypes.REACTION, function (payload) {
+    if (!isItemId(payload.itemId)) return 'payload.itemId debe ser el id de un item';
+    if (REACTION_EMOJIS.indexOf(payload.emoji) === -1) return 'payload.emoji no admitido (usa ' + REACTION_EMOJIS.join(' ') + ')';
+    if (typeof payload.active !== 'boolean') return 'payload.active debe ser true o false';
+    if (payload.sharedBy !== undefined && !isUser(payload.sharedBy)) return 'payload.sharedBy debe ser { id, name }';
+    return null;
+  });
+
+  registerType(MessageTypes.PING, function () {
+    return null;
+  });
+
+  registerType(MessageTypes.PONG, function (payload) {
+    if (!isShortString(payload.ref)) return 'payload.ref debe ser el id del ping';
+    return null;
+  });
+
+  registerType(MessageTypes.JOIN, function (payload) {
+    if (!isShortString(payload.room, 64)) return 'payload.room debe ser un texto de hasta 64 caracteres';
+    if (payload.name !== undefined && typeof payload.name !== 'string') return 'payload.name debe ser un texto';
+    return null;
+  });
+
+  registerType(MessageTypes.PRESENCE, function (payload) {
+    if (payload.event !== 'join' && payload.event !== 'leave') return "payload.event debe ser 'join' o 'leave'";
+    if (!isUser(payload.user)) return 'payload.user debe ser { id, name }';
+    return null;
+  });
+
+  registerType(MessageTypes.SNAPSHOT, function (payload) {
+    if (!isShortString(payload.room, 64)) return 'payload.room es obligatorio';
+    if (payload.current !== null && !isPlainObject(payload.current)) return 'payload.current debe ser un objeto o null';
+    if (!Array.isArray(payload.history)) return 'payload.history debe ser una lista';
+    if (payload.users !== undefined && !Array.isArray(payload.users)) return 'payload.users debe ser una lista';
+    if (payload.role !== undefined && !isShortString(payload.role, 32)) return 'payload.role debe ser un texto';
+    if (payload.annotations !== undefined && !isPlainObject(payload.annotations)) return 'payload.annotations debe ser un objeto';
+    if (payload.capabilities !== undefined && !Array.isArray(payload.capabilities)) return 'payload.capabilities debe ser una lista';
+    if (payload.currentSeq !== undefined && payload.currentSeq !== null && !isSeq(payload.currentSeq)) {
+      return 'payload.currentSeq debe ser un entero positivo o null';
+    }
+    return null;
+  });
+
+  // Cada mensaje del lote es un sobre completo: quien lo recibe lo valida con validateMessage
+  registerType(MessageTypes.BATCH, function (payload) {
+    if (!Array.isArray(payload.messages) || !payload.messages.length) return 'payload.messages debe ser una lista no vacía';
+    if (!payload.messages.every(isPlainObject)) return 'payload.messages debe contener sobres';
+    return null;
+  });
+
+  registerType(MessageTypes.STATUS, function (payload) {
+    if (payload.state !== ServiceStates.OK && payload.state !== ServiceStates.DEGRADED) {
+      return 'payload.state debe ser "ok" o "degraded"';
+    }
+    if (payload.reason !== undefined && typeof payload.reason !== 'string') return 'payload.reason debe ser un texto';
+    return null;
+  });
+
+  registerType(MessageTypes.ERROR, function (payload) {
+    if (!isShortString(payload.code, 64)) return 'payload.code es obligatorio';
+    if (typeof payload.message !== 'string') return 'payload.message es obligatorio';
+    return null;
+  });
+
+  /**
+   * Normaliza el nombre de una sala: recorta, pasa a minúsculas y deja solo [a-z0-9_-] (máx. 64).
+   * Si el resultado queda vacío se usa `fallback` (por defecto DEFAULT_ROOM).
+   * @param {*} name - Nombre de sala recibido (query string, formulario, mensaje o cola).
+   * @param {string} [fallback]
+   * @returns {string}
+   *
+   * Ejemplos de uso (en español):
+   * 1) normalizeRoom(' Equipo-A '); // 'equipo-a'
+   * 2) normalizeRoom(undefined); // 'default'
+   * 3) normalizeRoom('demo/../x'); // 'demox' (se descartan caracteres no permitidos)
+   */
+  function normalizeRoom(name, fallback) {
+    const defaultRoom = fallback || DEFAULT_ROOM;
+    if (typeof name !== 'string') return defaultRoom;
+    const clean = name.trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, 64);
+    return clean || defaultRoom;
+  }
+
+  /**
+   * Limpia un nombre visible: recorta, quita caracteres de control y limita a 32 caracteres.
+   * @param {*} name
+   * @returns {string} Nombre limpio o '' si no es utilizable.
+   *
+   * Ejemplos de uso (en español):
+   * 1) normalizeDisplayName('  Ana  '); // 'Ana'
+   * 2) normalizeDisplayName(42); // ''
+   * 3) // el servidor genera un nombre de invitado cuando el resultado es ''
+   */
+  function normalizeDisplayName(name) {
+    if (typeof name !== 'string') return '';
+    return name.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, 32);
+  }
+
+  /**
+   * Capacidades conocidas anunciadas por un cliente, sin repetir; las desconocidas se ignoran.
+   * @param {*} value - Lista separada por comas (query `caps`) o array.
+   * @returns {Array<string>}
+   *
+   * Ejemplos de uso (en español):
+   * 1) parseCapabilities('batch'); // ['batch']
+   * 2) parseCapabilities('batch, zstd,batch'); // ['batch'] (zstd no se conoce)
+   * 3) parseCapabilities(null); // []
+   */
+  function parseCapabilities(value) {
+    const list = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+    const known = Object.keys(Capabilities).map(function (key) { return Capabilities[key]; });
+    const result = [];
+    list.forEach(function (entry) {
+      const name = typeof entry === 'string' ? entry.trim().toLowerCase() : '';
+      if (known.indexOf(name) !== -1 && result.indexOf(name) === -1) result.push(name);
+    });
+    return result;
+  }
+
+  /**
+   * Genera un identificador aleatorio para mensajes y remitentes.
+   * @returns {string}
+   *
+   * Ejemplos de uso (en español):
+   * 1) const senderId = createId(); // identificar la pestaña
+   * 2) createMessage(type, payload, { id: createId() });
+   * 3) // usa crypto.randomUUID cuando está disponible
+   */
+  function createId() {
+    const c = typeof globalThis !== 'undefined' ? globalThis.crypto : undefined;
+    if (c && typeof c.randomUUID === 'function') return c.randomUUID();
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+  }
+
+  /**
+   * Construye un sobre de mensaje con los campos obligatorios rellenos.
+   * @param {string} type - Tipo de mensaje.
+   * @param {Object} [payload] - Contenido específico del tipo.
+   * @param {{sender?: string, room?: string, id?: string, timestamp?: number}} [options]
+   * @returns {{type: string, version: number, id: string, timestamp: number, sender: string, room?: string, payload: Object}}
+   *
+   * Ejemplos de uso (en español):
+   * 1) createMessage('share_item', { item }, { sender: senderId });
+   * 2) createMessage('join', { room: 'equipo-a' }, { sender: senderId });
+   * 3) createMessage('error', { code: 'invalid_json', message: '...' }, { sender: 'realtime' });
+   */
+  function createMessage(type, payload, options) {
+    const opts = options || {};
+    const message = {
+      type: type,
+      version: PROTOCOL_VERSION,
+      id: opts.id || createId(),
+      timestamp: typeof opts.timestamp === 'number' ? opts.timestamp : Date.now(),
+      sender: opts.sender || 'anonymous',
+      payload: payload || {}
+    };
+    if (opts.room) message.room = opts.room;
+    return message;
+  }
+
+  /**
+   * Construye un frame de error estructurado.
+   * @param {string} code - Uno de ErrorCodes.
+   * @param {string} message - Descripción legible del problema.
+   * @param {string|null} [ref] - Id del mensaje que originó el error, si se conoce.
+   * @param {string} [sender] - Remitente del frame (por defecto 'realtime').
+   * @returns {Object}
+   *
+   * Ejemplos de uso (en español):
+   * 1) createError('invalid_json', 'El mensaje no es JSON');
+   * 2) createError('invalid_payload', 'payload.item debe ser un objeto', msg.id);
+   * 3) ws.send(serializeMessage(createError(...))); // responder solo al emisor
+   */
+  function createError(code, message, ref, sender) {
+    return createMessage(MessageTypes.ERROR, { code: code, message: message, ref: ref || null }, { sender: sender || 'realtime' });
+  }
+
+  function fail(code, message, ref) {
+    return { ok: false, message: null, error: { code: code, message: message, ref: ref || null } };
+  }
+
+  /**
+   * Valida un sobre ya deserializado: campos obligatorios, versión, tipo conocido y payload.
+   * @param {*} message - Objeto a validar.
+   * @returns {{ok: boolean, message: (Object|null), error: (null|{code: string, message: string, ref: (string|null)})}}
+   *
+   * Ejemplos de uso (en español):
+   * 1) validateMessage(createMessage('share_item', { item: { id: 1 } })).ok; // true
+   * 2) validateMessage({ action: 'share_item' }).error.code; // 'invalid_envelope'
+   * 3) // usado por parseMessage tras JSON.parse
+   */
+  function validateMessage(message) {
+    if (!isPlainObject(message)) return fail(ErrorCodes.INVALID_ENVELOPE, 'El mensaje debe ser un objeto');
+    const ref = isShortString(message.id) ? message.id : null;
+    if (!isShortString(message.type, 64)) return fail(ErrorCodes.INVALID_ENVELOPE, 'type es obligatorio', ref);
+    if (typeof message.version !== 'number' || message.version < 1 || Math.floor(message.version) !== message.version) {
+      return fail(ErrorCodes.INVALID_ENVELOPE, 'version debe ser un entero positivo', ref);
+    }
+    if (message.version > PROTOCOL_VERSION) {
+      return fail(ErrorCodes.UNSUPPORTED_VERSION, 'Versión ' + message.version + ' no soportada (máx. ' + PROTOCOL_VERSION + ')', ref);
+    }
+    if (!ref) return fail(ErrorCodes.INVALID_ENVELOPE, 'id es obligatorio');
+    if (typeof message.timestamp !== 'number' || !isFinite(message.timestamp)) {
+      return fail(ErrorCodes.INVALID_ENVELOPE, 'timestamp debe ser un número (ms)', ref);
+    }
+    if (!isShortString(message.sender)) return fail(ErrorCodes.INVALID_ENVELOPE, 'sender es obligatorio', ref);
+    if (message.room !== undefined && !isShortString(message.room, 64)) {
+      return fail(ErrorCodes.INVALID_ENVELOPE, 'room debe ser un texto de hasta 64 caracteres', ref);
+    }
+    if (!isPlainObject(message.payload)) return fail(ErrorCodes.INVALID_ENVELOPE, 'payload debe ser un objeto', ref);
+
+    const validate = schemas[message.type];
+    if (!validate) return fail(ErrorCodes.UNKNOWN_TYPE, 'Tipo de mensaje desconocido: ' + message.type, ref);
+    const problem = validate(message.payload);
+    if (problem) return fail(ErrorCodes.INVALID_PAYLOAD, problem, ref);
+
+    return { ok: true, message: message, error: null };
+  }
+
+  /**
+   * Deserializa y valida un mensaje crudo (texto, Buffer o ArrayBuffer).
+   * @param {string|{toString: function(): string}} raw - Mensaje recibido por WS o desde la cola.
+   * @returns {{ok: boolean, message: (Object|null), error: (null|{code: string, message: string, ref: (string|null)})}}
+   *
+   * Ejemplos de uso (en español):
+   * 1) const res = parseMessage(ev.data); if (res.ok) handle(res.message);
+   * 2) parseMessage('no json').error.code; // 'invalid_json'
+   * 3) // en el servidor: parseMessage(buffer) con el Buffer que entrega ws
+   */
+  function parseMessage(raw) {
+    let data;
+    try {
+      data = JSON.parse(typeof raw === 'string' ? raw : String(raw));
+    } catch (e) {
+      return fail(ErrorCodes.INVALID_JSON, 'El mensaje no es JSON válido');
+    }
+    return validateMessage(data);
+  }
+
+  /**
+   * Serializa un sobre para enviarlo por WS o publicarlo en la cola.
+   * @param {Object} message
+   * @returns {string}
+   *
+   * Ejemplos de uso (en español):
+   * 1) ws.send(serializeMessage(createMessage('share_item', { item })));
+   * 2) channel.sendToQueue(queue, Buffer.from(serializeMessage(msg)));
+   * 3) // equivalente a JSON.stringify, centralizado por si cambia el formato
+   */
+  function serializeMessage(message) {
+    return JSON.stringify(message);
+  }
+
+  /**
+   * Serializa un frame `batch` con mensajes ya serializados, sin volver a parsearlos ni serializarlos.
+   * @param {Array<string>} frames - Sobres serializados con serializeMessage, en orden.
+   * @param {{sender?: string}} [options] - Ver createMessage.
+   * @returns {string}
+   *
+   * Ejemplos de uso (en español):
+   * 1) ws.send(serializeBatch([share, presence], { sender: 'realtime' }));
+   * 2) JSON.parse(serializeBatch(['{"type":"ping",...}'])).payload.messages.length; // 1
+   * 3) // el cliente procesa cada mensaje del lote como si hubiera llegado solo
+   */
+  function serializeBatch(frames, options) {
+    const envelope = serializeMessage(createMessage(MessageTypes.BATCH, { messages: [] }, options));
+    // Con una función de reemplazo los `$` de los mensajes no se interpretan como patrones
+    return envelope.replace('"messages":[]', function () { return '"messages":[' + frames.join(',') + ']'; });
+  }
+
+  return {
+    PROTOCOL_VERSION: PROTOCOL_VERSION,
+    DEFAULT_ROOM: DEFAULT_ROOM,
+    IMAGE_MIME_TYPES: IMAGE_MIME_TYPES,
+    MAX_IMAGE_BYTES: MAX_IMAGE_BYTES,
+    MAX_COMMENT_LENGTH: MAX_COMMENT_LENGTH,
+    REACTION_EMOJIS: REACTION_EMOJIS,
+    MessageTypes: MessageTypes,
+    ErrorCodes: ErrorCodes,
+    ServiceStates: ServiceStates,
+    Capabilities: Capabilities,
+    registerType: registerType,
+    base64ByteLength: base64ByteLength,
+    validateImage: validateImage,
+    isNewerShare: isNewerShare,
+    normalizeRoom: normalizeRoom,
+    normalizeDisplayName: normalizeDisplayName,
+    parseCapabilities: parseCapabilities,
+    createId: createId,
+    createMessage: createMessage,
+    createError: createError,
+    validateMessage: validateMessage,
+    parseMessage: parseMessage,
+    serializeMessage: serializeMessage,
+    serializeBatch: serializeBatch
+  };
+}));
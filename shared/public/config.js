@@ -0,0 +1,9 @@
+/**
+ * Configuración runtime de las tres apps, cargada antes que la app (<script src="/config.js">).
+ *
+ * `window.WS_TOKEN` es un token fijo de realtime solo para desarrollo: si está vacío (lo normal) cada pestaña
+ * pide uno de corta duración a POST /api/realtime-token. Se sirve tal cual (sin token: con Vite puede salir de
+ * VITE_WS_TOKEN) y en los contenedores nginx lo reescribe al arrancar docker/40-realtime-config.sh con el
+ * WS_TOKEN del entorno.
+ */
+window.WS_TOKEN = window.WS_TOKEN || '';
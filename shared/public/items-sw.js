@@ -0,0 +1,55 @@
+/**
+ * Service worker de las tres apps: guarda la última respuesta buena de GET /api/items para que la lista
+ * cargue sin red (backend caído o navegador offline).
+ *
+ * Red primero: con red la lista siempre es la del backend y la copia en caché se renueva; si la petición
+ * falla o el backend responde 5xx, se sirve la última copia guardada. El resto de peticiones no se tocan.
+ * Se sirve en la raíz del sitio (/items-sw.js, ver shared/offline.js) para que su scope cubra toda la app.
+ */
+'use strict';
+
+// Cambiar la versión descarta las copias de versiones anteriores al activarse el worker
+const CACHE_NAME = 'porfolio-items-v1';
+const ITEMS_PATH = '/api/items';
+
+self.addEventListener('install', function () {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', function (event) {
+  event.waitUntil(caches.keys().then(function (names) {
+    return Promise.all(names
+      .filter(function (name) { return name.indexOf('porfolio-items-') === 0 && name !== CACHE_NAME; })
+      .map(function (name) { return caches.delete(name); }));
+  }).then(function () {
+    return self.clients.claim();
+  }));
+});
+
+function fromCache(request, response) {
+  return caches.open(CACHE_NAME).then(function (cache) {
+    return cache.match(request);
+  }).then(function (cached) {
+    if (cached) return cached;
+    if (response) return response;
+    return new Response(JSON.stringify({ message: 'Sin conexión y sin copia de la lista' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  });
+}
+
+self.addEventListener('fetch', function (event) {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).pathname !== ITEMS_PATH) return;
+  event.respondWith(fetch(request).then(function (response) {
+    if (response.status >= 500) return fromCache(request, response);
+    if (response.ok) {
+      const copy = response.clone();
+      event.waitUntil(caches.open(CACHE_NAME).then(function (cache) { return cache.put(request, copy); }));
+    }
+    return response;
+  }, function () {
+    return fromCache(request, null);
+  }));
+});
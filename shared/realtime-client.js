@@ -0,0 +1,1239 @@
+/**
+ * Cliente realtime independiente del framework, usado por las apps Vue, React y AngularJS.
+ *
+ * Encapsula la conexión WebSocket con el servicio realtime, la reconexión con backoff exponencial,
+ * el protocolo de mensajes (shared/protocol.js) y el fallback HTTP a /api/share. Expone una API de
+ * eventos (on/off) para que cada app solo tenga que adaptar el estado a su framework.
+ *
+ * UMD como protocol.js: con CommonJS se exporta con module.exports y en el navegador se publica en
+ * `window.PorfolioShared.realtimeClient` (requiere cargar antes shared/protocol.js y shared/annotations.js).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./protocol'), require('./annotations'));
+  } else {
+    root.PorfolioShared = root.PorfolioShared || {};
+    root.PorfolioShared.realtimeClient = factory(root.PorfolioShared.protocol, root.PorfolioShared.annotations);
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : window, function (protocol, annotationUtils) {
+  'use strict';
+
+  if (!protocol) throw new Error('[realtime-client] shared/protocol.js debe cargarse antes');
+  if (!annotationUtils) throw new Error('[realtime-client] shared/annotations.js debe cargarse antes');
+
+  const MessageTypes = protocol.MessageTypes;
+
+  /** Subprotocolo de la app y prefijo con el que viaja el token en Sec-WebSocket-Protocol. */
+  const APP_SUBPROTOCOL = 'porfolio';
+  const TOKEN_SUBPROTOCOL_PREFIX = 'auth.';
+
+  /** Estados de conexión emitidos en el evento 'status'. */
+  const Status = Object.freeze({
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    OPEN: 'open',
+    CLOSED: 'closed'
+  });
+
+  const DEFAULTS = {
+    url: 'ws://localhost:3000',
+    room: protocol.DEFAULT_ROOM,
+    shareEndpoint: '/api/share',
+    initialReconnectDelay: 1000,
+    maxReconnectDelay: 30000,
+    outboxKey: 'porfolio.outbox',
+    outboxLimit: 50,
+    // Tiempo que se muestra una imagen compartida antes de ocultarse sola (no se guarda en ningún sitio)
+    imageTtlMs: 60000,
+    // Co-navegación: como mucho un frame `cobrowse` cada este intervalo (los cambios intermedios se agrupan)
+    cobrowseIntervalMs: 100,
+    // Ping de aplicación con el socket abierto para medir la latencia (ida y vuelta)
+    pingIntervalMs: 15000,
+    // Capacidades que se anuncian al conectar (?caps=): con 'batch' el servidor puede agrupar mensajes en un frame
+    capabilities: [protocol.Capabilities.BATCH],
+    // BroadcastChannel entre pestañas del mismo navegador: transporte local de los shares sin WS ('' = sin canal)
+    channelName: 'porfolio.realtime',
+    // Ids de shares recibidos por el canal que se recuerdan para no aplicarlos otra vez cuando llegan por WS
+    channelDedupeLimit: 100,
+    tokenTransport: 'protocol',
+    logPrefix: '[realtime-client]'
+  };
+
+  /**
+   * Normaliza un item compartido: si el id es un texto numérico lo convierte a número,
+   * para que las comparaciones estrictas con los items de /api/items no fallen.
+   * @param {Object} item
+   * @returns {Object} Copia superficial del item con el id normalizado.
+   *
+   * Ejemplos de uso (en español):
+   * 1) normalizeItem({ id: '5', title: 'x' }); // { id: 5, title: 'x' }
+   * 2) normalizeItem({ id: 'abc' }); // { id: 'abc' } (no numérico, se deja igual)
+   * 3) // aplicado por el cliente a cada share_item recibido
+   */
+  function normalizeItem(item) {
+    const copy = Object.assign({}, item);
+    if (typeof copy.id === 'string' && copy.id.trim() !== '') {
+      const n = Number(copy.id);
+      if (!Number.isNaN(n)) copy.id = n;
+    }
+    return copy;
+  }
+
+  /**
+   * Almacenamiento por defecto del outbox: localStorage si existe, si no un Map en memoria
+   * con la misma interfaz (getItem/setItem).
+   * @returns {{getItem: function(string): (string|null), setItem: function(string, string): void}}
+   */
+  function defaultStorage() {
+    try {
+      if (typeof localStorage !== 'undefined' && localStorage) return localStorage;
+    } catch (e) { /* acceso denegado (p. ej. cookies bloqueadas) */ }
+    const memory = new Map();
+    return {
+      getItem: function (key) { return memory.has(key) ? memory.get(key) : null; },
+      setItem: function (key, value) { memory.set(key, value); }
+    };
+  }
+
+  /**
+   * POST JSON por defecto usando fetch (el fallback HTTP no depende de axios ni de $http).
+   * @param {string} url
+   * @param {Object} body
+   * @param {Object} [headers] - Cabeceras extra (Authorization con el token).
+   * @returns {Promise<void>}
+   */
+  function defaultHttpPost(url, body, headers) {
+    return fetch(url, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+      body: JSON.stringify(body)
+    }).then(function (res) {
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+    });
+  }
+
+  /**
+   * Crea un cliente realtime. No conecta hasta llamar a connect().
+   * @param {Object} [options]
+   * @param {string} [options.url] - URL base del servidor WS (se añade ?room=).
+   * @param {string} [options.room] - Sala inicial.
+   * @param {string} [options.name] - Nombre visible para la presencia (si falta, el servidor genera uno).
+   * @param {string} [options.sender] - Identificador de remitente (por defecto uno aleatorio).
+   * @param {(string|function(): (string|Promise<string>))} [options.token] - Token de acceso firmado; si es una
+   *   función se llama en cada conexión y en cada POST del fallback (permite renovarlo, ver createTokenSource).
+   * @param {('protocol'|'query')} [options.tokenTransport] - Envío del token: subprotocolo `auth.<token>`
+   *   (por defecto, no queda en logs de URL) o `?token=`.
+   * @param {string} [options.shareEndpoint] - Endpoint del fallback HTTP.
+   * @param {number} [options.initialReconnectDelay] - Primer retardo de reconexión (ms).
+   * @param {number} [options.maxReconnectDelay] - Retardo máximo de reconexión (ms).
+   * @param {Function} [options.WebSocket] - Implementación de WebSocket (por defecto la global).
+   * @param {function(string, Object, Object): Promise<void>} [options.httpPost] - POST JSON para el fallback
+   *   (url, cuerpo y cabeceras: `Authorization: Bearer <token>` si hay token, que el backend verifica).
+   * @param {{getItem: Function, setItem: Function}} [options.storage] - Almacén del outbox (por defecto localStorage).
+   * @param {string} [options.outboxKey] - Clave del outbox en el almacén.
+   * @param {number} [options.outboxLimit] - Máximo de shares pendientes (se descartan los más antiguos).
+   * @param {number} [options.imageTtlMs] - Milisegundos que dura la imagen compartida antes de descartarse.
+   * @param {number} [options.cobrowseIntervalMs] - Intervalo mínimo entre frames de co-navegación.
+   * @param {number} [options.pingIntervalMs] - Intervalo entre pings de aplicación (medida de latencia).
+   * @param {Array<string>} [options.capabilities] - Capacidades anunciadas al servidor (protocol.Capabilities).
+   * @param {string} [options.channelName] - Nombre del BroadcastChannel con las otras pestañas ('' lo desactiva).
+   * @param {number} [options.channelDedupeLimit] - Shares recibidos por el canal que se recuerdan para descartarlos por WS.
+   * @param {Function} [options.BroadcastChannel] - Implementación de BroadcastChannel (por defecto la global).
+   * @param {string} [options.logPrefix] - Prefijo de los logs de consola.
+   * @returns {Object} Cliente con connect, close, reconnectNow, share, shareImage, dismissImage, comment, react,
+   *   setCobrowse, updateCobrowse, join, on, off, onShared, onSnapshot, onRollback, getStatus, isConnected, getPendingCount,
+   *   getUsers, getSelf, getRole, getServiceStatus, getSharedImage, getAnnotations, isCobrowsing, getCobrowsePeers,
+   *   getReconnectAt, getLatency.
+   *
+   * Ejemplos de uso (en español):
+   * 1) const client = createRealtimeClient({ url: 'ws://localhost:3000', room: 'equipo-a' }); client.connect();
+   * 2) client.onShared((item) => { selectedId = item.id; });
+   * 3) await client.share(item); // 'ws', 'http' o 'queued' si queda en el outbox
+   */
+  function createRealtimeClient(options) {
+    const opts = Object.assign({}, DEFAULTS, options || {});
+    const WebSocketImpl = opts.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    const BroadcastChannelImpl = opts.BroadcastChannel || (typeof BroadcastChannel !== 'undefined' ? BroadcastChannel : null);
+    const httpPost = opts.httpPost || defaultHttpPost;
+    const storage = opts.storage || defaultStorage();
+    const sender = opts.sender || protocol.createId();
+    const listeners = {};
+
+    let ws = null;
+    let status = Status.IDLE;
+    let room = protocol.normalizeRoom(opts.room);
+    let name = protocol.normalizeDisplayName(opts.name);
+    // Presencia: usuarios conectados a la sala e identidad asignada por el servidor a este cliente
+    let users = [];
+    let self = null;
+    // Rol que el servidor asignó según el token ('sender' o 'receiver'); null hasta el primer snapshot
+    let role = null;
+    // Estado del servicio anunciado por frames `status` ('ok' o 'degraded' si RabbitMQ está caído)
+    let serviceState = protocol.ServiceStates.OK;
+    // Imagen compartida visible ({ id, image, sharedBy, timestamp }) y temporizador que la descarta
+    let sharedImage = null;
+    let imageTimer = null;
+    // Comentarios y reacciones de los items de la sala (ver shared/annotations.js); se conservan sin conexión
+    let annotations = {};
+    // Item actual de la sala según el servidor ({ seq, id, item, sharedBy }: el share con seq mayor visto) y
+    // último share propio enviado por WS que espera su share_ack ({ message, item, overridden })
+    let confirmedShare = null;
+    let optimisticShare = null;
+    // Canal con las otras pestañas del navegador (abierto entre connect y close) e ids de los shares
+    // que llegaron por él, para no repetirlos cuando el servidor los difunda al volver el WS
+    let tabChannel = null;
+    let channelShareIds = [];
+    // Co-navegación: estado propio (`dirty` = campos aún no enviados) y pestañas remotas por id de usuario
+    let cobrowseEnabled = false;
+    let cobrowseState = { hover: null, pointer: null, scroll: 0 };
+    let cobrowseDirty = {};
+    let cobrowsePeers = {};
+    let cobrowseTimer = null;
+    let cobrowseSentAt = 0;
+    // Último scroll recibido: el scroll que provoca aplicarlo no se reenvía (evita el eco entre pestañas)
+    let lastRemoteScroll = null;
+    // Latencia medida con el último pong (ms; null sin socket) y ping en vuelo ({ id, sentAt })
+    let latencyMs = null;
+    let pendingPing = null;
+    let pingTimer = null;
+    let reconnectDelay = opts.initialReconnectDelay;
+    let reconnectTimer = null;
+    // Momento (Date.now()) del próximo intento de reconexión, para la cuenta atrás de las apps
+    let reconnectAt = null;
+    let stopped = true;
+    // Intentos de conexión: uno nuevo (o close()) invalida el que aún espera su token
+    let openSeq = 0;
+
+    function emit(event) {
+      const args = Array.prototype.slice.call(arguments, 1);
+      (listeners[event] || []).slice().forEach(function (fn) {
+        try {
+          fn.apply(null, args);
+        } catch (e) {
+          console.error(opts.logPrefix + ' Error en listener "' + event + '":', e);
+        }
+      });
+    }
+
+    function setStatus(next) {
+      if (status === next) return;
+      status = next;
+      emit('status', next);
+    }
+
+    function isOpen() {
+      return !!ws && ws.readyState === WebSocketImpl.OPEN;
+    }
+
+    function send(message) {
+      ws.send(protocol.serializeMessage(message));
+    }
+
+    // Outbox persistente: shares que no salieron ni por WS ni por HTTP.
+    // Cada entrada es { item, room, queuedAt }; se guarda como JSON bajo opts.outboxKey.
+    function loadOutbox() {
+      try {
+        const list = JSON.parse(storage.getItem(opts.outboxKey) || '[]');
+        return Array.isArray(list) ? list.filter(function (e) { return e && e.item && typeof e.room === 'string'; }) : [];
+      } catch (e) {
+        return [];
+      }
+    }
+
+    function saveOutbox(list) {
+      try {
+        storage.setItem(opts.outboxKey, JSON.stringify(list));
+      } catch (e) {
+        console.warn(opts.logPrefix + ' No se pudo guardar el outbox:', e);
+      }
+      emit('outbox', pendingFor(list));
+    }
+
+    function pendingFor(list) {
+      return list.filter(function (e) { return e.room === room; }).length;
+    }
+
+    function sameShare(entry, item) {
+      return entry.room === room && String(entry.item.id) === String(item.id);
+    }
+
+    function enqueue(item, id) {
+      // Dedupe por id de item: el share más reciente reemplaza al anterior y pasa al final
+      const list = loadOutbox().filter(function (e) { return !sameShare(e, item); });
+      // Con el id del sobre ya reflejado a las otras pestañas, que así lo reconocen cuando llega por WS
+      list.push({ id: id, item: item, room: room, queuedAt: Date.now() });
+      while (list.length > opts.outboxLimit) list.shift();
+      saveOutbox(list);
+      console.warn(opts.logPrefix + ' Share guardado en el outbox hasta reconectar:', item.id);
+      // El socket pudo abrirse mientras fallaba el fallback HTTP
+      flushOutbox();
+    }
+
+    function flushOutbox() {
+      const list = loadOutbox();
+      // Con rol de solo lectura el servidor rechazaría los shares: se quedan guardados
+      if (!isOpen() || isReadOnly() || pendingFor(list) === 0) return;
+      const remaining = [];
+      list.forEach(function (entry) {
+        // Solo se envían los de la sala actual; el resto espera a que se vuelva a esa sala
+        if (entry.room !== room || !isOpen()) {
+          remaining.push(entry);
+          return;
+        }
+        try {
+          send(protocol.createMessage(MessageTypes.SHARE_ITEM, { item: entry.item }, { sender: sender, room: room, id: entry.id }));
+        } catch (e) {
+          remaining.push(entry);
+        }
+      });
+      console.log(opts.logPrefix + ' Outbox vaciado, pendientes: ' + pendingFor(remaining));
+      saveOutbox(remaining);
+    }
+
+    function setSharedImage(next) {
+      if (imageTimer) {
+        clearTimeout(imageTimer);
+        imageTimer = null;
+      }
+      sharedImage = next;
+      if (next && opts.imageTtlMs > 0) {
+        imageTimer = setTimeout(function () {
+          imageTimer = null;
+          sharedImage = null;
+          emit('image', null);
+        }, opts.imageTtlMs);
+      }
+      emit('image', next);
+    }
+
+    function showImage(message) {
+      // El eco por WS de una imagen propia ya mostrada no reinicia la tarjeta
+      if (sharedImage && sharedImage.id === message.id) return;
+      setSharedImage({
+        id: message.id,
+        image: message.payload.image,
+        sharedBy: message.payload.sharedBy || null,
+        timestamp: message.timestamp
+      });
+    }
+
+    function setAnnotations(next) {
+      if (next === annotations) return;
+      annotations = next;
+      emit('annotations', annotations);
+    }
+
+    // Comentarios y reacciones solo viajan por WS: no hay fallback HTTP ni outbox (no tendría sentido
+    // reaccionar a un hilo que no se está viendo actualizado)
+    function sendAnnotation(type, payload) {
+      if (isReadOnly()) {
+        console.warn(opts.logPrefix + ' El rol "receiver" no puede comentar ni reaccionar');
+        return Promise.resolve('denied');
+      }
+      if (!isOpen()) return Promise.resolve('failed');
+      try {
+        send(protocol.createMessage(type, payload, { sender: sender, room: room }));
+        return Promise.resolve('ws');
+      } catch (e) {
+        console.warn(opts.logPrefix + ' Error enviando ' + type + ':', e);
+        return Promise.resolve('failed');
+      }
+    }
+
+    function cobrowsePeerList() {
+      return Object.keys(cobrowsePeers).map(function (id) { return cobrowsePeers[id]; });
+    }
+
+    function clearCobrowsePeers() {
+      if (!Object.keys(cobrowsePeers).length) return;
+      cobrowsePeers = {};
+      emit('cobrowse', []);
+    }
+
+    // Envía los cambios pendientes (o, con `full`, el puntero y el item actuales; el scroll solo viaja
+    // cuando la pestaña se desplaza, para no arrastrar a las demás al activar la co-navegación)
+    function sendCobrowse(full) {
+      if (cobrowseTimer) {
+        clearTimeout(cobrowseTimer);
+        cobrowseTimer = null;
+      }
+      const payload = { active: cobrowseEnabled };
+      if (cobrowseEnabled) {
+        const keys = full ? ['hover', 'pointer'].concat(cobrowseDirty.scroll ? ['scroll'] : []) : Object.keys(cobrowseDirty);
+        keys.forEach(function (key) { payload[key] = cobrowseState[key]; });
+      }
+      cobrowseDirty = {};
+      // Frames efímeros: sin socket se pierden (al reconectar se envía el estado completo)
+      if (!isOpen()) return;
+      cobrowseSentAt = Date.now();
+      try {
+        send(protocol.createMessage(MessageTypes.COBROWSE, payload, { sender: sender, room: room }));
+      } catch (e) {
+        console.warn(opts.logPrefix + ' Error enviando co-navegación:', e);
+      }
+    }
+
+    function scheduleCobrowse() {
+      if (cobrowseTimer) return;
+      const wait = cobrowseSentAt + opts.cobrowseIntervalMs - Date.now();
+      if (wait <= 0) {
+        sendCobrowse(false);
+        return;
+      }
+      cobrowseTimer = setTimeout(function () {
+        cobrowseTimer = null;
+        sendCobrowse(false);
+      }, wait);
+    }
+
+    function handleCobrowse(message) {
+      const payload = message.payload;
+      const user = payload.user;
+      if (!cobrowseEnabled || !user || (self && user.id === self.id)) return;
+      if (!payload.active) {
+        if (!cobrowsePeers[user.id]) return;
+        delete cobrowsePeers[user.id];
+        emit('cobrowse', cobrowsePeerList());
+        return;
+      }
+      const isNew = !cobrowsePeers[user.id];
+      const peer = Object.assign({ hover: null, pointer: null, scroll: null }, cobrowsePeers[user.id], { user: user });
+      ['hover', 'pointer', 'scroll'].forEach(function (key) {
+        if (payload[key] !== undefined) peer[key] = payload[key];
+      });
+      cobrowsePeers[user.id] = peer;
+      emit('cobrowse', cobrowsePeerList());
+      if (payload.scroll !== undefined) {
+        lastRemoteScroll = payload.scroll;
+        emit('cobrowse-scroll', payload.scroll, user);
+      }
+      // Quien acaba de activar la co-navegación aún no sabe dónde está nuestro puntero
+      if (isNew) sendCobrowse(true);
+    }
+
+    // Token vigente: texto o, si opts.token es una función asíncrona, promesa del texto ('' si falla)
+    function currentToken() {
+      const token = typeof opts.token === 'function' ? opts.token() : opts.token;
+      if (token && typeof token.then === 'function') {
+        return token.then(function (value) { return value ? String(value) : ''; }, function (e) {
+          console.warn(opts.logPrefix + ' No se pudo obtener el token de acceso:', e && e.message ? e.message : e);
+          return '';
+        });
+      }
+      return token ? String(token) : '';
+    }
+
+    // Cabeceras del fallback HTTP: el backend exige el mismo token que el WebSocket
+    function authHeaders() {
+      return Promise.resolve(currentToken()).then(function (token) {
+        return token ? { Authorization: 'Bearer ' + token } : {};
+      });
+    }
+
+    function buildUrl(token) {
+      const url = new URL(opts.url);
+      url.searchParams.set('room', room);
+      if (name) url.searchParams.set('name', name);
+      const capabilities = protocol.parseCapabilities(opts.capabilities);
+      if (capabilities.length) url.searchParams.set('caps', capabilities.join(','));
+      if (token && opts.tokenTransport === 'query') url.searchParams.set('token', token);
+      return url.toString();
+    }
+
+    function buildProtocols(token) {
+      if (!token || opts.tokenTransport === 'query') return undefined;
+      return [APP_SUBPROTOCOL, TOKEN_SUBPROTOCOL_PREFIX + token];
+    }
+
+    function setServiceState(next) {
+      if (serviceState === next) return;
+      serviceState = next;
+      emit('service-status', next);
+    }
+
+    function isReadOnly() {
+      return role === 'receiver';
+    }
+
+    function scheduleReconnect() {
+      if (stopped || reconnectTimer) return;
+      const delay = reconnectDelay;
+      reconnectDelay = Math.min(reconnectDelay * 2, opts.maxReconnectDelay);
+      console.log(opts.logPrefix + ' Reconectando WS en ' + delay + 'ms');
+      reconnectAt = Date.now() + delay;
+      emit('reconnect', delay, reconnectAt);
+      reconnectTimer = setTimeout(function () {
+        reconnectTimer = null;
+        reconnectAt = null;
+        open();
+      }, delay);
+    }
+
+    function cancelReconnect() {
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+      }
+      reconnectAt = null;
+    }
+
+    function setLatency(next) {
+      if (latencyMs === next) return;
+      latencyMs = next;
+      emit('latency', next);
+    }
+
+    function sendPing() {
+      if (!isOpen()) return;
+      const message = protocol.createMessage(MessageTypes.PING, {}, { sender: sender, room: room });
+      pendingPing = { id: message.id, sentAt: Date.now() };
+      send(message);
+    }
+
+    function startPing() {
+      stopPing();
+      sendPing();
+      pingTimer = setTimeout(function tick() {
+        sendPing();
+        pingTimer = setTimeout(tick, opts.pingIntervalMs);
+      }, opts.pingIntervalMs);
+    }
+
+    function stopPing() {
+      if (pingTimer) {
+        clearTimeout(pingTimer);
+        pingTimer = null;
+      }
+      pendingPing = null;
+    }
+
+    function handlePong(message) {
+      // Solo cuenta el último ping: un pong atrasado no debe dar una latencia menor de la real
+      if (!pendingPing || message.payload.ref !== pendingPing.id) return;
+      setLatency(Math.max(0, Date.now() - pendingPing.sentAt));
+      pendingPing = null;
+    }
+
+    function handleRaw(raw) {
+      const result = protocol.parseMessage(raw);
+      if (!result.ok) {
+        console.warn(opts.logPrefix + ' Mensaje entrante inválido:', result.error.code, result.error.message);
+        return;
+      }
+      if (result.message.type !== MessageTypes.BATCH) {
+        handleMessage(result.message);
+        return;
+      }
+      // Lote del servidor: cada sobre se valida y se procesa en orden, como si hubiera llegado solo
+      result.message.payload.messages.forEach(function (entry) {
+        const inner = protocol.validateMessage(entry);
+        if (!inner.ok || inner.message.type === MessageTypes.BATCH) {
+          console.warn(opts.logPrefix + ' Mensaje inválido dentro de un lote:', inner.ok ? 'batch anidado' : inner.error.message);
+          return;
+        }
+        handleMessage(inner.message);
+      });
+    }
+
+    function openTabChannel() {
+      if (tabChannel || !opts.channelName || !BroadcastChannelImpl) return;
+      try {
+        tabChannel = new BroadcastChannelImpl(opts.channelName);
+      } catch (e) {
+        console.warn(opts.logPrefix + ' BroadcastChannel no disponible:', e);
+        return;
+      }
+      tabChannel.addEventListener('message', function (ev) {
+        handleChannelMessage(ev.data);
+      });
+    }
+
+    function closeTabChannel() {
+      if (!tabChannel) return;
+      try { tabChannel.close(); } catch (e) { /* ignore */ }
+      tabChannel = null;
+    }
+
+    // Identidad de los shares que no salen por WS (canal entre pestañas y fallback HTTP), la misma que pondría
+    // el servidor: la del último snapshot o, sin él, un invitado con el nombre elegido
+    function shareIdentity() {
+      if (self) return { id: self.id, name: self.name };
+      return { id: sender, name: name || 'Invitado-' + sender.replace(/-/g, '').slice(0, 4) };
+    }
+
+    // Refleja un share propio en las otras pestañas del navegador (solo cuando no salió por WS)
+    function mirrorShare(message) {
+      if (!tabChannel) return;
+      try {
+        tabChannel.postMessage(protocol.serializeMessage(message));
+      } catch (e) {
+        console.warn(opts.logPrefix + ' No se pudo reflejar el share en las otras pestañas:', e);
+      }
+    }
+
+    // Share de otra pestaña: solo se aplica sin WS (con el socket abierto el servidor es quien ordena los shares)
+    function handleChannelMessage(data) {
+      if (isOpen() || typeof data !== 'string') return;
+      const result = protocol.parseMessage(data);
+      if (!result.ok || result.message.type !== MessageTypes.SHARE_ITEM || result.message.room !== room) return;
+      if (channelShareIds.indexOf(result.message.id) !== -1) return;
+      channelShareIds.push(result.message.id);
+      if (channelShareIds.length > opts.channelDedupeLimit) channelShareIds.shift();
+      console.log(opts.logPrefix + ' Share recibido de otra pestaña:', result.message.id);
+      handleMessage(result.message);
+    }
+
+    // Última escritura gana: solo se aplica un share más reciente (por seq) que el item actual de la sala
+    function handleShare(message) {
+      // Ya aplicado al llegar por el BroadcastChannel (sin seq, que solo lo pone el servidor): del WS
+      // solo interesa su seq
+      const index = message.payload.seq === undefined ? -1 : channelShareIds.indexOf(message.id);
+      if (index !== -1) {
+        channelShareIds.splice(index, 1);
+        if (confirmedShare && confirmedShare.id === message.id) confirmedShare.seq = message.payload.seq;
+        return;
+      }
+      if (!protocol.isNewerShare({ seq: message.payload.seq, id: message.id }, confirmedShare)) {
+        console.log(opts.logPrefix + ' Share descartado, ya hay uno más reciente:', message.id);
+        return;
+      }
+      const item = normalizeItem(message.payload.item);
+      confirmedShare = { seq: message.payload.seq, id: message.id, item: item, sharedBy: message.payload.sharedBy || null };
+      if (optimisticShare) {
+        if (optimisticShare.message.id === message.id) {
+          optimisticShare = null;
+        } else {
+          optimisticShare.overridden = true;
+        }
+      }
+      emit('shared', item, message);
+    }
+
+    function handleShareAck(message) {
+      // Solo cuenta el último share propio: los anteriores ya los sustituyó la selección local
+      if (!optimisticShare || message.payload.ref !== optimisticShare.message.id) return;
+      const pending = optimisticShare;
+      optimisticShare = null;
+      const sharedBy = self || pending.message.payload.sharedBy || null;
+      const candidate = { seq: message.payload.seq, id: pending.message.id, item: pending.item, sharedBy: sharedBy };
+      if (!protocol.isNewerShare(candidate, confirmedShare)) {
+        rollbackShare('superseded');
+        return;
+      }
+      confirmedShare = candidate;
+      // Mientras se esperaba la confirmación se aplicó un share ajeno más antiguo: se vuelve a mostrar el propio
+      if (pending.overridden) {
+        const payload = Object.assign({}, pending.message.payload, { seq: candidate.seq, sharedBy: sharedBy });
+        emit('shared', pending.item, Object.assign({}, pending.message, { payload: payload }));
+      }
+    }
+
+    function rollbackShare(reason) {
+      console.warn(opts.logPrefix + ' Se revierte la selección optimista (' + reason + ')');
+      emit('rollback', {
+        current: confirmedShare ? confirmedShare.item : null,
+        sharedBy: confirmedShare ? confirmedShare.sharedBy : null,
+        reason: reason
+      });
+    }
+
+    function handleMessage(message) {
+      emit('message', message);
+
+      if (message.type === MessageTypes.SHARE_ITEM) {
+        handleShare(message);
+      } else if (message.type === MessageTypes.SHARE_ACK) {
+        handleShareAck(message);
+      } else if (message.type === MessageTypes.SHARE_IMAGE) {
+        showImage(message);
+      } else if (message.type === MessageTypes.COMMENT || message.type === MessageTypes.REACTION) {
+        setAnnotations(annotationUtils.applyAnnotation(annotations, message));
+      } else if (message.type === MessageTypes.COBROWSE) {
+        handleCobrowse(message);
+      } else if (message.type === MessageTypes.PONG) {
+        handlePong(message);
+      } else if (message.type === MessageTypes.SNAPSHOT) {
+        users = Array.isArray(message.payload.users) ? message.payload.users.slice() : [];
+        self = message.payload.you || null;
+        if ((message.payload.role || null) !== role) {
+          role = message.payload.role || null;
+          emit('role', role);
+        }
+        emit('users', users.slice());
+        setAnnotations(message.payload.annotations || {});
+        confirmedShare = message.payload.current ? {
+          seq: message.payload.currentSeq,
+          id: message.payload.currentId,
+          item: normalizeItem(message.payload.current),
+          sharedBy: message.payload.sharedBy || null
+        } : null;
+        // La app aplica el item del snapshot: si el share propio gana, se vuelve a mostrar con su confirmación
+        if (optimisticShare) optimisticShare.overridden = true;
+        emit('snapshot', {
+          room: message.payload.room,
+          current: message.payload.current ? normalizeItem(message.payload.current) : null,
+          sharedBy: message.payload.sharedBy || null,
+          history: message.payload.history,
+          users: users.slice(),
+          you: self,
+          role: role
+        }, message);
+      } else if (message.type === MessageTypes.PRESENCE) {
+        const user = message.payload.user;
+        users = users.filter(function (u) { return u.id !== user.id; });
+        if (message.payload.event === 'join') users.push(user);
+        if (message.payload.event === 'leave' && cobrowsePeers[user.id]) {
+          delete cobrowsePeers[user.id];
+          emit('cobrowse', cobrowsePeerList());
+        }
+        emit('presence', message.payload, message);
+        emit('users', users.slice());
+      } else if (message.type === MessageTypes.STATUS) {
+        if (message.payload.state === protocol.ServiceStates.DEGRADED) {
+          console.warn(opts.logPrefix + ' Servicio realtime degradado:', message.payload.reason || '');
+        }
+        setServiceState(message.payload.state);
+      } else if (message.type === MessageTypes.ERROR) {
+        console.warn(opts.logPrefix + ' Error del servidor realtime:', message.payload.code, message.payload.message);
+        emit('server-error', message.payload, message);
+        // Share propio rechazado (rol, límites...): la selección vuelve al item actual de la sala
+        if (optimisticShare && message.payload.ref === optimisticShare.message.id) {
+          optimisticShare = null;
+          rollbackShare('rejected');
+        }
+      }
+    }
+
+    function open() {
+      if (stopped) return;
+      if (!WebSocketImpl) {
+        console.warn(opts.logPrefix + ' WebSocket no disponible en este entorno');
+        return;
+      }
+      setStatus(Status.CONNECTING);
+      const seq = ++openSeq;
+      const token = currentToken();
+      if (token && typeof token.then === 'function') {
+        // Token pedido al backend: el socket se abre cuando llega (si nadie cerró ni reabrió mientras tanto)
+        token.then(function (value) {
+          if (!stopped && seq === openSeq) openSocket(value);
+        });
+        return;
+      }
+      openSocket(token);
+    }
+
+    function openSocket(token) {
+      let socket;
+      try {
+        const protocols = buildProtocols(token);
+        socket = protocols ? new WebSocketImpl(buildUrl(token), protocols) : new WebSocketImpl(buildUrl(token));
+      } catch (e) {
+        console.warn(opts.logPrefix + ' Error creando WebSocket:', e);
+        setStatus(Status.CLOSED);
+        scheduleReconnect();
+        return;
+      }
+      ws = socket;
+
+      socket.addEventListener('open', function () {
+        if (ws !== socket) return;
+        reconnectDelay = opts.initialReconnectDelay;
+        // Si el servicio sigue degradado, el servidor lo anuncia justo después de abrir
+        setServiceState(protocol.ServiceStates.OK);
+        console.log(opts.logPrefix + ' WS conectado a', opts.url, 'sala', room);
+        setStatus(Status.OPEN);
+        startPing();
+        flushOutbox();
+        // El servidor no recuerda la co-navegación de la conexión anterior
+        if (cobrowseEnabled) sendCobrowse(true);
+      });
+
+      socket.addEventListener('message', function (ev) {
+        if (ws !== socket) return;
+        handleRaw(ev.data);
+      });
+
+      socket.addEventListener('close', function () {
+        if (ws !== socket) return;
+        ws = null;
+        // Sin conexión no sabemos quién sigue en línea; el próximo snapshot rellena la lista
+        users = [];
+        emit('users', []);
+        clearCobrowsePeers();
+        // Un share sin confirmar ya no tendrá share_ack: el snapshot de la reconexión dice qué item quedó
+        optimisticShare = null;
+        stopPing();
+        setLatency(null);
+        setStatus(Status.CLOSED);
+        scheduleReconnect();
+      });
+
+      socket.addEventListener('error', function (ev) {
+        console.warn(opts.logPrefix + ' Error WS', ev);
+      });
+    }
+
+    const client = {
+      Status: Status,
+
+      /** Identificador de remitente usado en los mensajes de este cliente. */
+      sender: sender,
+
+      /**
+       * Suscribe un listener a un evento: 'status', 'shared', 'snapshot', 'message', 'server-error', 'reconnect',
+       * 'outbox' (número de shares pendientes en la sala actual), 'presence' ({ event, user }),
+       * 'users' (lista completa de usuarios en línea de la sala), 'role' (rol asignado por el token),
+       * 'service-status' ('ok' | 'degraded', p. ej. con RabbitMQ caído), 'image' (imagen compartida
+       * { id, image, sharedBy, timestamp }, o null cuando caduca o se descarta), 'cobrowse' (lista de pestañas
+       * que co-navegan { user, hover, pointer, scroll }), 'cobrowse-scroll' (scroll 0..1 de otra pestaña, user),
+       * 'annotations' (comentarios y reacciones de la sala, ver shared/annotations.js), 'latency' (ida y vuelta
+       * del último ping en ms, o null al perder la conexión) y 'rollback' (el share propio perdió o fue rechazado).
+       * @param {string} event
+       * @param {Function} fn
+       * @returns {function(): void} Función para desuscribirse.
+       *
+       * Ejemplos de uso (en español):
+       * 1) const off = client.on('status', (s) => console.log(s)); off();
+       * 2) client.on('message', (msg) => ...); // todos los sobres válidos
+       * 3) client.on('reconnect', (delayMs, at) => ...); // próximo reintento (at = Date.now() + delayMs)
+       */
+      on: function (event, fn) {
+        (listeners[event] = listeners[event] || []).push(fn);
+        return function () { client.off(event, fn); };
+      },
+
+      /**
+       * Elimina un listener registrado con on().
+       * @param {string} event
+       * @param {Function} fn
+       * @returns {void}
+       */
+      off: function (event, fn) {
+        listeners[event] = (listeners[event] || []).filter(function (l) { return l !== fn; });
+      },
+
+      /**
+       * Atajo para escuchar items compartidos (ya normalizados) de la sala actual.
+       * @param {function(Object, Object): void} fn - Recibe (item, sobre).
+       * @returns {function(): void}
+       *
+       * Ejemplos de uso (en español):
+       * 1) client.onShared((item) => { selectedId = item.id; });
+       * 2) const off = client.onShared(handler); // desuscribir al desmontar
+       * 3) // el item llega con el id convertido a número si era numérico
+       */
+      onShared: function (fn) {
+        return client.on('shared', fn);
+      },
+
+      /**
+       * Atajo para escuchar el estado de la sala que el servidor envía al conectar,
+       * al reconectar y al cambiar de sala.
+       * @param {function({room: string, current: (Object|null), sharedBy: (Object|null), history: Array<Object>,
+       *   users: Array<Object>, you: (Object|null), role: (string|null)}, Object): void} fn
+       * @returns {function(): void}
+       *
+       * Ejemplos de uso (en español):
+       * 1) client.onSnapshot((snap) => { if (snap.current) selectedId = snap.current.id; });
+       * 2) client.onSnapshot((snap) => console.log(snap.history.length, 'shares recientes'));
+       * 3) // current llega normalizado igual que en onShared
+       */
+      onSnapshot: function (fn) {
+        return client.on('snapshot', fn);
+      },
+
+      /**
+       * Atajo para escuchar cuándo hay que deshacer la selección optimista de share(): el servidor numeró
+       * el share propio por detrás del item actual de la sala (`reason` 'superseded') o lo rechazó
+       * ('rejected'). Recibe el item actual con la misma forma que el snapshot, así que sirve el mismo handler.
+       * @param {function({current: (Object|null), sharedBy: (Object|null), reason: string}): void} fn
+       * @returns {function(): void}
+       *
+       * Ejemplos de uso (en español):
+       * 1) client.onRollback(applySnapshot); // vuelve a marcar el item que ganó (o ninguno)
+       * 2) client.onRollback((r) => console.log('Share revertido:', r.reason));
+       * 3) // los shares ajenos con seq mayor llegan por onShared; este evento solo deshace los propios
+       */
+      onRollback: function (fn) {
+        return client.on('rollback', fn);
+      },
+
+      /**
+       * Abre la conexión y activa la reconexión automática.
+       * @returns {void}
+       */
+      connect: function () {
+        if (!stopped) return;
+        stopped = false;
+        openTabChannel();
+        open();
+      },
+
+      /**
+       * Cierra la conexión y cancela reconexiones pendientes.
+       * @returns {void}
+       */
+      close: function () {
+        stopped = true;
+        openSeq += 1;
+        closeTabChannel();
+        cancelReconnect();
+        stopPing();
+        setLatency(null);
+        if (imageTimer) {
+          clearTimeout(imageTimer);
+          imageTimer = null;
+        }
+        if (cobrowseTimer) {
+          clearTimeout(cobrowseTimer);
+          cobrowseTimer = null;
+        }
+        const socket = ws;
+        ws = null;
+        if (socket) {
+          try { socket.close(); } catch (e) { /* ignore */ }
+        }
+        setStatus(Status.CLOSED);
+      },
+
+      /**
+       * Reintenta la conexión ya, sin esperar al retardo del backoff (botón "Reconectar ahora").
+       * El retardo no se reinicia: si el intento falla, el siguiente sigue la secuencia.
+       * @returns {boolean} true si se lanzó un intento (false si ya hay conexión, se está conectando o está cerrado).
+       *
+       * Ejemplos de uso (en español):
+       * 1) <button @click="client.reconnectNow()">Reconectar ahora</button>
+       * 2) client.reconnectNow(); // false con el socket abierto
+       * 3) // tras close() no hace nada: hay que llamar a connect()
+       */
+      reconnectNow: function () {
+        if (stopped || status === Status.OPEN || status === Status.CONNECTING) return false;
+        cancelReconnect();
+        open();
+        return true;
+      },
+
+      /**
+       * Cambia de sala (y opcionalmente de nombre visible): los usa en las próximas conexiones y
+       * avisa al servidor si el socket está abierto.
+       * @param {string} nextRoom
+       * @param {string} [nextName] - Nuevo nombre visible; si se omite se mantiene el actual.
+       * @returns {string} Sala normalizada.
+       *
+       * Ejemplos de uso (en español):
+       * 1) client.join('equipo-a');
+       * 2) client.join('equipo-a', 'Ana'); // también cambia el nombre mostrado a los demás
+       * 3) const room = client.join(input); // mostrar el nombre normalizado
+       */
+      join: function (nextRoom, nextName) {
+        const previous = room;
+        room = protocol.normalizeRoom(nextRoom);
+        // La imagen, las anotaciones y las pestañas que co-navegan pertenecen a la sala anterior
+        if (room !== previous && sharedImage) setSharedImage(null);
+        if (room !== previous) {
+          clearCobrowsePeers();
+          setAnnotations({});
+          confirmedShare = null;
+          optimisticShare = null;
+          channelShareIds = [];
+        }
+        if (nextName !== undefined) name = protocol.normalizeDisplayName(nextName);
+        if (isOpen()) {
+          const payload = { room: room };
+          if (name) payload.name = name;
+          send(protocol.createMessage(MessageTypes.JOIN, payload, { sender: sender }));
+          flushOutbox();
+          if (room !== previous && cobrowseEnabled) sendCobrowse(true);
+        }
+        emit('outbox', pendingFor(loadOutbox()));
+        return room;
+      },
+
+      /**
+       * Comparte un item: por WS si está abierto, si no por POST al endpoint HTTP; si ambos fallan
+       * lo guarda en el outbox persistente y lo envía al reconectar. Con rol 'receiver' no se envía.
+       * La app puede seleccionarlo enseguida (selección optimista): si el servidor confirma con un seq menor
+       * que el del item actual de la sala, o rechaza el share, el cliente emite 'rollback'. Sin WS, el share
+       * se refleja además en las otras pestañas del navegador por el BroadcastChannel.
+       * @param {Object} item
+       * @returns {Promise<('ws'|'http'|'queued'|'denied')>} Transporte usado, 'queued' si quedó pendiente
+       *   o 'denied' si el token es de solo lectura.
+       *
+       * Ejemplos de uso (en español):
+       * 1) await client.share({ id: 1, title: 'Hola' }); // 'ws'
+       * 2) // con el servidor caído intenta POST /api/share { item, room, id, displayName } con el token
+       * 3) if ((await client.share(item)) === 'queued') mostrarPendiente();
+       */
+      share: function (item) {
+        if (isReadOnly()) {
+          console.warn(opts.logPrefix + ' El rol "receiver" no puede compartir items');
+          return Promise.resolve('denied');
+        }
+        const message = protocol.createMessage(MessageTypes.SHARE_ITEM, { item: item }, { sender: sender, room: room });
+        if (isOpen()) {
+          try {
+            send(message);
+            optimisticShare = { message: message, item: normalizeItem(item), overridden: false };
+            return Promise.resolve('ws');
+          } catch (e) {
+            console.warn(opts.logPrefix + ' Error enviando por WS, usando fallback HTTP:', e);
+          }
+        }
+        // Sin WS las pestañas del navegador se enteran por el canal; el mismo id viaja por HTTP o en el outbox.
+        // Por HTTP va el nombre visible: la identidad la pone el backend a partir del token
+        message.payload.sharedBy = shareIdentity();
+        mirrorShare(message);
+        const body = { item: item, room: room, id: message.id, displayName: message.payload.sharedBy.name };
+        return Promise.resolve()
+          .then(authHeaders)
+          .then(function (headers) { return httpPost(opts.shareEndpoint, body, headers); })
+          .then(function () { return 'http'; })
+          .catch(function (e) {
+            console.warn(opts.logPrefix + ' Fallback HTTP ' + opts.shareEndpoint + ' falló:', e && e.message ? e.message : e);
+            enqueue(item, message.id);
+            return 'queued';
+          });
+      },
+
+      /**
+       * Comparte una imagen con la sala: por WS si está abierto, si no por POST al endpoint HTTP
+       * (`{ url }` o `{ image_base64, mime, name }`, el formato que acepta el backend). Las imágenes son
+       * efímeras: no pasan por el outbox y, si ambos caminos fallan, el resultado es 'failed'.
+       * Quien comparte la ve enseguida en su propia pestaña (evento 'image').
+       * @param {({type: 'url', url: string}|{type: 'base64', image_base64: string, mime: string, name?: string})} image
+       * @returns {Promise<('ws'|'http'|'failed'|'denied')>} Rechaza si la imagen no es válida (tipo, tamaño...).
+       *
+       * Ejemplos de uso (en español):
+       * 1) await client.shareImage({ type: 'url', url: 'https://via.placeholder.com/600' }); // 'ws'
+       * 2) await client.shareImage(await imageShare.readImageFile(file)); // imagen subida o pegada
+       * 3) if ((await client.shareImage(image)) === 'failed') mostrarError();
+       */
+      shareImage: function (image) {
+        const problem = protocol.validateImage(image);
+        if (problem) return Promise.reject(new Error(problem));
+        if (isReadOnly()) {
+          console.warn(opts.logPrefix + ' El rol "receiver" no puede compartir imágenes');
+          return Promise.resolve('denied');
+        }
+        const message = protocol.createMessage(MessageTypes.SHARE_IMAGE, { image: image }, { sender: sender, room: room });
+        if (self) message.payload.sharedBy = self;
+        if (isOpen()) {
+          try {
+            send(message);
+            showImage(message);
+            return Promise.resolve('ws');
+          } catch (e) {
+            console.warn(opts.logPrefix + ' Error enviando imagen por WS, usando fallback HTTP:', e);
+          }
+        }
+        const body = image.type === 'url'
+          ? { url: image.url, room: room }
+          : { image_base64: image.image_base64, mime: image.mime, name: image.name, room: room };
+        // Mismo id que por WS y el nombre de quien comparte (la identidad la pone el backend a partir del token)
+        Object.assign(body, { id: message.id, displayName: shareIdentity().name });
+        return Promise.resolve()
+          .then(authHeaders)
+          .then(function (headers) { return httpPost(opts.shareEndpoint, body, headers); })
+          .then(function () {
+            showImage(message);
+            return 'http';
+          })
+          .catch(function (e) {
+            console.warn(opts.logPrefix + ' No se pudo compartir la imagen:', e && e.message ? e.message : e);
+            return 'failed';
+          });
+      },
+
+      /**
+       * Comenta un item. Solo por WS: sin socket abierto el resultado es 'failed' y la app conserva el texto.
+       * El comentario aparece (también en esta pestaña) cuando el servidor lo difunde a la sala.
+       * @param {*} itemId
+       * @param {string} text - Se recorta; de 1 a protocol.MAX_COMMENT_LENGTH caracteres.
+       * @returns {Promise<('ws'|'failed'|'denied')>} Rechaza si el texto está vacío o es demasiado largo.
+       *
+       * Ejemplos de uso (en español):
+       * 1) await client.comment(item.id, '¡Qué buena foto!'); // 'ws'
+       * 2) if ((await client.comment(item.id, text)) === 'failed') mostrarError();
+       * 3) client.on('annotations', (all) => ...); // llega el comentario con su autor
+       */
+      comment: function (itemId, text) {
+        const clean = typeof text === 'string' ? text.trim() : '';
+        if (!clean) return Promise.reject(new Error('El comentario está vacío'));
+        if (clean.length > protocol.MAX_COMMENT_LENGTH) {
+          return Promise.reject(new Error('El comentario supera los ' + protocol.MAX_COMMENT_LENGTH + ' caracteres'));
+        }
+        return sendAnnotation(MessageTypes.COMMENT, { itemId: itemId, text: clean });
+      },
+
+      /**
+       * Activa o retira una reacción de esta pestaña a un item. Solo por WS, como comment().
+       * @param {*} itemId
+       * @param {string} emoji - Uno de protocol.REACTION_EMOJIS.
+       * @param {boolean} active - true para añadirla, false para quitarla.
+       * @returns {Promise<('ws'|'failed'|'denied')>} Rechaza si el emoji no está admitido.
+       *
+       * Ejemplos de uso (en español):
+       * 1) await client.react(item.id, '👍', true);
+       * 2) client.react(item.id, reaction.emoji, !reaction.mine); // botón que alterna
+       * 3) // el contador cambia cuando el servidor difunde la reacción
+       */
+      react: function (itemId, emoji, active) {
+        if (protocol.REACTION_EMOJIS.indexOf(emoji) === -1) return Promise.reject(new Error('Reacción no admitida: ' + emoji));
+        return sendAnnotation(MessageTypes.REACTION, { itemId: itemId, emoji: emoji, active: !!active });
+      },
+
+      /**
+       * Oculta la imagen compartida en esta pestaña (las demás la siguen viendo hasta que caduque).
+       * @returns {void}
+       */
+      dismissImage: function () {
+        if (sharedImage) setSharedImage(null);
+      },
+
+      /**
+       * Activa o desactiva la co-navegación: con ella activa se reciben los frames `cobrowse` de las pestañas
+       * de la sala que también la tienen activa (evento 'cobrowse') y se envían los de updateCobrowse.
+       * Normalmente no se llama directamente sino con startCobrowse (shared/cobrowse.js).
+       * @param {boolean} enabled
+       * @returns {void}
+       *
+       * Ejemplos de uso (en español):
+       * 1) client.setCobrowse(true); // anuncia a la sala el puntero y el item actuales
+       * 2) client.setCobrowse(false); // los demás dejan de ver el puntero de esta pestaña
+       * 3) // el servidor solo reenvía frames cobrowse a quien lo tiene activado
+       */
+      setCobrowse: function (enabled) {
+        const next = !!enabled;
+        if (next === cobrowseEnabled) return;
+        cobrowseEnabled = next;
+        if (!next) {
+          clearCobrowsePeers();
+          lastRemoteScroll = null;
+        }
+        sendCobrowse(true);
+      },
+
+      /**
+       * Actualiza el estado de co-navegación de la pestaña; los cambios se agrupan y se envían como mucho
+       * uno cada `cobrowseIntervalMs`. Sin co-navegación activa no hace nada.
+       * @param {{scroll?: number, hover?: *, pointer?: ({x: number, y: number}|null)}} patch
+       * @returns {void}
+       *
+       * Ejemplos de uso (en español):
+       * 1) client.updateCobrowse({ pointer: { x: 0.4, y: 0.1 } });
+       * 2) client.updateCobrowse({ hover: item.id }); // o null al salir de la fila
+       * 3) client.updateCobrowse({ scroll: 0.5 }); // mitad de la página
+       */
+      updateCobrowse: function (patch) {
+        if (!cobrowseEnabled || !patch) return;
+        ['hover', 'pointer', 'scroll'].forEach(function (key) {
+          if (patch[key] === undefined) return;
+          const value = patch[key];
+          if (key === 'scroll' && lastRemoteScroll !== null && Math.abs(value - lastRemoteScroll) < 0.01) return;
+          if (JSON.stringify(value) === JSON.stringify(cobrowseState[key])) return;
+          if (key === 'scroll') lastRemoteScroll = null;
+          cobrowseState[key] = value;
+          cobrowseDirty[key] = true;
+        });
+        if (Object.keys(cobrowseDirty).length) scheduleCobrowse();
+      },
+
+      /** @returns {boolean} true si la co-navegación está activada en esta pestaña. */
+      isCobrowsing: function () { return cobrowseEnabled; },
+
+      /** @returns {Array<{user: Object, hover: *, pointer: (Object|null), scroll: (number|null)}>} Pestañas que co-navegan. */
+      getCobrowsePeers: function () { return cobrowsePeerList(); },
+
+      /** @returns {({id: string, image: Object, sharedBy: (Object|null), timestamp: number}|null)} Imagen visible. */
+      getSharedImage: function () { return sharedImage; },
+
+      /** @returns {Object} Comentarios y reacciones de la sala por id de item (ver shared/annotations.js). */
+      getAnnotations: function () { return annotations; },
+
+      /** @returns {(number|null)} Momento (ms de Date.now()) del próximo intento de reconexión, o null. */
+      getReconnectAt: function () { return reconnectAt; },
+
+      /** @returns {(number|null)} Latencia del último ping en ms, o null si aún no se midió o no hay conexión. */
+      getLatency: function () { return latencyMs; },
+
+      /** @returns {string} Estado actual (ver Status). */
+      getStatus: function () { return status; },
+
+      /** @returns {boolean} true si el socket está abierto. */
+      isConnected: function () { return status === Status.OPEN; },
+
+      /** @returns {number} Shares pendientes en el outbox para la sala actual. */
+      getPendingCount: function () { return pendingFor(loadOutbox()); },
+
+      /** @returns {Array<{id: string, name: string}>} Usuarios en línea en la sala actual. */
+      getUsers: function () { return users.slice(); },
+
+      /** @returns {({id: string, name: string}|null)} Identidad asignada por el servidor a este cliente. */
+      getSelf: function () { return self; },
+
+      /** @returns {string} Estado del servicio anunciado por el servidor: 'ok' o 'degraded'. */
+      getServiceStatus: function () { return serviceState; },
+
+      /** @returns {(string|null)} Rol asignado por el servidor ('sender' o 'receiver'), null si aún no se sabe. */
+      getRole: function () { return role; },
+
+      /** @returns {string} Sala actual. */
+      getRoom: function () { return room; }
+    };
+
+    return client;
+  }
+
+  /**
+   * Fuente de tokens de corta duración para la opción `token` del cliente: pide uno al backend
+   * (POST /api/realtime-token, firmado con WS_AUTH_SECRET) y lo reutiliza hasta poco antes de que caduque;
+   * para renovarlo envía el vigente, así la pestaña conserva su identidad (`sub`). Sin token (autenticación
+   * desactivada o backend caído) devuelve '' y lo vuelve a pedir en la siguiente conexión.
+   * @param {function(Object): Promise<({token: string, expiresAt: number}|null)>} fetchToken - Pide el token;
+   *   recibe las cabeceras (Authorization con el token vigente, si lo hay) y devuelve el cuerpo de la respuesta
+   *   (`expiresAt` en ms).
+   * @param {{renewBeforeMs?: number}} [options] - Margen antes de la caducidad en que se pide uno nuevo (1 min).
+   * @returns {function(): Promise<string>}
+   *
+   * Ejemplos de uso (en español):
+   * 1) const token = createTokenSource((headers) => axios.post('/api/realtime-token', null, { headers }).then((res) => res.data));
+   * 2) createRealtimeClient({ url, token }); // cada (re)conexión y cada POST /api/share usan un token vigente
+   * 3) await token(); // 'eyJhbGciOi...' (el mismo hasta que le quede menos de un minuto)
+   */
+  function createTokenSource(fetchToken, options) {
+    const renewBeforeMs = options && options.renewBeforeMs !== undefined ? options.renewBeforeMs : 60000;
+    let current = null;
+    let pending = null;
+
+    return function () {
+      if (current && current.expiresAt - Date.now() > renewBeforeMs) return Promise.resolve(current.token);
+      if (pending) return pending;
+      const headers = current && current.expiresAt > Date.now() ? { Authorization: 'Bearer ' + current.token } : {};
+      pending = Promise.resolve()
+        .then(function () { return fetchToken(headers); })
+        .then(function (data) {
+          current = data && data.token ? { token: String(data.token), expiresAt: Number(data.expiresAt) || 0 } : null;
+          return current ? current.token : '';
+        }, function (e) {
+          current = null;
+          throw e;
+        })
+        .then(function (token) {
+          pending = null;
+          return token;
+        }, function (e) {
+          pending = null;
+          throw e;
+        });
+      return pending;
+    };
+  }
+
+  return {
+    Status: Status,
+    normalizeItem: normalizeItem,
+    createRealtimeClient: createRealtimeClient,
+    createTokenSource: createTokenSource
+  };
+}));
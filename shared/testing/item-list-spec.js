@@ -0,0 +1,891 @@
+/**
+ * Especificación de comportamiento común de la lista de items, ejecutada contra las tres apps
+ * (Vue `ItemList.vue`, React `App.jsx` y AngularJS `MainCtrl`) para que sigan siendo equivalentes.
+ *
+ * Cada app aporta un adaptador que monta su vista real en un contenedor del DOM con la API HTTP
+ * simulada (`createFakeApi`) y el WebSocket simulado (global `WebSocket` del servidor de
+ * mock-socket-server.js). La especificación solo mira el DOM, que las tres apps generan con las
+ * mismas clases: `.notice` (carga), `.notice.-danger` (error), `li.list-item` (`.shared` si está
+ * resaltada), `.item-id`, `.item-thumb`, `.list-btn`, `.view-toggle`, el panel `.item-detail`, los controles
+ * `.list-controls` (búsqueda y orden), el paginador `.pager`, la zona `.image-drop`, la tarjeta `.shared-image-card`
+ * la co-navegación (`.cobrowse-toggle`, `.remote-pointer` y `.remote-hover` en las filas con `data-item-id`), el
+ * indicador de conexión (`.connection-status` con `.connection-state`, `.connection-latency`, `.connection-retry`) y
+ * las anotaciones (`.annotation-badge` en la fila y `.item-annotations` con `.reaction`, `.comment` y `.comment-form`).
+ */
+import protocol from '../protocol.js';
+import items from '../items.js';
+import { createMockSocketServer } from './mock-socket-server.js';
+import { createMockBroadcastHub } from './mock-broadcast-channel.js';
+
+const { MessageTypes } = protocol;
+
+// Misma forma que devuelve el backend (caché SQLite de /api/items)
+export const ITEMS = [
+  { id: 1, remote_id: 101, title: 'Primero', url: 'https://img.test/1.png', thumbnailUrl: 'https://img.test/1-thumb.png', cached_at: 1700000000 },
+  { id: 2, remote_id: 102, title: 'Segundo', url: 'https://img.test/2.png', thumbnailUrl: 'https://img.test/2-thumb.png', cached_at: 1700000000 },
+  { id: 3, remote_id: 103, title: 'Tercero', url: 'https://img.test/3.png', thumbnailUrl: 'https://img.test/3-thumb.png', cached_at: 1700000000 }
+];
+
+/**
+ * API HTTP simulada (/api/items, /api/share y /api/realtime-token) que los adaptadores conectan a axios o a $http.
+ * @param {{items?: Array<Object>}} [options]
+ * @returns {Object} API con `handle(method, url, body)` y el estado que manipulan los tests.
+ *
+ * Ejemplos de uso (en español):
+ * 1) const api = createFakeApi(); api.itemsStatus = 500; // /api/items falla
+ * 2) const release = api.hold(); ...; release(); // /api/items no responde hasta release()
+ * 3) api.shares // cuerpos recibidos en POST /api/share (y sus cabeceras en api.shareHeaders)
+ */
+export function createFakeApi(options = {}) {
+  const api = {
+    items: (options.items || ITEMS).map((item) => Object.assign({}, item)),
+    itemsStatus: 200,
+    shareStatus: 202,
+    shares: [],
+    shareHeaders: [],
+    // Cabeceras de cada POST /api/realtime-token (los tokens emitidos son 'corto-1', 'corto-2'...)
+    tokenRequests: [],
+    gate: null,
+
+    hold() {
+      let release;
+      api.gate = new Promise((resolve) => { release = resolve; });
+      return () => {
+        api.gate = null;
+        release();
+      };
+    },
+
+    /**
+     * Responde una petición como lo haría el backend.
+     * @param {string} method
+     * @param {string} url
+     * @param {(Object|string)} [body]
+     * @param {Object} [headers]
+     * @returns {Promise<{status: number, data: *}>}
+     */
+    async handle(method, url, body, headers = {}) {
+      const verb = method.toUpperCase();
+      if (verb === 'GET' && url === '/api/items') {
+        if (api.gate) await api.gate;
+        if (api.itemsStatus >= 400) return { status: api.itemsStatus, data: { message: 'Error interno' } };
+        return { status: 200, data: api.items.map((item) => Object.assign({}, item)) };
+      }
+      if (verb === 'POST' && url === '/api/realtime-token') {
+        api.tokenRequests.push(Object.assign({}, headers));
+        const token = `corto-${api.tokenRequests.length}`;
+        return { status: 200, data: { token, expiresAt: Date.now() + 15 * 60 * 1000, role: 'sender' } };
+      }
+      if (verb === 'POST' && url === '/api/share') {
+        api.shares.push(typeof body === 'string' ? JSON.parse(body) : body);
+        api.shareHeaders.push(Object.assign({}, headers));
+        return { status: api.shareStatus, data: { status: 'queued' } };
+      }
+      return { status: 404, data: { message: 'No encontrado' } };
+    }
+  };
+  return api;
+}
+
+/**
+ * Adaptador de axios (opción `adapter`) que responde con la API simulada; rechaza los estados >= 400
+ * igual que axios (error con `response`).
+ * @param {Object} api - Resultado de createFakeApi.
+ * @returns {function(Object): Promise<Object>}
+ *
+ * Ejemplos de uso (en español):
+ * 1) axios.defaults.adapter = createAxiosAdapter(api); // apps Vue y React
+ * 2) // axios.get('/api/items') -> { data: [...], status: 200 }
+ * 3) // con api.itemsStatus = 500 -> Error 'Request failed with status code 500'
+ */
+export function createAxiosAdapter(api) {
+  return async (config) => {
+    const headers = config.headers && typeof config.headers.toJSON === 'function' ? config.headers.toJSON() : config.headers;
+    const { status, data } = await api.handle(config.method, config.url, config.data, headers);
+    const response = { data, status, statusText: String(status), headers: {}, config, request: {} };
+    if (status >= 400) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = response;
+      error.config = config;
+      throw error;
+    }
+    return response;
+  };
+}
+
+/**
+ * Deja correr las cadenas de promesas pendientes (peticiones simuladas, eventos del cliente realtime).
+ * Solo usa microtareas, así que también sirve con timers falsos.
+ * @param {number} [rounds]
+ * @returns {Promise<void>}
+ */
+export async function flushMicrotasks(rounds = 20) {
+  for (let i = 0; i < rounds; i += 1) await Promise.resolve();
+}
+
+function rows(container) {
+  return Array.from(container.querySelectorAll('li.list-item')).map((li) => ({
+    id: li.querySelector('.item-id').textContent.trim().replace(/^#/, ''),
+    highlighted: li.classList.contains('shared'),
+    button: li.querySelector('.list-btn')
+  }));
+}
+
+function visibleIds(container) {
+  return rows(container).map((row) => row.id);
+}
+
+function highlightedIds(container) {
+  return rows(container).filter((row) => row.highlighted).map((row) => row.id);
+}
+
+const OTRA = { id: 'otra', name: 'Otra' };
+const YO = { id: 'yo', name: 'Yo' };
+
+// `currentSeq`: seq del share que eligió el item actual (sin él, como un servidor sin numeración)
+function snapshotFrame(current, annotations = {}, currentSeq) {
+  const message = protocol.createMessage(MessageTypes.SNAPSHOT, {
+    room: 'default',
+    current,
+    sharedBy: current ? { id: 'otra', name: 'Otra' } : null,
+    history: [],
+    annotations,
+    users: [],
+    you: { id: 'yo', name: 'Yo' },
+    role: 'sender'
+  }, { sender: 'realtime', room: 'default' });
+  if (currentSeq !== undefined) {
+    message.payload.currentSeq = currentSeq;
+    message.payload.currentId = protocol.createId();
+  }
+  return message;
+}
+
+function shareFrame(item, seq) {
+  const message = protocol.createMessage(MessageTypes.SHARE_ITEM, { item }, { sender: 'otra-pestana', room: 'default' });
+  message.payload.sharedBy = { id: 'otra', name: 'Otra' };
+  if (seq !== undefined) message.payload.seq = seq;
+  return message;
+}
+
+function ackFrame(ref, seq) {
+  return protocol.createMessage(MessageTypes.SHARE_ACK, { ref, seq }, { sender: 'realtime', room: 'default' });
+}
+
+function imageFrame(image) {
+  const message = protocol.createMessage(MessageTypes.SHARE_IMAGE, { image }, { sender: 'otra-pestana', room: 'default' });
+  message.payload.sharedBy = { id: 'otra', name: 'Otra' };
+  return message;
+}
+
+function cobrowseFrame(payload) {
+  const message = protocol.createMessage(MessageTypes.COBROWSE, Object.assign({ active: true }, payload), { sender: 'otra-pestana', room: 'default' });
+  message.payload.user = { id: 'otra', name: 'Otra' };
+  return message;
+}
+
+// Comentario o reacción tal como lo difunde el servidor (con el autor en sharedBy)
+function annotationFrame(type, payload, user = OTRA) {
+  const message = protocol.createMessage(type, payload, { sender: 'otra-pestana', room: 'default' });
+  message.payload.sharedBy = user;
+  return message;
+}
+
+function presenceFrame(event) {
+  return protocol.createMessage(MessageTypes.PRESENCE, { event, user: { id: 'otra', name: 'Otra' } }, { sender: 'realtime', room: 'default' });
+}
+
+function pngFile(size = 16, name = 'punto.png', type = 'image/png') {
+  return new window.File([new Uint8Array(size)], name, { type });
+}
+
+/**
+ * Registra la especificación común con las funciones del runner de la app.
+ * @param {{describe: Function, it: Function, expect: Function, beforeEach: Function, afterEach: Function,
+ *   vi: Object}} t - Funciones de Vitest (la especificación no importa el runner: vive fuera de las apps).
+ * @param {{name: string, mount: function({api: Object}): Promise<{container: HTMLElement,
+ *   settle: function(Function=): Promise<void>, unmount: function(): (void|Promise<void>)}>}} adapter -
+ *   `settle(action)` ejecuta la acción (click, frame del servidor, avance de timers...) y deja terminar las
+ *   peticiones, eventos del cliente realtime y renders que provoque.
+ * @returns {void}
+ *
+ * Ejemplos de uso (en español):
+ * 1) defineItemListSpec({ describe, it, expect, beforeEach, afterEach, vi }, vueAdapter);
+ * 2) // adapter.mount monta la vista real con la API simulada y devuelve { container, settle, unmount }
+ * 3) await view.settle(() => server.send(frame)); // React lo envuelve en act()
+ */
+export function defineItemListSpec(t, adapter) {
+  const { describe, it, expect, beforeEach, afterEach, vi } = t;
+
+  describe(`${adapter.name}: lista de items y sincronización realtime`, () => {
+    let server;
+    let tabs;
+    let api;
+    let view;
+
+    async function mount() {
+      view = await adapter.mount({ api });
+      await view.settle();
+      return view;
+    }
+
+    async function send(frame) {
+      await view.settle(() => server.send(frame));
+    }
+
+    // Último share_item que la app envió por WS
+    function lastShare() {
+      return server.received.filter((frame) => frame.type === MessageTypes.SHARE_ITEM).pop();
+    }
+
+    async function click(id) {
+      await view.settle(() => rows(view.container).find((row) => row.id === id).button.click());
+    }
+
+    async function dropConnection() {
+      server.accept = false;
+      await view.settle(() => server.dropAll());
+    }
+
+    // Escribe en un control como lo haría el usuario (setter nativo: React ignora las asignaciones directas)
+    async function typeInto(selector, value) {
+      const input = view.container.querySelector(selector);
+      await view.settle(() => {
+        Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set.call(input, value);
+        input.dispatchEvent(new window.Event('input', { bubbles: true }));
+      });
+    }
+
+    // Elige una opción de un <select> por su texto (los valores internos difieren entre apps)
+    async function choose(selector, label) {
+      const select = view.container.querySelector(selector);
+      const option = Array.from(select.options).find((o) => o.textContent.trim() === label);
+      await view.settle(() => {
+        option.selected = true;
+        select.dispatchEvent(new window.Event('change', { bubbles: true }));
+      });
+    }
+
+    // Suelta un archivo en la zona de imágenes (jsdom no tiene DataTransfer: se define en el evento)
+    async function dropFile(file) {
+      const zone = view.container.querySelector('.image-drop');
+      const event = new window.Event('drop', { bubbles: true, cancelable: true });
+      Object.defineProperty(event, 'dataTransfer', { value: { files: [file], items: [] } });
+      await settleImage(() => zone.dispatchEvent(event));
+    }
+
+    // FileReader de jsdom termina en una macrotarea: se espera a que acabe la lectura y el envío
+    async function settleImage(action) {
+      await view.settle(action);
+      for (let i = 0; i < 3; i += 1) {
+        await view.settle(() => new Promise((resolve) => setTimeout(resolve, 0)));
+      }
+    }
+
+    function imageFrames() {
+      return server.received.filter((frame) => frame.type === MessageTypes.SHARE_IMAGE);
+    }
+
+    function cobrowseFrames() {
+      return server.received.filter((frame) => frame.type === MessageTypes.COBROWSE);
+    }
+
+    async function toggleCobrowse() {
+      await view.settle(() => view.container.querySelector('.cobrowse-toggle').click());
+    }
+
+    function annotationFrames(type) {
+      return server.received.filter((frame) => frame.type === type);
+    }
+
+    function thread() {
+      return Array.from(view.container.querySelectorAll('.item-annotations .comment')).map((li) => ({
+        author: li.querySelector('.comment-author').textContent.trim(),
+        text: li.querySelector('.comment-text').textContent.trim()
+      }));
+    }
+
+    function reactionButton(emoji) {
+      return Array.from(view.container.querySelectorAll('.item-annotations .reaction'))
+        .find((button) => button.textContent.includes(emoji));
+    }
+
+    async function submitComment() {
+      await view.settle(() => view.container.querySelector('.comment-form button[type="submit"]').click());
+    }
+
+    function advance(ms) {
+      return view.settle(() => vi.advanceTimersByTimeAsync(ms));
+    }
+
+    beforeEach(() => {
+      window.localStorage.clear();
+      window.history.replaceState(null, '', '/');
+      server = createMockSocketServer();
+      tabs = createMockBroadcastHub();
+      api = createFakeApi();
+      vi.stubGlobal('WebSocket', server.WebSocket);
+      vi.stubGlobal('BroadcastChannel', tabs.BroadcastChannel);
+      // Los logs del cliente realtime y de las apps no aportan nada en la salida de los tests
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(console, 'debug').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      if (view) await view.unmount();
+      view = null;
+      vi.useRealTimers();
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    });
+
+    it('muestra "Cargando..." mientras /api/items no responde y después la lista', async () => {
+      const release = api.hold();
+      await mount();
+      expect(view.container.querySelector('.notice').textContent).toContain('Cargando...');
+      expect(rows(view.container)).toHaveLength(0);
+
+      await view.settle(release);
+      expect(view.container.querySelector('.notice')).toBeNull();
+      expect(rows(view.container).map((row) => row.id)).toEqual(['1', '2', '3']);
+    });
+
+    it('muestra el error si /api/items falla', async () => {
+      api.itemsStatus = 500;
+      await mount();
+      const error = view.container.querySelector('.notice.-danger');
+      expect(error).not.toBeNull();
+      expect(error.textContent.trim()).toMatch(/^Error: \S/);
+      expect(view.container.textContent).not.toContain('Cargando...');
+      expect(rows(view.container)).toHaveLength(0);
+    });
+
+    it('resalta solo la fila del item seleccionado (snapshot, share recibido y click local)', async () => {
+      await mount();
+      expect(highlightedIds(view.container)).toEqual([]);
+
+      await send(snapshotFrame({ id: 2, title: 'Segundo' }));
+      expect(highlightedIds(view.container)).toEqual(['2']);
+
+      // El id llega como texto desde otra app: se normaliza y resalta la fila existente
+      await send(shareFrame({ id: '3', title: 'Tercero' }));
+      expect(highlightedIds(view.container)).toEqual(['3']);
+      expect(rows(view.container)).toHaveLength(3);
+
+      await click('1');
+      expect(highlightedIds(view.container)).toEqual(['1']);
+
+      // Un snapshot sin item actual limpia la selección
+      await send(snapshotFrame(null));
+      expect(highlightedIds(view.container)).toEqual([]);
+    });
+
+    it('añade al principio los items compartidos que no estaban en la lista', async () => {
+      await mount();
+      await send(shareFrame({ id: 99, title: 'Item nuevo' }));
+
+      const list = rows(view.container);
+      expect(list.map((row) => row.id)).toEqual(['99', '1', '2', '3']);
+      expect(list[0].highlighted).toBe(true);
+      expect(view.container.querySelector('li.list-item .item-desc').textContent).toContain('Item nuevo');
+
+      // Compartirlo otra vez no lo duplica
+      await send(shareFrame({ id: 99, title: 'Nuevo' }));
+      expect(rows(view.container)).toHaveLength(4);
+    });
+
+    it('reconcilia la selección optimista por seq: gana el share más reciente y los atrasados se descartan', async () => {
+      await mount();
+      await send(snapshotFrame({ id: 1, title: 'Primero' }, {}, 4));
+      expect(highlightedIds(view.container)).toEqual(['1']);
+
+      await click('2');
+      expect(highlightedIds(view.container)).toEqual(['2']);
+      const propio = lastShare();
+
+      // Otra pestaña compartió antes (seq 5) y llega mientras se espera la confirmación del propio
+      await send(shareFrame({ id: 3, title: 'Tercero' }, 5));
+      expect(highlightedIds(view.container)).toEqual(['3']);
+      await send(ackFrame(propio.id, 6));
+      expect(highlightedIds(view.container)).toEqual(['2']);
+
+      // Un share que llega tarde (seq menor) ya no cambia la selección
+      await send(shareFrame({ id: 1, title: 'Primero' }, 3));
+      expect(highlightedIds(view.container)).toEqual(['2']);
+      await send(shareFrame({ id: 3, title: 'Tercero' }, 7));
+      expect(highlightedIds(view.container)).toEqual(['3']);
+    });
+
+    it('revierte la selección optimista si el share propio pierde o el servidor lo rechaza', async () => {
+      await mount();
+      await send(snapshotFrame({ id: 1, title: 'Primero' }, {}, 9));
+
+      // Otra réplica ya numeró un share posterior: el propio queda por detrás y se vuelve al item de la sala
+      await click('2');
+      expect(highlightedIds(view.container)).toEqual(['2']);
+      await send(ackFrame(lastShare().id, 8));
+      expect(highlightedIds(view.container)).toEqual(['1']);
+
+      await click('3');
+      const rechazo = protocol.createError(protocol.ErrorCodes.RATE_LIMITED, 'Demasiados mensajes', lastShare().id);
+      await send(rechazo);
+      expect(highlightedIds(view.container)).toEqual(['1']);
+    });
+
+    it('anuncia caps=batch y aplica en orden los mensajes de un frame batch', async () => {
+      await mount();
+      expect(new URL(server.sockets[0].url).searchParams.get('caps')).toBe('batch');
+
+      await send(protocol.createMessage(MessageTypes.BATCH, {
+        messages: [
+          shareFrame({ id: 2, title: 'Segundo' }),
+          annotationFrame(MessageTypes.REACTION, { itemId: 3, emoji: '🎉', active: true }),
+          shareFrame({ id: 3, title: 'Tercero' })
+        ]
+      }, { sender: 'realtime', room: 'default' }));
+      expect(highlightedIds(view.container)).toEqual(['3']);
+      expect(view.container.querySelector('li.list-item[data-item-id="3"] .annotation-badge').textContent.trim()).toBe('🎉 1');
+    });
+
+    it('abre el detalle del item compartido con imagen y metadatos, y se puede cerrar', async () => {
+      await mount();
+      expect(view.container.querySelector('.item-detail')).toBeNull();
+
+      await send(shareFrame({ id: 2, title: 'Segundo' }));
+      let detail = view.container.querySelector('.item-detail');
+      expect(detail).not.toBeNull();
+      expect(detail.querySelector('.detail-title').textContent.trim()).toBe('Segundo');
+      expect(detail.querySelector('.detail-remote-id').textContent.trim()).toBe('102');
+      expect(detail.querySelector('.detail-cached-at').textContent.trim()).toBe(items.formatCachedAt(1700000000));
+      expect(detail.querySelector('img.detail-image').getAttribute('src')).toBe('https://img.test/2.png');
+
+      await view.settle(() => detail.querySelector('.detail-close').click());
+      expect(view.container.querySelector('.item-detail')).toBeNull();
+      expect(highlightedIds(view.container)).toEqual(['2']);
+
+      // Un click local también lo abre
+      await click('3');
+      detail = view.container.querySelector('.item-detail');
+      expect(detail.querySelector('.detail-title').textContent.trim()).toBe('Tercero');
+    });
+
+    it('carga las miniaturas en diferido y usa el placeholder si una imagen falla', async () => {
+      await mount();
+      const thumbs = Array.from(view.container.querySelectorAll('li.list-item img.item-thumb'));
+      expect(thumbs).toHaveLength(3);
+      thumbs.forEach((img) => expect(img.getAttribute('loading')).toBe('lazy'));
+      expect(thumbs[0].getAttribute('src')).toBe('https://img.test/1-thumb.png');
+
+      await view.settle(() => thumbs[0].dispatchEvent(new window.Event('error')));
+      expect(thumbs[0].getAttribute('src')).toBe(items.PLACEHOLDER_IMAGE);
+      expect(thumbs[0].classList.contains('img-fallback')).toBe(true);
+      expect(thumbs[1].getAttribute('src')).toBe('https://img.test/2-thumb.png');
+    });
+
+    it('cambia entre lista y cuadrícula de miniaturas y recuerda el modo', async () => {
+      await mount();
+      const list = () => view.container.querySelector('ul.simple-list');
+      const toggle = (label) => Array.from(view.container.querySelectorAll('.view-toggle button'))
+        .find((button) => button.textContent.trim() === label);
+      expect(list().classList.contains('thumb-grid')).toBe(false);
+
+      await view.settle(() => toggle('Miniaturas').click());
+      expect(list().classList.contains('thumb-grid')).toBe(true);
+      expect(toggle('Miniaturas').getAttribute('aria-pressed')).toBe('true');
+      expect(window.localStorage.getItem(items.VIEW_MODE_STORAGE_KEY)).toBe('grid');
+
+      // Una vista nueva arranca con el modo guardado
+      await view.unmount();
+      await mount();
+      expect(list().classList.contains('thumb-grid')).toBe(true);
+    });
+
+    it('filtra por título (sin acentos ni mayúsculas) o por #id y lo refleja en la URL', async () => {
+      api.items = ITEMS.concat([{ id: 12, remote_id: 112, title: 'Canción del verano', url: null, thumbnailUrl: null, cached_at: null }]);
+      await mount();
+
+      await typeInto('.list-search', 'CANCION');
+      expect(visibleIds(view.container)).toEqual(['12']);
+      expect(new URLSearchParams(window.location.search).get('q')).toBe('CANCION');
+
+      await typeInto('.list-search', '#2');
+      expect(visibleIds(view.container)).toEqual(['2']);
+
+      await typeInto('.list-search', 'zzz');
+      expect(visibleIds(view.container)).toEqual([]);
+      expect(view.container.querySelector('.notice.empty').textContent).toContain('zzz');
+
+      await typeInto('.list-search', '');
+      expect(visibleIds(view.container)).toEqual(['1', '2', '3', '12']);
+      expect(window.location.search).toBe('');
+    });
+
+    it('ordena y pagina, y un enlace con la query restaura la misma vista', async () => {
+      api.items = Array.from({ length: 25 }, (_, i) => ({
+        id: i + 1, remote_id: 200 + i, title: `Item ${String(i + 1).padStart(2, '0')}`, url: null, thumbnailUrl: null, cached_at: 1700000000 + i
+      }));
+      await mount();
+      expect(rows(view.container)).toHaveLength(20);
+      expect(view.container.querySelector('.pager-info').textContent).toContain('Página 1 de 2');
+
+      await choose('.list-sort', 'Fecha de caché');
+      await choose('.list-dir', 'Descendente');
+      expect(visibleIds(view.container).slice(0, 3)).toEqual(['25', '24', '23']);
+
+      const next = Array.from(view.container.querySelectorAll('.pager button')).find((b) => b.textContent.trim() === 'Siguiente');
+      await view.settle(() => next.click());
+      expect(visibleIds(view.container)).toEqual(['5', '4', '3', '2', '1']);
+      const params = new URLSearchParams(window.location.search);
+      expect([params.get('sort'), params.get('dir'), params.get('page')]).toEqual(['cached_at', 'desc', '2']);
+
+      // Cambiar el tamaño de página vuelve a la primera
+      await choose('.list-size', '50 por página');
+      expect(rows(view.container)).toHaveLength(25);
+      expect(view.container.querySelector('.pager')).toBeNull();
+
+      // Abrir el mismo enlace en una vista nueva
+      await view.unmount();
+      window.history.replaceState(null, '', '/?room=default&q=item%202&sort=title&dir=desc');
+      await mount();
+      expect(visibleIds(view.container)).toEqual(['25', '24', '23', '22', '21', '20']);
+      expect(view.container.querySelector('.list-search').value).toBe('item 2');
+    });
+
+    it('muestra la imagen compartida por otra pestaña y se puede cerrar', async () => {
+      await mount();
+      expect(view.container.querySelector('.shared-image-card')).toBeNull();
+
+      await send(imageFrame({ type: 'url', url: 'https://img.test/compartida.png' }));
+      let card = view.container.querySelector('.shared-image-card');
+      expect(card.querySelector('img.shared-image').getAttribute('src')).toBe('https://img.test/compartida.png');
+      expect(card.querySelector('.shared-image-caption').textContent).toContain('Imagen compartida por Otra');
+
+      await view.settle(() => card.querySelector('.shared-image-close').click());
+      expect(view.container.querySelector('.shared-image-card')).toBeNull();
+
+      await send(imageFrame({ type: 'base64', image_base64: 'iVBORw0KGgo=', mime: 'image/png', name: 'captura.png' }));
+      card = view.container.querySelector('.shared-image-card');
+      expect(card.querySelector('img.shared-image').getAttribute('src')).toBe('data:image/png;base64,iVBORw0KGgo=');
+      expect(card.querySelector('.shared-image-caption').textContent).toContain('captura.png');
+      // Las imágenes no tocan la selección de items
+      expect(highlightedIds(view.container)).toEqual([]);
+    });
+
+    it('comparte por WebSocket la imagen soltada y rechaza formatos o tamaños no válidos', async () => {
+      await mount();
+      await dropFile(pngFile());
+      const sent = imageFrames();
+      expect(sent).toHaveLength(1);
+      expect(sent[0].room).toBe('default');
+      expect(sent[0].payload.image).toMatchObject({ type: 'base64', mime: 'image/png', name: 'punto.png' });
+      expect(sent[0].payload.image.image_base64).toBe(window.btoa(String.fromCharCode(...new Uint8Array(16))));
+      const card = view.container.querySelector('.shared-image-card');
+      expect(card.querySelector('img.shared-image').getAttribute('src')).toMatch(/^data:image\/png;base64,/);
+      expect(view.container.querySelector('.image-error')).toBeNull();
+
+      await dropFile(pngFile(16, 'informe.pdf', 'application/pdf'));
+      expect(view.container.querySelector('.image-error').textContent).toContain('Formato no admitido: application/pdf');
+
+      await dropFile(pngFile(256 * 1024 + 1));
+      expect(view.container.querySelector('.image-error').textContent).toContain('La imagen supera el máximo de 256 KB');
+      expect(imageFrames()).toHaveLength(1);
+      expect(api.shares).toHaveLength(0);
+    });
+
+    it('comparte una imagen pegada por POST /api/share si el WebSocket no está abierto', async () => {
+      server.accept = false;
+      await mount();
+      const event = new window.Event('paste', { bubbles: true, cancelable: true });
+      Object.defineProperty(event, 'clipboardData', {
+        value: { files: [], items: [{ kind: 'file', getAsFile: () => pngFile(8, 'pegada.png') }] }
+      });
+      await settleImage(() => window.document.dispatchEvent(event));
+
+      expect(api.shares).toHaveLength(1);
+      expect(api.shares[0]).toMatchObject({ mime: 'image/png', name: 'pegada.png', room: 'default' });
+      expect(api.shares[0].displayName).toMatch(/^Invitado-/);
+      expect(api.shareHeaders[0].Authorization).toBe(`Bearer ${window.WS_TOKEN}`);
+      expect(typeof api.shares[0].image_base64).toBe('string');
+      expect(view.container.querySelector('.shared-image-card')).not.toBeNull();
+      expect(imageFrames()).toHaveLength(0);
+    });
+
+    it('co-navega: envía su estado y muestra el puntero y el item bajo el ratón de otra pestaña', async () => {
+      const scrollTo = vi.spyOn(window, 'scrollTo').mockImplementation(() => {});
+      await mount();
+      const row = (id) => view.container.querySelector(`li.list-item[data-item-id="${id}"]`);
+
+      // Sin co-navegar se ignoran los frames de las demás pestañas
+      await send(cobrowseFrame({ pointer: { x: 0.5, y: 0.25 }, hover: 2 }));
+      expect(view.container.querySelector('.cobrowse-layer')).toBeNull();
+      expect(row(2).classList.contains('remote-hover')).toBe(false);
+
+      await toggleCobrowse();
+      expect(view.container.querySelector('.cobrowse-toggle').getAttribute('aria-pressed')).toBe('true');
+      expect(cobrowseFrames()).toHaveLength(1);
+      expect(cobrowseFrames()[0].payload).toMatchObject({ active: true, hover: null, pointer: null });
+
+      await send(cobrowseFrame({ pointer: { x: 0.5, y: 0.25 }, hover: 2 }));
+      const pointers = view.container.querySelectorAll('.cobrowse-layer .remote-pointer');
+      expect(pointers).toHaveLength(1);
+      expect(pointers[0].querySelector('.remote-pointer-label').textContent.trim()).toBe('Otra');
+      expect(row(2).classList.contains('remote-hover')).toBe(true);
+      expect(row(2).querySelector('.hovered-by').textContent).toContain('mirando: Otra');
+      expect(row(1).classList.contains('remote-hover')).toBe(false);
+      // La pestaña nueva recibe nuestro estado completo
+      expect(cobrowseFrames()).toHaveLength(2);
+
+      await send(cobrowseFrame({ scroll: 0.5 }));
+      expect(scrollTo).toHaveBeenCalledTimes(1);
+
+      // Al salir de la sala desaparecen su puntero y su marca
+      await send(presenceFrame('leave'));
+      expect(view.container.querySelectorAll('.remote-pointer')).toHaveLength(0);
+      expect(row(2).classList.contains('remote-hover')).toBe(false);
+
+      await toggleCobrowse();
+      expect(cobrowseFrames().at(-1).payload.active).toBe(false);
+      expect(view.container.querySelector('.cobrowse-layer')).toBeNull();
+      expect(api.shares).toHaveLength(0);
+    });
+
+    it('co-navega: agrupa los movimientos del ratón en un frame cada 100 ms', async () => {
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+      await mount();
+      await toggleCobrowse();
+      expect(cobrowseFrames()).toHaveLength(1);
+
+      const over = (id) => view.container.querySelector(`li.list-item[data-item-id="${id}"] .list-btn`)
+        .dispatchEvent(new window.MouseEvent('mouseover', { bubbles: true }));
+      await view.settle(() => {
+        over(1);
+        window.document.dispatchEvent(new window.MouseEvent('mousemove', { bubbles: true, clientX: 10, clientY: 10 }));
+        over(2);
+        over(3);
+      });
+      expect(cobrowseFrames()).toHaveLength(1);
+
+      await advance(100);
+      expect(cobrowseFrames()).toHaveLength(2);
+      expect(cobrowseFrames()[1].payload).toMatchObject({ active: true, hover: 3 });
+
+      await advance(1000);
+      expect(cobrowseFrames()).toHaveLength(2);
+      expect(server.received.filter((frame) => frame.type === MessageTypes.SHARE_ITEM)).toHaveLength(0);
+      expect(api.shares).toHaveLength(0);
+    });
+
+    it('comparte por WebSocket si está abierto y por POST /api/share si no', async () => {
+      await mount();
+      await send(snapshotFrame(null));
+      expect(view.container.textContent).toContain('Conectado');
+
+      await click('2');
+      const sent = server.received.filter((frame) => frame.type === MessageTypes.SHARE_ITEM);
+      expect(sent).toHaveLength(1);
+      expect(sent[0].payload.item.id).toBe(2);
+      expect(sent[0].room).toBe('default');
+      expect(api.shares).toHaveLength(0);
+
+      // Se cae el servidor realtime: el siguiente click va por el fallback HTTP
+      await dropConnection();
+      expect(view.container.textContent).toContain('Offline');
+
+      await click('3');
+      expect(api.shares).toHaveLength(1);
+      expect(api.shares[0].item.id).toBe(3);
+      expect(api.shares[0].room).toBe('default');
+      // Con el mismo token que el WebSocket (el backend pone la identidad a partir de él) y el nombre del snapshot
+      expect(api.shareHeaders[0].Authorization).toBe(`Bearer ${window.WS_TOKEN}`);
+      expect(api.shares[0].displayName).toBe('Yo');
+      expect(api.shares[0]).not.toHaveProperty('sender');
+      expect(api.shares[0]).not.toHaveProperty('sharedBy');
+      expect(server.received.filter((frame) => frame.type === MessageTypes.SHARE_ITEM)).toHaveLength(1);
+      expect(highlightedIds(view.container)).toEqual(['3']);
+    });
+
+    it('sin token fijo pide uno de corta duración al backend y lo usa en el WebSocket y en /api/share', async () => {
+      vi.stubGlobal('WS_TOKEN', '');
+      await mount();
+      expect(api.tokenRequests).toHaveLength(1);
+      expect(server.sockets[0].protocols).toContain('auth.corto-1');
+
+      await send(snapshotFrame(null));
+      await dropConnection();
+      await click('3');
+      expect(api.shareHeaders[0].Authorization).toBe('Bearer corto-1');
+      // Sigue vigente: no se pide otro
+      expect(api.tokenRequests).toHaveLength(1);
+    });
+
+    it('guarda el share como pendiente si también falla el fallback HTTP', async () => {
+      server.accept = false;
+      api.shareStatus = 503;
+      await mount();
+
+      await click('1');
+      expect(api.shares).toHaveLength(1);
+      expect(view.container.textContent).toContain('Pendientes: 1');
+    });
+
+    it('sin WS refleja los shares entre pestañas por BroadcastChannel y no los repite al volver el WS', async () => {
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+      server.accept = false;
+      api.shareStatus = 503;
+      await mount();
+
+      // Otra pestaña del navegador comparte sin WS
+      const remoto = shareFrame({ id: 2, title: 'Segundo' });
+      await view.settle(() => tabs.post('porfolio.realtime', JSON.stringify(remoto)));
+      expect(highlightedIds(view.container)).toEqual(['2']);
+
+      // El propio se refleja con el mismo id que viaja por HTTP y queda en el outbox
+      await click('3');
+      expect(tabs.posted).toHaveLength(1);
+      const reflejado = tabs.posted[0].data;
+      expect(reflejado.type).toBe(MessageTypes.SHARE_ITEM);
+      expect(reflejado.payload.item.id).toBe(3);
+      expect(api.shares[0].id).toBe(reflejado.id);
+      expect(view.container.textContent).toContain('Pendientes: 1');
+
+      server.accept = true;
+      await view.settle(() => view.container.querySelector('.connection-retry-now').click());
+      expect(lastShare().id).toBe(reflejado.id);
+
+      // El servidor difunde el share de la otra pestaña ya numerado: ya se aplicó, no vuelve a seleccionarse
+      await send(Object.assign({}, remoto, { payload: Object.assign({}, remoto.payload, { seq: 5 }) }));
+      expect(highlightedIds(view.container)).toEqual(['3']);
+      await send(Object.assign({}, lastShare(), { payload: Object.assign({}, lastShare().payload, { seq: 6 }) }));
+      expect(highlightedIds(view.container)).toEqual(['3']);
+
+      // Con el WS abierto el canal se ignora: el orden lo decide el servidor
+      await view.settle(() => tabs.post('porfolio.realtime', JSON.stringify(shareFrame({ id: 1, title: 'Primero' }))));
+      expect(highlightedIds(view.container)).toEqual(['3']);
+    });
+
+    it('reconecta con un retardo que se duplica en cada intento fallido y se reinicia al conectar', async () => {
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+      server.accept = false;
+      await mount();
+      expect(view.container.textContent).toContain('Offline');
+
+      for (const delay of [1000, 2000, 4000, 8000]) {
+        const before = server.sockets.length;
+        await advance(delay - 1);
+        expect(server.sockets.length).toBe(before);
+        await advance(1);
+        expect(server.sockets.length).toBe(before + 1);
+      }
+      const gaps = server.sockets.slice(1).map((socket, i) => socket.createdAt - server.sockets[i].createdAt);
+      expect(gaps).toEqual([1000, 2000, 4000, 8000]);
+
+      // El servidor vuelve: el siguiente intento (16 s) conecta y el retardo vuelve a 1 s
+      server.accept = true;
+      await advance(16000);
+      expect(view.container.textContent).toContain('Conectado');
+
+      await dropConnection();
+      const before = server.sockets.length;
+      await advance(1000);
+      expect(server.sockets.length).toBe(before + 1);
+    });
+
+    it('muestra la cuenta atrás del reintento y "Reconectar ahora" conecta sin esperar', async () => {
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+      server.accept = false;
+      await mount();
+      const text = (selector) => {
+        const element = view.container.querySelector(selector);
+        return element ? element.textContent.trim() : null;
+      };
+      expect(view.container.querySelector('.connection-status').classList.contains('offline')).toBe(true);
+      expect(text('.connection-state')).toBe('Offline');
+      expect(text('.connection-retry')).toBe('Reintento en 1 s');
+
+      // Segundo intento fallido: el retardo pasa a 2 s y la cuenta atrás baja sola
+      await advance(1000);
+      expect(text('.connection-retry')).toBe('Reintento en 2 s');
+      await advance(1000);
+      expect(text('.connection-retry')).toBe('Reintento en 1 s');
+
+      server.accept = true;
+      server.pongDelayMs = 42;
+      const before = server.sockets.length;
+      await view.settle(() => view.container.querySelector('.connection-retry-now').click());
+      expect(server.sockets.length).toBe(before + 1);
+      expect(text('.connection-state')).toBe('Conectado');
+      expect(text('.connection-retry')).toBeNull();
+      expect(view.container.querySelector('.connection-retry-now')).toBeNull();
+
+      // Latencia del ping de aplicación que se envía al conectar
+      expect(server.received.filter((frame) => frame.type === MessageTypes.PING)).toHaveLength(1);
+      await advance(42);
+      expect(text('.connection-latency')).toBe('42 ms');
+      expect(view.container.querySelector('.connection-latency').classList.contains('good')).toBe(true);
+
+      await send(protocol.createMessage(MessageTypes.STATUS, { state: 'degraded', reason: 'rabbitmq_unavailable' }, { sender: 'realtime' }));
+      expect(view.container.querySelector('.connection-status').classList.contains('degraded')).toBe(true);
+      expect(text('.connection-state')).toBe('Degradado');
+
+      // Sin socket no hay latencia que mostrar
+      await dropConnection();
+      expect(text('.connection-state')).toBe('Offline');
+      expect(text('.connection-latency')).toBeNull();
+      expect(text('.connection-retry')).toBe('Reintento en 1 s');
+    });
+
+    it('comenta y reacciona: el hilo llega en el snapshot y se actualiza con los frames de la sala', async () => {
+      await mount();
+      const badge = (id) => {
+        const element = view.container.querySelector(`li.list-item[data-item-id="${id}"] .annotation-badge`);
+        return element ? element.textContent.trim() : null;
+      };
+      await send(snapshotFrame({ id: 2, title: 'Segundo' }, {
+        2: { comments: [{ id: 'c1', text: 'Bonita', user: OTRA, timestamp: 1700000000000 }], reactions: { '👍': [OTRA] }, updatedAt: 1700000000000 }
+      }));
+      expect(badge(2)).toBe('💬 1 · 👍 1');
+      expect(badge(1)).toBeNull();
+      expect(thread()).toEqual([{ author: 'Otra', text: 'Bonita' }]);
+      expect(reactionButton('👍').querySelector('.reaction-count').textContent.trim()).toBe('1');
+      expect(reactionButton('👍').getAttribute('aria-pressed')).toBe('false');
+
+      // La reacción se envía y cuenta cuando el servidor la difunde
+      await view.settle(() => reactionButton('👍').click());
+      expect(annotationFrames(MessageTypes.REACTION).map((frame) => frame.payload)).toEqual([{ itemId: 2, emoji: '👍', active: true }]);
+      await send(annotationFrame(MessageTypes.REACTION, { itemId: 2, emoji: '👍', active: true }, YO));
+      expect(reactionButton('👍').querySelector('.reaction-count').textContent.trim()).toBe('2');
+      expect(reactionButton('👍').getAttribute('aria-pressed')).toBe('true');
+
+      await typeInto('.comment-input', '  Me gusta  ');
+      await submitComment();
+      expect(annotationFrames(MessageTypes.COMMENT).map((frame) => frame.payload)).toEqual([{ itemId: 2, text: 'Me gusta' }]);
+      expect(view.container.querySelector('.comment-input').value).toBe('');
+      await send(annotationFrame(MessageTypes.COMMENT, { itemId: 2, text: 'Me gusta' }, YO));
+      expect(thread()).toEqual([{ author: 'Otra', text: 'Bonita' }, { author: 'tú', text: 'Me gusta' }]);
+      expect(badge(2)).toBe('💬 2 · 👍 2');
+
+      // Anotaciones de otro item: solo cambia su fila
+      await send(annotationFrame(MessageTypes.REACTION, { itemId: '3', emoji: '🎉', active: true }));
+      expect(badge(3)).toBe('🎉 1');
+      expect(thread()).toHaveLength(2);
+      expect(server.received.filter((frame) => frame.type === MessageTypes.SHARE_ITEM)).toHaveLength(0);
+    });
+
+    it('sin conexión no envía el comentario, conserva el texto y sigue mostrando el hilo', async () => {
+      await mount();
+      await send(snapshotFrame({ id: 1, title: 'Primero' }, {
+        1: { comments: [{ id: 'c1', text: 'Hola', user: OTRA, timestamp: 1700000000000 }], reactions: {}, updatedAt: 1700000000000 }
+      }));
+      await dropConnection();
+
+      await typeInto('.comment-input', 'Perdido');
+      await submitComment();
+      expect(view.container.querySelector('.comment-error').textContent).toContain('Sin conexión');
+      expect(view.container.querySelector('.comment-input').value).toBe('Perdido');
+      expect(annotationFrames(MessageTypes.COMMENT)).toHaveLength(0);
+      expect(thread()).toEqual([{ author: 'Otra', text: 'Hola' }]);
+      expect(api.shares).toHaveLength(0);
+    });
+  });
+}
@@ -0,0 +1,82 @@
+/**
+ * BroadcastChannel simulado para los tests de las apps: hace de "navegador" con varias pestañas.
+ *
+ * `hub.BroadcastChannel` tiene la interfaz del BroadcastChannel del navegador que el cliente realtime usa
+ * para reflejar los shares sin WS. Como el real, un mensaje llega a los demás canales abiertos con el mismo
+ * nombre pero no al que lo envía; se entrega en una microtarea. `hub.post` simula otra pestaña.
+ */
+
+function defer(fn) {
+  Promise.resolve().then(fn);
+}
+
+/**
+ * Crea el hub de canales simulados.
+ * @returns {Object} Hub con `BroadcastChannel`, `channels`, `posted` y `post`.
+ *
+ * Ejemplos de uso (en español):
+ * 1) const hub = createMockBroadcastHub(); vi.stubGlobal('BroadcastChannel', hub.BroadcastChannel);
+ * 2) hub.post('porfolio.realtime', JSON.stringify(message)); // lo envía "otra pestaña"
+ * 3) hub.posted // mensajes enviados por la app ({ name, data }), ya parseados si son JSON
+ */
+export function createMockBroadcastHub() {
+  const hub = {
+    // Canales abiertos (se quitan al cerrarse)
+    channels: [],
+    // Mensajes enviados por los canales de la app
+    posted: [],
+    BroadcastChannel: null,
+
+    /**
+     * Entrega un mensaje a todos los canales abiertos con ese nombre, como si lo enviara otra pestaña.
+     * @param {string} name
+     * @param {*} data
+     * @returns {void}
+     */
+    post(name, data) {
+      deliver(null, name, data);
+    }
+  };
+
+  function deliver(from, name, data) {
+    hub.channels
+      .filter((channel) => channel !== from && channel.name === name)
+      .forEach((channel) => defer(() => {
+        if (!channel.closed) channel.listeners.forEach((fn) => fn({ data }));
+      }));
+  }
+
+  hub.BroadcastChannel = class MockBroadcastChannel {
+    constructor(name) {
+      this.name = name;
+      this.closed = false;
+      this.listeners = [];
+      hub.channels.push(this);
+    }
+
+    addEventListener(type, fn) {
+      if (type === 'message') this.listeners.push(fn);
+    }
+
+    removeEventListener(type, fn) {
+      this.listeners = this.listeners.filter((listener) => listener !== fn);
+    }
+
+    postMessage(data) {
+      if (this.closed) throw new Error('InvalidStateError: el canal está cerrado');
+      let parsed = data;
+      try {
+        parsed = typeof data === 'string' ? JSON.parse(data) : data;
+      } catch (e) {}
+      hub.posted.push({ name: this.name, data: parsed });
+      deliver(this, this.name, data);
+    }
+
+    close() {
+      this.closed = true;
+      hub.channels = hub.channels.filter((channel) => channel !== this);
+    }
+  };
+
+  return hub;
+}
@@ -0,0 +1,133 @@
+/**
+ * Servidor WebSocket simulado para los tests de las apps (Vue, React y AngularJS).
+ *
+ * `server.WebSocket` es una clase con la interfaz del WebSocket del navegador que el cliente realtime
+ * (shared/realtime-client.js) usa en lugar del real: cada instancia queda registrada en el servidor, que
+ * decide si acepta o rechaza la conexión y puede enviar frames, cortar sockets y leer lo recibido.
+ * Los eventos se despachan en microtareas, así que funcionan igual con timers reales o falsos.
+ * Como el servicio realtime, responde a los `ping` de aplicación con un `pong` (tras `pongDelayMs`).
+ */
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+function defer(fn) {
+  Promise.resolve().then(fn);
+}
+
+/**
+ * Crea un servidor WebSocket simulado.
+ * @param {{accept?: boolean, pongDelayMs?: number}} [options] - `accept: false` rechaza las conexiones nuevas
+ *   (servidor caído) hasta que se cambie `server.accept`; `pongDelayMs` simula la latencia de los pong.
+ * @returns {Object} Servidor con `WebSocket`, `sockets`, `received`, `send`, `dropAll` y `openSockets`.
+ *
+ * Ejemplos de uso (en español):
+ * 1) const server = createMockSocketServer(); vi.stubGlobal('WebSocket', server.WebSocket);
+ * 2) server.send(protocol.createMessage('share_item', { item }, { sender: 'otra' })); // a todos los abiertos
+ * 3) server.accept = false; server.dropAll(); // simula una caída: el cliente empieza a reconectar
+ * 4) server.pongDelayMs = 42; // con timers falsos, el pong llega al avanzar 42 ms
+ */
+export function createMockSocketServer(options = {}) {
+  const server = {
+    accept: options.accept !== false,
+    // Retardo de los pong (0 = en la siguiente microtarea)
+    pongDelayMs: options.pongDelayMs || 0,
+    // Todos los sockets creados, en orden (uno por intento de conexión)
+    sockets: [],
+    // Frames recibidos de los clientes, ya parseados
+    received: [],
+    WebSocket: null,
+
+    /**
+     * Envía un frame a todos los sockets abiertos.
+     * @param {(Object|string)} frame - Los objetos se serializan a JSON.
+     * @returns {void}
+     */
+    send(frame) {
+      const data = typeof frame === 'string' ? frame : JSON.stringify(frame);
+      server.openSockets().forEach((socket) => socket.dispatch('message', { data }));
+    },
+
+    /**
+     * Cierra desde el servidor todos los sockets abiertos (código 1006, como una caída de red).
+     * @returns {void}
+     */
+    dropAll() {
+      server.openSockets().forEach((socket) => socket.finish(1006));
+    },
+
+    /** @returns {Array<Object>} Sockets en estado OPEN. */
+    openSockets() {
+      return server.sockets.filter((socket) => socket.readyState === OPEN);
+    }
+  };
+
+  class MockWebSocket {
+    constructor(url, protocols) {
+      this.url = url;
+      this.protocols = protocols;
+      this.readyState = CONNECTING;
+      this.createdAt = Date.now();
+      this.listeners = {};
+      server.sockets.push(this);
+      const accepted = server.accept;
+      defer(() => {
+        if (this.readyState !== CONNECTING) return;
+        if (accepted) {
+          this.readyState = OPEN;
+          this.dispatch('open', {});
+        } else {
+          this.dispatch('error', {});
+          this.finish(1006);
+        }
+      });
+    }
+
+    addEventListener(type, fn) {
+      (this.listeners[type] = this.listeners[type] || []).push(fn);
+    }
+
+    removeEventListener(type, fn) {
+      this.listeners[type] = (this.listeners[type] || []).filter((l) => l !== fn);
+    }
+
+    dispatch(type, event) {
+      (this.listeners[type] || []).slice().forEach((fn) => fn(Object.assign({ type, target: this }, event)));
+    }
+
+    send(data) {
+      if (this.readyState !== OPEN) throw new Error('WebSocket is not open');
+      const frame = JSON.parse(data);
+      server.received.push(frame);
+      if (frame.type === 'ping') this.pong(frame);
+    }
+
+    pong(ping) {
+      const reply = () => {
+        if (this.readyState !== OPEN) return;
+        const pong = { type: 'pong', version: ping.version, id: `pong-${ping.id}`, timestamp: Date.now(), sender: 'realtime', payload: { ref: ping.id } };
+        this.dispatch('message', { data: JSON.stringify(pong) });
+      };
+      if (server.pongDelayMs > 0) setTimeout(reply, server.pongDelayMs);
+      else defer(reply);
+    }
+
+    close(code = 1000) {
+      if (this.readyState === CLOSING || this.readyState === CLOSED) return;
+      this.readyState = CLOSING;
+      defer(() => this.finish(code));
+    }
+
+    finish(code) {
+      if (this.readyState === CLOSED) return;
+      this.readyState = CLOSED;
+      this.dispatch('close', { code, wasClean: code === 1000 });
+    }
+  }
+
+  Object.assign(MockWebSocket, { CONNECTING, OPEN, CLOSING, CLOSED });
+  server.WebSocket = MockWebSocket;
+  return server;
+}
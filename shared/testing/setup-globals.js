@@ -0,0 +1,21 @@
+/**
+ * Setup de los tests de las apps: publica los módulos compartidos en `window.PorfolioShared` como hacen
+ * las etiquetas <script> del navegador. Bajo Vitest los UMD de /shared se cargan por la rama CommonJS
+ * (hay `module`), así que sin esto el puente `shared/index.js` no los encontraría.
+ */
+import protocol from '../protocol.js';
+import annotations from '../annotations.js';
+import realtimeClient from '../realtime-client.js';
+import items from '../items.js';
+import itemQuery from '../item-query.js';
+import imageShare from '../image-share.js';
+import cobrowse from '../cobrowse.js';
+import connectionStatus from '../connection-status.js';
+import offline from '../offline.js';
+
+globalThis.PorfolioShared = Object.assign(globalThis.PorfolioShared || {}, {
+  protocol, annotations, realtimeClient, items, itemQuery, imageShare, cobrowse, connectionStatus, offline
+});
+
+// Token de acceso como el que /config.js publica en el navegador: las apps lo envían al WebSocket y a /api/share
+globalThis.WS_TOKEN = 'token-de-prueba';